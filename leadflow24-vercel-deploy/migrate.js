@@ -0,0 +1,133 @@
+// ═══════════════════════════════════════════
+// LeadFlow24 Schema Migrations
+// Run: node migrate.js            (apply pending migrations)
+//      node migrate.js down [n]   (roll back the last n, default 1)
+//      node migrate.js status
+// ═══════════════════════════════════════════
+//
+// Migrations live in migrations/NNN_description.js and export
+// { up(db), down(db) }. Each one runs in a transaction and is recorded in
+// schema_migrations, so it is applied exactly once per database. Never edit a
+// migration that has shipped — add a new one.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'leadflow24.db');
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+      return { version: parseInt(file), name: file.replace(/\.js$/, ''), up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && m.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${m.version}: ${migrations[i - 1].name}, ${m.name}`);
+    }
+  });
+  return migrations;
+}
+
+function appliedVersions(db) {
+  ensureMigrationsTable(db);
+  return new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+}
+
+// Apply every pending migration in order. Returns the names applied.
+function migrate(db, { log = () => {} } = {}) {
+  const applied = appliedVersions(db);
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+    log(`Applied migration ${migration.name}`);
+  }
+  return pending.map(m => m.name);
+}
+
+// Undo the most recent `steps` applied migrations. Returns the names rolled back.
+function rollback(db, steps = 1, { log = () => {} } = {}) {
+  const applied = appliedVersions(db);
+  const toRevert = loadMigrations().filter(m => applied.has(m.version)).reverse().slice(0, steps);
+
+  for (const migration of toRevert) {
+    db.transaction(() => {
+      migration.down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+    })();
+    log(`Rolled back migration ${migration.name}`);
+  }
+  return toRevert.map(m => m.name);
+}
+
+function status(db) {
+  ensureMigrationsTable(db);
+  const applied = new Map(db.prepare('SELECT version, applied_at FROM schema_migrations').all().map(r => [r.version, r.applied_at]));
+  return loadMigrations().map(m => ({ version: m.version, name: m.name, appliedAt: applied.get(m.version) || null }));
+}
+
+// Databases created before migrations existed already have some of these
+// columns, so adding one that is already there is a no-op.
+function addColumn(db, table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+function dropColumn(db, table, column) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (exists) db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+}
+
+module.exports = { migrate, rollback, status, addColumn, dropColumn, DB_PATH };
+
+// ─── CLI ───
+if (require.main === module) {
+  const Database = require('better-sqlite3');
+  const db = new Database(DB_PATH);
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const applied = migrate(db, { log: console.log });
+      if (!applied.length) console.log('Database is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(arg || '1');
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('Usage: node migrate.js down [steps]');
+      const reverted = rollback(db, steps, { log: console.log });
+      if (!reverted.length) console.log('Nothing to roll back');
+    } else if (command === 'status') {
+      for (const m of status(db)) {
+        console.log(`${m.appliedAt ? `applied ${m.appliedAt}` : 'pending            '}  ${m.name}`);
+      }
+    } else {
+      throw new Error(`Unknown command '${command}' (use up, down [steps] or status)`);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,140 @@
+// Tables the server started with. IF NOT EXISTS so databases created before
+// migrations existed are adopted as-is.
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Subscribers (email opt-in from website)
+      CREATE TABLE IF NOT EXISTS subscribers (
+        id TEXT PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        source TEXT DEFAULT 'website',
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Trial Signups (from free trial page)
+      CREATE TABLE IF NOT EXISTS trial_signups (
+        id TEXT PRIMARY KEY,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        business_name TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        phone TEXT NOT NULL,
+        industry TEXT NOT NULL,
+        city TEXT NOT NULL,
+        source TEXT DEFAULT 'free_trial_page',
+        status TEXT DEFAULT 'new',
+        notes TEXT,
+        assigned_to TEXT,
+        follow_up_date DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Clients (converted trial signups or direct clients)
+      CREATE TABLE IF NOT EXISTS clients (
+        id TEXT PRIMARY KEY,
+        trial_id TEXT REFERENCES trial_signups(id),
+        business_name TEXT NOT NULL,
+        contact_name TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        phone TEXT NOT NULL,
+        industry TEXT NOT NULL,
+        city TEXT NOT NULL,
+        service_area TEXT,
+        services_offered TEXT,
+        avg_job_value REAL,
+        plan TEXT DEFAULT 'starter',
+        plan_price REAL DEFAULT 397,
+        status TEXT DEFAULT 'active',
+        dashboard_token TEXT UNIQUE,
+        whop_membership_id TEXT,
+        whop_user_id TEXT,
+        onboarded_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Leads (captured from landing pages)
+      CREATE TABLE IF NOT EXISTS leads (
+        id TEXT PRIMARY KEY,
+        client_id TEXT REFERENCES clients(id),
+        capture_page TEXT,
+        name TEXT NOT NULL,
+        email TEXT,
+        phone TEXT NOT NULL,
+        service_needed TEXT,
+        address TEXT,
+        city TEXT,
+        postal_code TEXT,
+        message TEXT,
+        source TEXT DEFAULT 'facebook',
+        utm_source TEXT,
+        utm_medium TEXT,
+        utm_campaign TEXT,
+        status TEXT DEFAULT 'new',
+        contacted_at DATETIME,
+        booked_at DATETIME,
+        job_value REAL,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Lead Activity Log
+      CREATE TABLE IF NOT EXISTS lead_activity (
+        id TEXT PRIMARY KEY,
+        lead_id TEXT REFERENCES leads(id),
+        action TEXT NOT NULL,
+        details TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Capture Pages
+      CREATE TABLE IF NOT EXISTS capture_pages (
+        id TEXT PRIMARY KEY,
+        client_id TEXT REFERENCES clients(id),
+        slug TEXT UNIQUE NOT NULL,
+        title TEXT NOT NULL,
+        industry TEXT,
+        city TEXT,
+        status TEXT DEFAULT 'active',
+        views INTEGER DEFAULT 0,
+        submissions INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Email Log
+      CREATE TABLE IF NOT EXISTS email_log (
+        id TEXT PRIMARY KEY,
+        recipient TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        template TEXT,
+        status TEXT DEFAULT 'sent',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Indexes for performance
+      CREATE INDEX IF NOT EXISTS idx_leads_client ON leads(client_id);
+      CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
+      CREATE INDEX IF NOT EXISTS idx_leads_created ON leads(created_at);
+      CREATE INDEX IF NOT EXISTS idx_trial_status ON trial_signups(status);
+      CREATE INDEX IF NOT EXISTS idx_clients_token ON clients(dashboard_token);
+      CREATE INDEX IF NOT EXISTS idx_capture_slug ON capture_pages(slug);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS email_log;
+      DROP TABLE IF EXISTS capture_pages;
+      DROP TABLE IF EXISTS lead_activity;
+      DROP TABLE IF EXISTS leads;
+      DROP TABLE IF EXISTS clients;
+      DROP TABLE IF EXISTS trial_signups;
+      DROP TABLE IF EXISTS subscribers;
+    `);
+  },
+};
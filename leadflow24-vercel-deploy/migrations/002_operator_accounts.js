@@ -0,0 +1,40 @@
+// Operator logins for the admin API
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Operator accounts (admin API users)
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'analyst',
+        status TEXT DEFAULT 'active',
+        last_login_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Login sessions (one row per refresh token)
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id),
+        refresh_token_hash TEXT UNIQUE NOT NULL,
+        user_agent TEXT,
+        ip_address TEXT,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_user ON user_sessions(user_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS user_sessions;
+      DROP TABLE IF EXISTS users;
+    `);
+  },
+};
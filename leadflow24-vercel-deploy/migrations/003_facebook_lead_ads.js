@@ -0,0 +1,31 @@
+// Facebook Lead Ads intake: external ids for idempotent retries and
+// page/form → capture page routing
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'leads', 'external_id', 'TEXT');
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_leads_external ON leads(external_id);
+
+      -- Facebook page/lead form → capture page routing
+      CREATE TABLE IF NOT EXISTS facebook_form_mappings (
+        id TEXT PRIMARY KEY,
+        page_id TEXT NOT NULL,
+        form_id TEXT,
+        capture_page TEXT NOT NULL REFERENCES capture_pages(slug),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_fb_mappings_page ON facebook_form_mappings(page_id, form_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS facebook_form_mappings;
+      DROP INDEX IF EXISTS idx_leads_external;
+    `);
+    dropColumn(db, 'leads', 'external_id');
+  },
+};
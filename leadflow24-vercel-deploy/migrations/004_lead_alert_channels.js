@@ -0,0 +1,34 @@
+// Per-client SMS / voice alert settings and the notification log
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'clients', 'notify_channels', "TEXT DEFAULT 'email'");
+    addColumn(db, 'clients', 'notify_phone', 'TEXT');
+    addColumn(db, 'clients', 'quiet_hours_start', 'TEXT');
+    addColumn(db, 'clients', 'quiet_hours_end', 'TEXT');
+    db.exec(`
+      -- Notification Log (every SMS / voice / email alert attempt)
+      CREATE TABLE IF NOT EXISTS notification_log (
+        id TEXT PRIMARY KEY,
+        client_id TEXT REFERENCES clients(id),
+        lead_id TEXT REFERENCES leads(id),
+        channel TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        status TEXT DEFAULT 'sent',
+        provider_id TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_notification_lead ON notification_log(lead_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS notification_log');
+    for (const column of ['notify_channels', 'notify_phone', 'quiet_hours_start', 'quiet_hours_end']) {
+      dropColumn(db, 'clients', column);
+    }
+  },
+};
@@ -0,0 +1,29 @@
+// SQLite-backed background job queue
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Background jobs (outbound email, SMS, webhooks)
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        idempotency_key TEXT UNIQUE,
+        run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        locked_at DATETIME,
+        last_error TEXT,
+        completed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_ready ON jobs(status, run_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS jobs');
+  },
+};
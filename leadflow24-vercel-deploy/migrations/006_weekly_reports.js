@@ -0,0 +1,29 @@
+// Client timezones and the weekly report send log
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'clients', 'timezone', "TEXT DEFAULT 'America/Edmonton'");
+    db.exec(`
+      -- Weekly Reports (one per client per week)
+      CREATE TABLE IF NOT EXISTS weekly_reports (
+        id TEXT PRIMARY KEY,
+        client_id TEXT NOT NULL REFERENCES clients(id),
+        week_start DATE NOT NULL,
+        leads_count INTEGER DEFAULT 0,
+        jobs_booked INTEGER DEFAULT 0,
+        revenue REAL DEFAULT 0,
+        job_id TEXT,
+        send_count INTEGER DEFAULT 1,
+        sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(client_id, week_start)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS weekly_reports');
+    dropColumn(db, 'clients', 'timezone');
+  },
+};
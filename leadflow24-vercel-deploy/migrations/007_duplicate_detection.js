@@ -0,0 +1,39 @@
+// Normalized phone/email on leads for duplicate detection, plus a per-client
+// duplicate window
+const { addColumn, dropColumn } = require('../migrate');
+
+// Frozen copies of the normalization rules at the time of this migration
+const normalizePhone = phone => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+};
+const normalizeEmail = email => String(email || '').trim().toLowerCase() || null;
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'clients', 'duplicate_window_days', 'INTEGER');
+    addColumn(db, 'leads', 'phone_normalized', 'TEXT');
+    addColumn(db, 'leads', 'email_normalized', 'TEXT');
+
+    const update = db.prepare('UPDATE leads SET phone_normalized = ?, email_normalized = ? WHERE id = ?');
+    for (const lead of db.prepare('SELECT id, phone, email FROM leads WHERE phone_normalized IS NULL OR email_normalized IS NULL').all()) {
+      update.run(normalizePhone(lead.phone), normalizeEmail(lead.email), lead.id);
+    }
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_leads_phone_norm ON leads(phone_normalized);
+      CREATE INDEX IF NOT EXISTS idx_leads_email_norm ON leads(email_normalized);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_leads_phone_norm;
+      DROP INDEX IF EXISTS idx_leads_email_norm;
+    `);
+    dropColumn(db, 'leads', 'phone_normalized');
+    dropColumn(db, 'leads', 'email_normalized');
+    dropColumn(db, 'clients', 'duplicate_window_days');
+  },
+};
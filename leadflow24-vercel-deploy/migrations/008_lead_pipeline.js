@@ -0,0 +1,18 @@
+// Lead status pipeline: lost reasons, status timestamps and SLA breaches
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'leads', 'lost_reason', 'TEXT');
+    addColumn(db, 'leads', 'status_changed_at', 'DATETIME');
+    addColumn(db, 'leads', 'sla_breached_at', 'DATETIME');
+    addColumn(db, 'clients', 'sla_minutes', 'INTEGER');
+  },
+
+  down(db) {
+    dropColumn(db, 'leads', 'lost_reason');
+    dropColumn(db, 'leads', 'status_changed_at');
+    dropColumn(db, 'leads', 'sla_breached_at');
+    dropColumn(db, 'clients', 'sla_minutes');
+  },
+};
@@ -0,0 +1,18 @@
+// Client dashboard links expire
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'clients', 'dashboard_token_expires_at', 'DATETIME');
+
+    // Tokens issued before expiry existed start their clock now
+    db.prepare(`
+      UPDATE clients SET dashboard_token_expires_at = datetime('now', ?)
+      WHERE dashboard_token IS NOT NULL AND dashboard_token_expires_at IS NULL
+    `).run(`+${parseInt(process.env.DASHBOARD_TOKEN_TTL_DAYS || '90')} days`);
+  },
+
+  down(db) {
+    dropColumn(db, 'clients', 'dashboard_token_expires_at');
+  },
+};
@@ -0,0 +1,83 @@
+// Per-page capture page content (copy, services, phone, colours, hero image)
+// and rows for the pages that used to be hand-copied HTML under
+// public/quote/<industry>/<city>.html, so those URLs keep working
+const { v4: uuidv4 } = require('uuid');
+const { addColumn, dropColumn } = require('../migrate');
+
+const CONTENT_COLUMNS = {
+  headline: 'TEXT',
+  subheadline: 'TEXT',
+  services: 'TEXT', // JSON array of service names
+  phone: 'TEXT',
+  primary_color: 'TEXT',
+  accent_color: 'TEXT',
+  hero_image_url: 'TEXT',
+  cta_text: 'TEXT',
+  updated_at: 'DATETIME',
+};
+
+const LEGACY_CAPTURE_PAGES = [
+  {
+    slug: 'hvac-edmonton', industry: 'hvac', city: 'Edmonton',
+    title: 'Get a Free HVAC Quote in Edmonton | Same-Day Service',
+    subheadline: 'Trusted local pros. Licensed & insured. Free estimates — no obligation.',
+    services: ['AC Repair', 'Furnace Install / Replace', 'Furnace Repair', 'Duct Cleaning', 'Heat Pump Install', 'AC Install', 'Annual Maintenance', 'Emergency Repair', 'Other'],
+  },
+  {
+    slug: 'hvac-toronto', industry: 'hvac', city: 'Toronto',
+    title: 'Get a Free HVAC Quote in Toronto | Same-Day Service',
+    subheadline: 'Trusted local pros. Licensed & insured. Free estimates — no obligation.',
+    services: ['AC Repair', 'Furnace Install / Replace', 'Furnace Repair', 'Duct Cleaning', 'Heat Pump Install', 'AC Install', 'Annual Maintenance', 'Emergency Repair', 'Other'],
+  },
+  {
+    slug: 'plumbing-edmonton', industry: 'plumbing', city: 'Edmonton',
+    title: 'Get a Free Plumbing Quote in Edmonton | Emergency Service',
+    subheadline: 'Licensed local plumbers. No call-out fee. Same-day service available.',
+    services: ['Pipe Repair / Burst Pipe', 'Water Heater Install / Repair', 'Drain Cleaning / Clog', 'Sump Pump Install / Repair', 'Toilet Repair / Install', 'Faucet / Fixture Install', 'Bathroom Renovation', 'Sewer Line Repair', 'Emergency Service', 'Other'],
+    cta_text: 'Get My Free Plumbing Quote →',
+  },
+  {
+    slug: 'plumbing-toronto', industry: 'plumbing', city: 'Toronto',
+    title: 'Get a Free Plumbing Quote in Toronto | 24/7 Emergency',
+    subheadline: 'Licensed local plumbers. No call-out fee. Same-day service available.',
+    services: ['Pipe Repair / Burst Pipe', 'Water Heater Install / Repair', 'Drain Cleaning / Clog', 'Sump Pump Install / Repair', 'Toilet Repair / Install', 'Faucet / Fixture Install', 'Bathroom Renovation', 'Sewer Line Repair', 'Backwater Valve Install', 'Emergency Service', 'Other'],
+    cta_text: 'Get My Free Plumbing Quote →',
+  },
+  {
+    slug: 'roofing-edmonton', industry: 'roofing', city: 'Edmonton',
+    title: 'Get a Free Roofing Quote in Edmonton | Licensed Pros',
+    subheadline: 'Licensed & insured contractors. Free inspections. Financing available.',
+    services: ['Full Roof Replacement', 'Roof Repair', 'Leak Repair', 'Roof Inspection', 'Gutter Install / Repair', 'Shingle Repair', 'Flat Roof Service', 'Emergency / Storm Damage', 'Other'],
+    cta_text: 'Get My Free Roofing Quote →',
+  },
+  {
+    slug: 'roofing-toronto', industry: 'roofing', city: 'Toronto',
+    title: 'Get a Free Roofing Quote in Toronto | Licensed Contractors',
+    subheadline: 'Licensed & insured contractors. Free inspections. Financing available.',
+    services: ['Full Roof Replacement', 'Roof Repair', 'Leak Repair', 'Roof Inspection', 'Gutter Install / Repair', 'Shingle Repair', 'Flat Roof Service', 'Emergency / Storm Damage', 'Other'],
+    cta_text: 'Get My Free Roofing Quote →',
+  },
+];
+
+module.exports = {
+  up(db) {
+    for (const [column, definition] of Object.entries(CONTENT_COLUMNS)) {
+      addColumn(db, 'capture_pages', column, definition);
+    }
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO capture_pages (id, slug, title, industry, city, subheadline, services, cta_text)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const page of LEGACY_CAPTURE_PAGES) {
+      insert.run(uuidv4(), page.slug, page.title, page.industry, page.city, page.subheadline, JSON.stringify(page.services), page.cta_text || null);
+    }
+  },
+
+  down(db) {
+    // Leave the legacy page rows — leads and views reference them
+    for (const column of Object.keys(CONTENT_COLUMNS)) {
+      dropColumn(db, 'capture_pages', column);
+    }
+  },
+};
@@ -0,0 +1,15 @@
+// Why a lead, trial signup or subscriber was quarantined as suspected spam
+// (JSON array of reasons; status is 'quarantined' until an admin reviews it)
+const { addColumn, dropColumn } = require('../migrate');
+
+const TABLES = ['leads', 'trial_signups', 'subscribers'];
+
+module.exports = {
+  up(db) {
+    for (const table of TABLES) addColumn(db, table, 'spam_reasons', 'TEXT');
+  },
+
+  down(db) {
+    for (const table of TABLES) dropColumn(db, table, 'spam_reasons');
+  },
+};
@@ -0,0 +1,35 @@
+// Rule-based lead quality score and client disputes/credits for bad leads
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'leads', 'quality_score', 'INTEGER');
+    addColumn(db, 'leads', 'quality_factors', 'TEXT'); // JSON array of { factor, points }
+    addColumn(db, 'leads', 'credited_at', 'DATETIME');
+
+    db.exec(`
+      -- One dispute per lead, raised by the client from their dashboard
+      CREATE TABLE IF NOT EXISTS lead_disputes (
+        id TEXT PRIMARY KEY,
+        lead_id TEXT UNIQUE NOT NULL REFERENCES leads(id),
+        client_id TEXT NOT NULL REFERENCES clients(id),
+        reason TEXT NOT NULL,
+        details TEXT,
+        status TEXT DEFAULT 'pending',
+        resolution_note TEXT,
+        resolved_by TEXT REFERENCES users(id),
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_disputes_status ON lead_disputes(status, created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS lead_disputes');
+    dropColumn(db, 'leads', 'quality_score');
+    dropColumn(db, 'leads', 'quality_factors');
+    dropColumn(db, 'leads', 'credited_at');
+  },
+};
@@ -0,0 +1,77 @@
+// Plans define what a client is promised (leads/month, trial, features) and
+// the monthly lead cap enforced at intake
+const { addColumn, dropColumn } = require('../migrate');
+
+const PLANS = [
+  {
+    id: 'starter', name: 'Starter', monthly_price: 497, setup_fee: 300,
+    promised_leads: 10, monthly_lead_cap: 15,
+    features: { landing_pages: 1, missed_call_textback: true, review_automation: false, revenue_recovery: false, priority_support: false },
+  },
+  {
+    id: 'growth', name: 'Growth', monthly_price: 997, setup_fee: 300,
+    promised_leads: 25, monthly_lead_cap: 40,
+    features: { landing_pages: 3, missed_call_textback: true, review_automation: true, revenue_recovery: true, priority_support: true },
+  },
+  {
+    id: 'dominate', name: 'Dominate', monthly_price: 1497, setup_fee: 0,
+    promised_leads: 50, monthly_lead_cap: 80,
+    features: { landing_pages: null, missed_call_textback: true, review_automation: true, revenue_recovery: true, priority_support: true, account_manager: true },
+  },
+];
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS plans (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        monthly_price REAL NOT NULL,
+        setup_fee REAL DEFAULT 0,
+        promised_leads INTEGER NOT NULL,      -- low end of the monthly promise
+        monthly_lead_cap INTEGER,             -- NULL = uncapped
+        over_cap_action TEXT DEFAULT 'waitlist', -- waitlist | pause
+        trial_days INTEGER DEFAULT 14,
+        trial_leads INTEGER DEFAULT 15,
+        features TEXT,                        -- JSON; landing_pages null = unlimited
+        active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO plans (id, name, monthly_price, setup_fee, promised_leads, monthly_lead_cap, features)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const p of PLANS) {
+      insert.run(p.id, p.name, p.monthly_price, p.setup_fee, p.promised_leads, p.monthly_lead_cap, JSON.stringify(p.features));
+    }
+
+    // Per-client overrides of the plan's cap and overflow behaviour
+    addColumn(db, 'clients', 'monthly_lead_cap', 'INTEGER');
+    addColumn(db, 'clients', 'over_cap_action', 'TEXT');
+
+    // Leads held back because their client was at cap. delivered_at is when
+    // the client actually got the lead, which is what counts against the cap.
+    addColumn(db, 'leads', 'waitlist_client_id', 'TEXT REFERENCES clients(id)');
+    addColumn(db, 'leads', 'delivered_at', 'DATETIME');
+    db.exec(`
+      UPDATE leads SET delivered_at = created_at WHERE client_id IS NOT NULL AND delivered_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_leads_client_delivered ON leads(client_id, delivered_at);
+      CREATE INDEX IF NOT EXISTS idx_leads_waitlist ON leads(waitlist_client_id, status);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_leads_client_delivered;
+      DROP INDEX IF EXISTS idx_leads_waitlist;
+      DROP TABLE IF EXISTS plans;
+    `);
+    dropColumn(db, 'leads', 'waitlist_client_id');
+    dropColumn(db, 'leads', 'delivered_at');
+    dropColumn(db, 'clients', 'monthly_lead_cap');
+    dropColumn(db, 'clients', 'over_cap_action');
+  },
+};
@@ -0,0 +1,33 @@
+// Trial state machine: owner, follow-ups, the client record the trial runs
+// on, and the 14-day clock that starts when the campaign goes live
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'trial_signups', 'client_id', 'TEXT REFERENCES clients(id)');
+    addColumn(db, 'trial_signups', 'status_changed_at', 'DATETIME');
+    addColumn(db, 'trial_signups', 'live_at', 'DATETIME');
+    addColumn(db, 'trial_signups', 'trial_ends_at', 'DATETIME');
+    addColumn(db, 'trial_signups', 'lost_reason', 'TEXT');
+
+    db.exec(`
+      UPDATE trial_signups SET client_id = (SELECT id FROM clients WHERE clients.trial_id = trial_signups.id)
+      WHERE client_id IS NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_trials_status ON trial_signups(status, trial_ends_at);
+      CREATE INDEX IF NOT EXISTS idx_trials_follow_up ON trial_signups(follow_up_date);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_trials_status;
+      DROP INDEX IF EXISTS idx_trials_follow_up;
+    `);
+    dropColumn(db, 'trial_signups', 'client_id');
+    dropColumn(db, 'trial_signups', 'status_changed_at');
+    dropColumn(db, 'trial_signups', 'live_at');
+    dropColumn(db, 'trial_signups', 'trial_ends_at');
+    dropColumn(db, 'trial_signups', 'lost_reason');
+  },
+};
@@ -0,0 +1,33 @@
+// Daily ad spend per campaign, imported from CSV or synced from the ads API,
+// for cost per lead / cost per booked job / ROAS reporting
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ad_spend (
+        id TEXT PRIMARY KEY,
+        date TEXT NOT NULL,                 -- YYYY-MM-DD
+        platform TEXT NOT NULL DEFAULT 'facebook',
+        campaign TEXT NOT NULL,             -- matches leads.utm_campaign
+        client_id TEXT REFERENCES clients(id),
+        capture_page TEXT,
+        spend REAL NOT NULL,
+        impressions INTEGER,
+        clicks INTEGER,
+        source TEXT DEFAULT 'csv',          -- csv | facebook_api
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(date, platform, campaign)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ad_spend_client ON ad_spend(client_id, date);
+      CREATE INDEX IF NOT EXISTS idx_leads_utm_campaign ON leads(utm_campaign);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_leads_utm_campaign;
+      DROP TABLE IF EXISTS ad_spend;
+    `);
+  },
+};
@@ -0,0 +1,55 @@
+// A/B test variants for capture pages, one row per visitor per page for
+// sticky assignment and de-duplicated views, and the variant each lead saw
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'capture_pages', 'form_length', "TEXT DEFAULT 'full'"); // full | short
+    addColumn(db, 'capture_pages', 'control_weight', 'INTEGER DEFAULT 1'); // traffic share of the page's own copy while variants run
+    addColumn(db, 'leads', 'variant_id', 'TEXT');
+
+    db.exec(`
+      -- Blank content fields fall back to the capture page's own
+      CREATE TABLE IF NOT EXISTS capture_page_variants (
+        id TEXT PRIMARY KEY,
+        capture_page_id TEXT NOT NULL REFERENCES capture_pages(id),
+        name TEXT NOT NULL,
+        weight INTEGER NOT NULL DEFAULT 1,
+        headline TEXT,
+        subheadline TEXT,
+        cta_text TEXT,
+        hero_image_url TEXT,
+        form_length TEXT,
+        status TEXT DEFAULT 'active',          -- active | paused | promoted | archived
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- views = 0 until the page's script reports a real view (bots rarely run it)
+      CREATE TABLE IF NOT EXISTS capture_page_visitors (
+        capture_page_id TEXT NOT NULL REFERENCES capture_pages(id),
+        visitor_id TEXT NOT NULL,
+        variant_id TEXT,                       -- NULL = the page's own copy
+        views INTEGER DEFAULT 0,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (capture_page_id, visitor_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_variants_page ON capture_page_variants(capture_page_id, status);
+      CREATE INDEX IF NOT EXISTS idx_visitors_variant ON capture_page_visitors(capture_page_id, variant_id);
+      CREATE INDEX IF NOT EXISTS idx_leads_variant ON leads(variant_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_leads_variant;
+      DROP TABLE IF EXISTS capture_page_visitors;
+      DROP TABLE IF EXISTS capture_page_variants;
+    `);
+    dropColumn(db, 'leads', 'variant_id');
+    dropColumn(db, 'capture_pages', 'form_length');
+    dropColumn(db, 'capture_pages', 'control_weight');
+  },
+};
@@ -0,0 +1,52 @@
+// Per-capture-page form schemas, and custom_fields on leads for answers that
+// don't have a leads column. The legacy pages asked how urgent the job was,
+// so their rows get that question back as a two-step form.
+const { addColumn, dropColumn } = require('../migrate');
+
+const LEGACY_SLUGS = ['hvac-edmonton', 'hvac-toronto', 'plumbing-edmonton', 'plumbing-toronto', 'roofing-edmonton', 'roofing-toronto'];
+
+const LEGACY_SCHEMA = {
+  steps: [
+    {
+      title: 'What do you need?',
+      fields: [
+        { name: 'service_needed', type: 'select', label: 'What do you need?', required: true },
+        {
+          name: 'urgency', type: 'select', label: 'How urgent is this?',
+          options: [
+            { value: 'Emergency - Need it today', label: '🚨 Emergency — Need it today' },
+            { value: 'High - This week', label: '⚡ High — This week' },
+            { value: 'Medium - Within a month', label: '📅 Medium — Within a month' },
+            { value: 'Low - Just getting quotes', label: '💡 Low — Just getting quotes' },
+          ],
+        },
+        { name: 'message', type: 'textarea', label: 'Details (optional)' },
+      ],
+    },
+    {
+      title: 'Where should we send your quote?',
+      fields: [
+        { name: 'first_name', type: 'text', label: 'First Name', required: true },
+        { name: 'last_name', type: 'text', label: 'Last Name', required: true },
+        { name: 'phone', type: 'tel', label: 'Phone Number', required: true },
+        { name: 'email', type: 'email', label: 'Email (Optional)' },
+        { name: 'postal_code', type: 'text', label: 'Postal Code' },
+      ],
+    },
+  ],
+};
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'capture_pages', 'form_schema', 'TEXT'); // JSON; NULL = the standard single-step form
+    addColumn(db, 'leads', 'custom_fields', 'TEXT');       // JSON array of { field, label, value }
+
+    const update = db.prepare('UPDATE capture_pages SET form_schema = ? WHERE slug = ? AND form_schema IS NULL');
+    for (const slug of LEGACY_SLUGS) update.run(JSON.stringify(LEGACY_SCHEMA), slug);
+  },
+
+  down(db) {
+    dropColumn(db, 'capture_pages', 'form_schema');
+    dropColumn(db, 'leads', 'custom_fields');
+  },
+};
@@ -0,0 +1,61 @@
+// Online booking: each client's weekly availability and blackout dates, and
+// the appointments homeowners book from the capture page
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'clients', 'slot_minutes', 'INTEGER DEFAULT 60');
+    addColumn(db, 'clients', 'booking_notice_minutes', 'INTEGER DEFAULT 120'); // earliest bookable slot, from now
+    addColumn(db, 'clients', 'booking_horizon_days', 'INTEGER DEFAULT 14');
+
+    db.exec(`
+      -- Times are HH:MM in the client's timezone; a day may have several windows
+      CREATE TABLE IF NOT EXISTS client_availability (
+        id TEXT PRIMARY KEY,
+        client_id TEXT NOT NULL REFERENCES clients(id),
+        weekday INTEGER NOT NULL,             -- 0 = Sunday
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS client_blackouts (
+        id TEXT PRIMARY KEY,
+        client_id TEXT NOT NULL REFERENCES clients(id),
+        date TEXT NOT NULL,                   -- YYYY-MM-DD, client's timezone
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(client_id, date)
+      );
+
+      CREATE TABLE IF NOT EXISTS appointments (
+        id TEXT PRIMARY KEY,
+        lead_id TEXT NOT NULL REFERENCES leads(id),
+        client_id TEXT NOT NULL REFERENCES clients(id),
+        starts_at DATETIME NOT NULL,          -- UTC
+        ends_at DATETIME NOT NULL,
+        status TEXT DEFAULT 'booked',         -- booked | cancelled
+        cancel_reason TEXT,
+        sequence INTEGER DEFAULT 0,           -- .ics SEQUENCE, bumped on cancel
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        cancelled_at DATETIME
+      );
+
+      -- One booked appointment per client per start time, and per lead
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_slot ON appointments(client_id, starts_at) WHERE status = 'booked';
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_lead ON appointments(lead_id) WHERE status = 'booked';
+      CREATE INDEX IF NOT EXISTS idx_availability_client ON client_availability(client_id, weekday);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS appointments;
+      DROP TABLE IF EXISTS client_blackouts;
+      DROP TABLE IF EXISTS client_availability;
+    `);
+    dropColumn(db, 'clients', 'slot_minutes');
+    dropColumn(db, 'clients', 'booking_notice_minutes');
+    dropColumn(db, 'clients', 'booking_horizon_days');
+  },
+};
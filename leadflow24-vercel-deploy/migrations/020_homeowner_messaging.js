@@ -0,0 +1,25 @@
+// Homeowner auto-reply and follow-up emails: per-lead email consent (cleared
+// by the unsubscribe link), when the follow-up went out, and the per-client
+// follow-up delay
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'leads', 'email_consent', 'INTEGER DEFAULT 1');
+    addColumn(db, 'leads', 'email_unsubscribed_at', 'DATETIME');
+    addColumn(db, 'leads', 'homeowner_follow_up_at', 'DATETIME');
+    addColumn(db, 'clients', 'homeowner_follow_up_hours', 'INTEGER'); // NULL = HOMEOWNER_FOLLOW_UP_HOURS, 0 = off
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_leads_homeowner_follow_up ON leads(status, homeowner_follow_up_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_leads_homeowner_follow_up;');
+    dropColumn(db, 'leads', 'email_consent');
+    dropColumn(db, 'leads', 'email_unsubscribed_at');
+    dropColumn(db, 'leads', 'homeowner_follow_up_at');
+    dropColumn(db, 'clients', 'homeowner_follow_up_hours');
+  },
+};
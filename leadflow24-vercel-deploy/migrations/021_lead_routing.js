@@ -0,0 +1,32 @@
+// Lead routing for leads that don't come from a client's own capture page:
+// each client's share of routed leads and whether their territory is
+// exclusive, plus the lead's industry and the routing decision made for it
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'clients', 'routing_weight', 'INTEGER DEFAULT 1');       // 0 = capture page leads only
+    addColumn(db, 'clients', 'exclusive_territory', 'INTEGER DEFAULT 0');
+    addColumn(db, 'clients', 'last_routed_at', 'DATETIME');                 // round-robin position
+    addColumn(db, 'leads', 'industry', 'TEXT');
+    addColumn(db, 'leads', 'routed_via', 'TEXT');                           // capture_page | exclusive | round_robin | weighted | manual | unrouted
+    addColumn(db, 'leads', 'routing_decision', 'TEXT');                     // JSON: candidates considered and why
+
+    db.exec(`
+      UPDATE leads SET industry = (SELECT industry FROM capture_pages WHERE slug = leads.capture_page)
+      WHERE industry IS NULL AND capture_page IS NOT NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_leads_routing ON leads(routed_via, client_id, created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_leads_routing;');
+    dropColumn(db, 'clients', 'routing_weight');
+    dropColumn(db, 'clients', 'exclusive_territory');
+    dropColumn(db, 'clients', 'last_routed_at');
+    dropColumn(db, 'leads', 'industry');
+    dropColumn(db, 'leads', 'routed_via');
+    dropColumn(db, 'leads', 'routing_decision');
+  },
+};
@@ -0,0 +1,55 @@
+// Billing history from the payment provider's webhooks: every event received
+// (one row per event id, so redeliveries are ignored), the payments they
+// carried, and each client's dunning state after a failed payment
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'clients', 'past_due_at', 'DATETIME');           // first failed payment not yet made good
+    addColumn(db, 'clients', 'grace_period_ends_at', 'DATETIME');  // suspended after this unless a payment succeeds
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS billing_events (
+        id TEXT PRIMARY KEY,
+        provider TEXT NOT NULL DEFAULT 'whop',
+        event_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        client_id TEXT REFERENCES clients(id),
+        payload TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(provider, event_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS payments (
+        id TEXT PRIMARY KEY,
+        provider TEXT NOT NULL DEFAULT 'whop',
+        event_id TEXT NOT NULL,
+        provider_payment_id TEXT,
+        client_id TEXT REFERENCES clients(id),
+        email TEXT,
+        membership_id TEXT,
+        plan_id TEXT,                         -- the provider's plan id
+        amount REAL,
+        currency TEXT DEFAULT 'usd',
+        status TEXT NOT NULL,                 -- succeeded | failed
+        failure_reason TEXT,
+        paid_at DATETIME NOT NULL,            -- when the provider charged (or tried to)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_payments_client ON payments(client_id, paid_at);
+      CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status, paid_at);
+      CREATE INDEX IF NOT EXISTS idx_clients_grace_period ON clients(grace_period_ends_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_clients_grace_period;
+      DROP TABLE IF EXISTS payments;
+      DROP TABLE IF EXISTS billing_events;
+    `);
+    dropColumn(db, 'clients', 'past_due_at');
+    dropColumn(db, 'clients', 'grace_period_ends_at');
+  },
+};
@@ -0,0 +1,33 @@
+// Stripe as a second billing provider: which provider each client pays
+// through, their Stripe customer and subscription, and each plan's product
+// on both providers for hosted checkout links
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'clients', 'billing_provider', 'TEXT');   // whop | stripe; NULL until their first payment
+    addColumn(db, 'clients', 'stripe_customer_id', 'TEXT');
+    addColumn(db, 'clients', 'stripe_subscription_id', 'TEXT');
+    addColumn(db, 'plans', 'whop_plan_id', 'TEXT');
+    addColumn(db, 'plans', 'stripe_price_id', 'TEXT');
+
+    db.exec(`
+      UPDATE clients SET billing_provider = 'whop' WHERE whop_membership_id IS NOT NULL AND billing_provider IS NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_clients_stripe_customer ON clients(stripe_customer_id);
+      CREATE INDEX IF NOT EXISTS idx_clients_whop_membership ON clients(whop_membership_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_clients_whop_membership;
+      DROP INDEX IF EXISTS idx_clients_stripe_customer;
+    `);
+    dropColumn(db, 'clients', 'billing_provider');
+    dropColumn(db, 'clients', 'stripe_customer_id');
+    dropColumn(db, 'clients', 'stripe_subscription_id');
+    dropColumn(db, 'plans', 'whop_plan_id');
+    dropColumn(db, 'plans', 'stripe_price_id');
+  },
+};
@@ -0,0 +1,39 @@
+// Bulk spreadsheet imports: one row per import run with its options and
+// outcome, and the import each lead came from
+const { addColumn, dropColumn } = require('../migrate');
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'leads', 'import_id', 'TEXT');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS imports (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,                   -- leads | clients | subscribers
+        client_id TEXT REFERENCES clients(id),
+        filename TEXT,
+        format TEXT,                          -- csv | xlsx
+        mapping TEXT,                         -- JSON: source column → field
+        duplicates TEXT NOT NULL,             -- skip | update | create
+        suppress_notifications INTEGER DEFAULT 1,
+        total_rows INTEGER DEFAULT 0,
+        created INTEGER DEFAULT 0,
+        updated INTEGER DEFAULT 0,
+        skipped INTEGER DEFAULT 0,
+        invalid INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_leads_import ON leads(import_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_leads_import;
+      DROP TABLE IF EXISTS imports;
+    `);
+    dropColumn(db, 'leads', 'import_id');
+  },
+};
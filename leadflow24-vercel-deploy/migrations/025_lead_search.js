@@ -0,0 +1,49 @@
+// Full-text lead search (SQLite FTS5) kept in step with the leads table by
+// triggers, plus indexes for the per-client list filters and sorts. The
+// index reads the text straight from leads (external content), keyed by its
+// rowid; run INSERT INTO leads_fts(leads_fts) VALUES ('rebuild') after a VACUUM.
+const LEAD_SEARCH_COLUMNS = ['name', 'phone', 'phone_normalized', 'email', 'message', 'notes', 'custom_fields'];
+
+const columns = LEAD_SEARCH_COLUMNS.join(', ');
+const values = prefix => LEAD_SEARCH_COLUMNS.map(column => `${prefix}.${column}`).join(', ');
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS leads_fts USING fts5(
+        ${columns}, content = 'leads', content_rowid = 'rowid', tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS leads_fts_insert AFTER INSERT ON leads BEGIN
+        INSERT INTO leads_fts (rowid, ${columns}) VALUES (new.rowid, ${values('new')});
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS leads_fts_delete AFTER DELETE ON leads BEGIN
+        INSERT INTO leads_fts (leads_fts, rowid, ${columns}) VALUES ('delete', old.rowid, ${values('old')});
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS leads_fts_update AFTER UPDATE OF ${columns} ON leads BEGIN
+        INSERT INTO leads_fts (leads_fts, rowid, ${columns}) VALUES ('delete', old.rowid, ${values('old')});
+        INSERT INTO leads_fts (rowid, ${columns}) VALUES (new.rowid, ${values('new')});
+      END;
+
+      INSERT INTO leads_fts (leads_fts) VALUES ('rebuild');
+
+      CREATE INDEX IF NOT EXISTS idx_leads_client_created ON leads(client_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_leads_client_status ON leads(client_id, status);
+      CREATE INDEX IF NOT EXISTS idx_leads_capture_page ON leads(capture_page, created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_leads_capture_page;
+      DROP INDEX IF EXISTS idx_leads_client_status;
+      DROP INDEX IF EXISTS idx_leads_client_created;
+      DROP TRIGGER IF EXISTS leads_fts_update;
+      DROP TRIGGER IF EXISTS leads_fts_delete;
+      DROP TRIGGER IF EXISTS leads_fts_insert;
+      DROP TABLE IF EXISTS leads_fts;
+    `);
+  },
+};
@@ -0,0 +1,24 @@
+// seed.js used to insert leads without phone_normalized/email_normalized, so
+// seeded leads never matched as duplicates. Fill in any that are missing.
+
+// Frozen copies of the normalization rules at the time of this migration
+const normalizePhone = phone => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+};
+const normalizeEmail = email => String(email || '').trim().toLowerCase() || null;
+
+module.exports = {
+  up(db) {
+    const update = db.prepare('UPDATE leads SET phone_normalized = ?, email_normalized = ? WHERE id = ?');
+    const missing = db.prepare(`
+      SELECT id, phone, email FROM leads
+      WHERE (phone_normalized IS NULL AND phone IS NOT NULL) OR (email_normalized IS NULL AND email IS NOT NULL)
+    `).all();
+    for (const lead of missing) update.run(normalizePhone(lead.phone), normalizeEmail(lead.email), lead.id);
+  },
+
+  // Data repair only; nothing to undo
+  down() {},
+};
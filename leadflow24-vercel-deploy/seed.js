@@ -5,9 +5,13 @@
 
 const Database = require('better-sqlite3');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
 
-const db = new Database(path.join(__dirname, 'leadflow24.db'));
+const { migrate, DB_PATH } = require('./migrate');
+
+const db = new Database(DB_PATH);
+
+// Works on a fresh checkout — no need to start the server first
+migrate(db, { log: console.log });
 
 console.log('🌱 Seeding LeadFlow24 database...\n');
 
@@ -16,8 +20,8 @@ const clientId = uuidv4();
 const dashboardToken = 'demo_' + uuidv4().replace(/-/g, '').substring(0, 20);
 
 db.prepare(`
-  INSERT OR IGNORE INTO clients (id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan, plan_price, dashboard_token, status, onboarded_at)
-  VALUES (?, 'Edmonton Pro HVAC', 'Mike Johnson', 'mike@edmontonprohvac.ca', '(780) 555-0123', 'hvac', 'Edmonton', 'Edmonton, St. Albert, Sherwood Park', 'Furnace install, AC repair, Duct cleaning', 3200, 'growth', 597, ?, 'active', datetime('now', '-14 days'))
+  INSERT OR IGNORE INTO clients (id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan, plan_price, dashboard_token, dashboard_token_expires_at, status, onboarded_at)
+  VALUES (?, 'Edmonton Pro HVAC', 'Mike Johnson', 'mike@edmontonprohvac.ca', '(780) 555-0123', 'hvac', 'Edmonton', 'Edmonton, St. Albert, Sherwood Park', 'Furnace install, AC repair, Duct cleaning', 3200, 'growth', 597, ?, datetime('now', '+90 days'), 'active', datetime('now', '-14 days'))
 `).run(clientId, dashboardToken);
 
 // Demo capture page
@@ -54,14 +58,14 @@ const demoLeads = [
 ];
 
 const leadStmt = db.prepare(`
-  INSERT INTO leads (id, client_id, capture_page, name, phone, service_needed, city, status, job_value, source, created_at)
-  VALUES (?, ?, 'hvac-edmonton-demo', ?, ?, ?, ?, ?, ?, 'facebook', datetime('now', ?))
+  INSERT INTO leads (id, client_id, capture_page, name, phone, phone_normalized, service_needed, city, status, job_value, source, created_at)
+  VALUES (?, ?, 'hvac-edmonton-demo', ?, ?, ?, ?, ?, ?, ?, 'facebook', datetime('now', ?))
 `);
 
 demoLeads.forEach(lead => {
   leadStmt.run(
     uuidv4(), clientId,
-    lead.name, lead.phone, lead.service, lead.city, lead.status, lead.value,
+    lead.name, lead.phone, lead.phone.replace(/\D/g, ''), lead.service, lead.city, lead.status, lead.value,
     `-${lead.daysAgo} days`
   );
 });
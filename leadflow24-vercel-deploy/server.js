@@ -3,7 +3,7 @@
 // ═══════════════════════════════════════════════════════════════
 // 
 // SETUP:
-//   npm install express better-sqlite3 cors helmet nodemailer dotenv uuid
+//   npm install express better-sqlite3 cors helmet nodemailer dotenv uuid jsonwebtoken bcryptjs exceljs
 //   node server.js
 //
 // ENV VARIABLES (.env file):
@@ -13,13 +13,40 @@
 //   SMTP_USER=luke@leadflow24.com
 //   SMTP_PASS=your_app_password
 //   NOTIFICATION_EMAIL=luke@leadflow24.com
-//   NOTIFICATION_PHONE=+17801234567
+//   NOTIFICATION_PHONE=+17801234567            (operator SMS alerts, needs Twilio)
+//   TWILIO_ACCOUNT_SID=ACxxxxx
+//   TWILIO_AUTH_TOKEN=your_auth_token
+//   TWILIO_FROM_NUMBER=+17805550000
+//   TWILIO_API_URL=https://api.twilio.com        (point at a local stub for testing)
 //   WHOP_API_KEY=your_whop_api_key
-//   WHOP_WEBHOOK_SECRET=your_webhook_secret
+//   WHOP_WEBHOOK_SECRET=your_webhook_secret      (verifies X-Whop-Signature; unsigned webhooks are refused)
+//   WHOP_CHECKOUT_URL=https://whop.com/checkout  (checkout links are <this>/<plans.whop_plan_id>)
+//   DUNNING_GRACE_DAYS=7                         (days a client keeps getting leads after a failed payment)
+//   BILLING_UPDATE_URL=https://whop.com/orders/  (where dunning emails send clients to fix their card)
+//   BILLING_PROVIDER=whop                        (whop | stripe; checkout links for clients who haven't paid yet)
+//   STRIPE_SECRET_KEY=sk_live_xxxxx              (creates Checkout Sessions)
+//   STRIPE_WEBHOOK_SECRET=whsec_xxxxx            (verifies Stripe-Signature on /api/webhooks/stripe)
+//   STRIPE_API_URL=https://api.stripe.com        (point at a local stub for testing)
 //   FACEBOOK_PIXEL_TOKEN=xxxxx
+//   FACEBOOK_APP_SECRET=your_app_secret          (verifies X-Hub-Signature-256 on lead webhooks)
+//   FACEBOOK_PAGE_ACCESS_TOKEN=xxxxx             (reads lead details from the Graph API)
+//   FACEBOOK_GRAPH_URL=https://graph.facebook.com/v19.0
+//   FACEBOOK_AD_ACCOUNT_ID=1234567890            (daily campaign spend sync; token: FACEBOOK_ADS_ACCESS_TOKEN)
 //   JWT_SECRET=your_jwt_secret_here
+//   ADMIN_EMAIL=luke@leadflow24.com        (first owner account, created on boot if no users exist)
+//   ADMIN_PASSWORD=choose_a_long_password
 //   BASE_URL=https://leadflow24.com
 //   WEBHOOK_SECRET=your_webhook_secret
+//   ZAPIER_WEBHOOK_SECRET=your_zapier_secret     (Zaps send it as X-Zapier-Secret; /api/webhooks/zapier is refused without it)
+//   DUPLICATE_WINDOW_DAYS=30                     (default; per-client override in clients.duplicate_window_days)
+//   LEAD_SLA_MINUTES=15                          (default; per-client override in clients.sla_minutes)
+//   DASHBOARD_TOKEN_TTL_DAYS=90                  (client dashboard links expire after this)
+//   TRUST_PROXY_HOPS=1                           (proxies in front of the app; used for per-IP rate limits)
+//   TRIAL_UPGRADE_URL=https://whop.com/...       (checkout link in trial reminder emails; default BASE_URL/#pricing)
+//   HOMEOWNER_FOLLOW_UP_HOURS=4                  (follow-up email to homeowners whose lead is still new; per-client override, 0 = off)
+//   LEAD_ROUTING_STRATEGY=round_robin            (round_robin | weighted; for leads without a client's capture page)
+//   DATABASE_PATH=./leadflow24.db                (SQLite file; tests point it at a temp file)
+//   WEBHOOK_ALLOW_PRIVATE_TARGETS=false          (true lets client webhooks reach localhost/private networks, for local testing)
 //
 // ═══════════════════════════════════════════════════════════════
 
@@ -28,148 +55,43 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
 const { v4: uuidv4 } = require('uuid');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // ─── MIDDLEWARE ───
+// Railway/Render/Docker hosts sit behind one proxy — trust it for req.ip
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1'));
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw bytes around for webhook signature checks
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ─── DATABASE SETUP ───
 const Database = require('better-sqlite3');
-const db = new Database(path.join(__dirname, 'leadflow24.db'));
+const { migrate, DB_PATH } = require('./migrate');
+const db = new Database(DB_PATH);
 
 // Enable WAL mode for better concurrent performance
 db.pragma('journal_mode = WAL');
 
-// Create tables
-db.exec(`
-  -- Subscribers (email opt-in from website)
-  CREATE TABLE IF NOT EXISTS subscribers (
-    id TEXT PRIMARY KEY,
-    email TEXT UNIQUE NOT NULL,
-    source TEXT DEFAULT 'website',
-    status TEXT DEFAULT 'active',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  -- Trial Signups (from free trial page)
-  CREATE TABLE IF NOT EXISTS trial_signups (
-    id TEXT PRIMARY KEY,
-    first_name TEXT NOT NULL,
-    last_name TEXT NOT NULL,
-    business_name TEXT NOT NULL,
-    email TEXT UNIQUE NOT NULL,
-    phone TEXT NOT NULL,
-    industry TEXT NOT NULL,
-    city TEXT NOT NULL,
-    source TEXT DEFAULT 'free_trial_page',
-    status TEXT DEFAULT 'new',
-    notes TEXT,
-    assigned_to TEXT,
-    follow_up_date DATETIME,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  -- Clients (converted trial signups or direct clients)
-  CREATE TABLE IF NOT EXISTS clients (
-    id TEXT PRIMARY KEY,
-    trial_id TEXT REFERENCES trial_signups(id),
-    business_name TEXT NOT NULL,
-    contact_name TEXT NOT NULL,
-    email TEXT UNIQUE NOT NULL,
-    phone TEXT NOT NULL,
-    industry TEXT NOT NULL,
-    city TEXT NOT NULL,
-    service_area TEXT,
-    services_offered TEXT,
-    avg_job_value REAL,
-    plan TEXT DEFAULT 'starter',
-    plan_price REAL DEFAULT 397,
-    status TEXT DEFAULT 'active',
-    dashboard_token TEXT UNIQUE,
-    whop_membership_id TEXT,
-    whop_user_id TEXT,
-    onboarded_at DATETIME,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  -- Leads (captured from landing pages)
-  CREATE TABLE IF NOT EXISTS leads (
-    id TEXT PRIMARY KEY,
-    client_id TEXT REFERENCES clients(id),
-    capture_page TEXT,
-    name TEXT NOT NULL,
-    email TEXT,
-    phone TEXT NOT NULL,
-    service_needed TEXT,
-    address TEXT,
-    city TEXT,
-    postal_code TEXT,
-    message TEXT,
-    source TEXT DEFAULT 'facebook',
-    utm_source TEXT,
-    utm_medium TEXT,
-    utm_campaign TEXT,
-    status TEXT DEFAULT 'new',
-    contacted_at DATETIME,
-    booked_at DATETIME,
-    job_value REAL,
-    notes TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  -- Lead Activity Log
-  CREATE TABLE IF NOT EXISTS lead_activity (
-    id TEXT PRIMARY KEY,
-    lead_id TEXT REFERENCES leads(id),
-    action TEXT NOT NULL,
-    details TEXT,
-    created_by TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  -- Capture Pages
-  CREATE TABLE IF NOT EXISTS capture_pages (
-    id TEXT PRIMARY KEY,
-    client_id TEXT REFERENCES clients(id),
-    slug TEXT UNIQUE NOT NULL,
-    title TEXT NOT NULL,
-    industry TEXT,
-    city TEXT,
-    status TEXT DEFAULT 'active',
-    views INTEGER DEFAULT 0,
-    submissions INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
+// Schema lives in migrations/ — anything pending is applied on startup
+migrate(db, { log: console.log });
 
-  -- Email Log
-  CREATE TABLE IF NOT EXISTS email_log (
-    id TEXT PRIMARY KEY,
-    recipient TEXT NOT NULL,
-    subject TEXT NOT NULL,
-    template TEXT,
-    status TEXT DEFAULT 'sent',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+// Log an entry on a lead's activity timeline
+function logLeadActivity(leadId, action, details, createdBy) {
+  db.prepare('INSERT INTO lead_activity (id, lead_id, action, details, created_by) VALUES (?, ?, ?, ?, ?)').run(
+    uuidv4(), leadId, action, details ? JSON.stringify(details) : null, createdBy || null
   );
-
-  -- Indexes for performance
-  CREATE INDEX IF NOT EXISTS idx_leads_client ON leads(client_id);
-  CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
-  CREATE INDEX IF NOT EXISTS idx_leads_created ON leads(created_at);
-  CREATE INDEX IF NOT EXISTS idx_trial_status ON trial_signups(status);
-  CREATE INDEX IF NOT EXISTS idx_clients_token ON clients(dashboard_token);
-  CREATE INDEX IF NOT EXISTS idx_capture_slug ON capture_pages(slug);
-`);
+}
 
 // ─── EMAIL SERVICE ───
 const nodemailer = require('nodemailer');
@@ -184,30 +106,189 @@ const transporter = nodemailer.createTransport({
   },
 });
 
-async function sendEmail(to, subject, html, text) {
+// fromName replaces "LeadFlow24" as the sender name (e.g. the contractor's business)
+async function sendEmail(to, subject, html, text, template, { attachments, headers, fromName } = {}) {
   try {
     const info = await transporter.sendMail({
-      from: `"LeadFlow24" <${process.env.SMTP_USER || 'luke@leadflow24.com'}>`,
+      from: `"${String(fromName || 'LeadFlow24').replace(/["\r\n]/g, '')}" <${process.env.SMTP_USER || 'luke@leadflow24.com'}>`,
       to,
       subject,
       html,
       text: text || subject,
+      attachments,
+      headers,
     });
 
     db.prepare('INSERT INTO email_log (id, recipient, subject, template, status) VALUES (?, ?, ?, ?, ?)').run(
-      uuidv4(), to, subject, 'custom', 'sent'
+      uuidv4(), to, subject, template || 'custom', 'sent'
     );
 
     return info;
   } catch (err) {
     console.error('Email send failed:', err.message);
     db.prepare('INSERT INTO email_log (id, recipient, subject, template, status) VALUES (?, ?, ?, ?, ?)').run(
-      uuidv4(), to, subject, 'custom', 'failed'
+      uuidv4(), to, subject, template || 'custom', 'failed'
     );
     return null;
   }
 }
 
+// ─── JOB QUEUE ───
+// Outbound email, SMS and webhooks run through a SQLite-backed queue so a
+// slow or failing provider never holds up a request. Jobs are retried with
+// exponential backoff and parked as 'dead' after max_attempts.
+//
+//   queued → running → completed
+//                    → failed (waiting for retry) → running → ...
+//                    → dead (gave up; retry from the admin API)
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_BACKOFF_BASE_SECONDS = 30;
+const JOB_BACKOFF_MAX_SECONDS = 60 * 60;
+const JOB_STALE_LOCK_MINUTES = 10;
+
+const jobHandlers = {};
+
+function registerJob(type, handler) {
+  jobHandlers[type] = handler;
+}
+
+// SQLite DATETIME format (UTC) for comparisons against CURRENT_TIMESTAMP
+function toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Queue a job. Re-enqueueing with the same idempotency key is a no-op that
+// returns the existing job id.
+function enqueueJob(type, payload, { idempotencyKey, runAt, maxAttempts } = {}) {
+  const id = uuidv4();
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO jobs (id, type, payload, idempotency_key, run_at, max_attempts)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, type, JSON.stringify(payload), idempotencyKey || null, toSqlDate(runAt || new Date()), maxAttempts || 5);
+
+  if (!result.changes) {
+    return db.prepare('SELECT id FROM jobs WHERE idempotency_key = ?').get(idempotencyKey).id;
+  }
+  return id;
+}
+
+// attachments are nodemailer attachments with string content (they're stored as JSON)
+function enqueueEmail(to, subject, html, { text, template, idempotencyKey, attachments, headers, fromName } = {}) {
+  return enqueueJob('email', { to, subject, html, text, template, attachments, headers, fromName }, { idempotencyKey });
+}
+
+const claimNextJob = db.transaction(() => {
+  const job = db.prepare(`
+    SELECT * FROM jobs
+    WHERE status IN ('queued', 'failed') AND run_at <= datetime('now')
+    ORDER BY run_at
+    LIMIT 1
+  `).get();
+  if (!job) return null;
+
+  db.prepare(`
+    UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(job.id);
+  return { ...job, attempts: job.attempts + 1 };
+});
+
+async function runJob(job) {
+  try {
+    const handler = jobHandlers[job.type];
+    if (!handler) throw new Error(`No handler registered for job type '${job.type}'`);
+    await handler(JSON.parse(job.payload), job);
+
+    db.prepare(`
+      UPDATE jobs SET status = 'completed', last_error = NULL, locked_at = NULL,
+      completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(job.id);
+  } catch (err) {
+    const dead = job.attempts >= job.max_attempts;
+    const delay = Math.min(JOB_BACKOFF_BASE_SECONDS * 2 ** (job.attempts - 1), JOB_BACKOFF_MAX_SECONDS);
+    console.error(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, err.message);
+
+    db.prepare(`
+      UPDATE jobs SET status = ?, last_error = ?, locked_at = NULL, run_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(dead ? 'dead' : 'failed', err.message, toSqlDate(new Date(Date.now() + delay * 1000)), job.id);
+  }
+}
+
+let jobWorkerBusy = false;
+
+async function processJobs() {
+  if (jobWorkerBusy) return;
+  jobWorkerBusy = true;
+  try {
+    // A crash mid-job leaves it 'running' forever — hand those back to the queue
+    db.prepare(`
+      UPDATE jobs SET status = 'failed', locked_at = NULL, last_error = 'Worker stopped while running job'
+      WHERE status = 'running' AND locked_at < datetime('now', ?)
+    `).run(`-${JOB_STALE_LOCK_MINUTES} minutes`);
+
+    let job;
+    while ((job = claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('Job worker error:', err);
+  } finally {
+    jobWorkerBusy = false;
+  }
+}
+
+function startJobWorker() {
+  setInterval(processJobs, JOB_POLL_INTERVAL_MS).unref();
+  processJobs();
+}
+
+registerJob('email', async ({ to, subject, html, text, template, attachments, headers, fromName }) => {
+  const info = await sendEmail(to, subject, html, text, template, { attachments, headers, fromName });
+  if (!info) throw new Error(`Email to ${to} failed`);
+});
+
+// Generic outbound HTTP POST — any non-2xx response is retried
+registerJob('webhook', async ({ url, body, headers }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!response.ok) throw new Error(`Webhook ${url} responded ${response.status}`);
+});
+
+
+// ─── SCHEDULER ───
+// In-process periodic tasks. Every task must be safe to run repeatedly and
+// to catch up after a restart — they check state rather than trusting the clock.
+const scheduledTasks = [];
+
+function scheduleTask(name, intervalMs, fn) {
+  scheduledTasks.push({ name, intervalMs, fn, running: false });
+}
+
+function startScheduler() {
+  for (const task of scheduledTasks) {
+    const run = async () => {
+      if (task.running) return;
+      task.running = true;
+      try {
+        await task.fn();
+      } catch (err) {
+        console.error(`Scheduled task ${task.name} failed:`, err);
+      } finally {
+        task.running = false;
+      }
+    };
+    setInterval(run, task.intervalMs).unref();
+    run();
+  }
+}
+
+
 // ─── EMAIL TEMPLATES ───
 function getEmailTemplate(type, data) {
   const templates = {
@@ -252,6 +333,93 @@ function getEmailTemplate(type, data) {
       `
     },
 
+    trial_reminder: {
+      subject: `${data.daysLeft === 1 ? 'Last day' : `${data.daysLeft} days left`} in your LeadFlow24 trial, ${data.firstName}`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px;margin:0 auto;background:#0A2540;color:white;border-radius:12px;overflow:hidden;">
+          <div style="background:#0F172A;padding:24px 32px;border-bottom:1px solid rgba(255,255,255,0.06);">
+            <span style="font-weight:800;font-size:18px;color:white;">LeadFlow<span style="color:#0066FF;">24</span></span>
+            <span style="float:right;color:rgba(255,255,255,0.3);font-size:12px;">Day ${data.day} of ${data.trialDays}</span>
+          </div>
+          <div style="padding:32px;">
+            <h1 style="font-size:22px;margin-bottom:12px;color:white;">${data.leadsDelivered} leads so far, ${data.firstName}.</h1>
+            <p style="color:rgba(255,255,255,0.5);font-size:14px;line-height:1.65;margin-bottom:24px;">
+              Your free trial ends in ${data.daysLeft === 1 ? '1 day' : `${data.daysLeft} days`}. Pick a plan before then and your campaign keeps running without a gap — same landing page, same ads, leads straight to your phone.
+            </p>
+            <a href="${data.upgradeUrl}" style="display:block;text-align:center;background:#10B981;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:14px;text-decoration:none;margin-bottom:12px;">Keep My Leads Coming →</a>
+            ${data.dashboardUrl ? `<a href="${data.dashboardUrl}" style="display:block;text-align:center;color:#0066FF;font-size:13px;text-decoration:none;">See every lead in your dashboard</a>` : ''}
+            <p style="color:rgba(255,255,255,0.35);font-size:12px;margin-top:20px;">
+              Questions? Reply to this email or call us directly.<br>
+              — The LeadFlow24 Team
+            </p>
+          </div>
+        </div>
+      `
+    },
+
+    trial_expired: {
+      subject: `Your LeadFlow24 trial has ended, ${data.firstName}`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px;margin:0 auto;background:#0A2540;color:white;border-radius:12px;overflow:hidden;">
+          <div style="background:#0F172A;padding:24px 32px;border-bottom:1px solid rgba(255,255,255,0.06);">
+            <span style="font-weight:800;font-size:18px;color:white;">LeadFlow<span style="color:#0066FF;">24</span></span>
+          </div>
+          <div style="padding:32px;">
+            <h1 style="font-size:22px;margin-bottom:12px;color:white;">Your campaign is paused.</h1>
+            <p style="color:rgba(255,255,255,0.5);font-size:14px;line-height:1.65;margin-bottom:24px;">
+              Your ${data.trialDays}-day trial delivered ${data.leadsDelivered} leads. We've paused your ads — pick a plan any time and we'll switch them back on.
+            </p>
+            <a href="${data.upgradeUrl}" style="display:block;text-align:center;background:#0066FF;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:14px;text-decoration:none;">Restart My Campaign →</a>
+            <p style="color:rgba(255,255,255,0.35);font-size:12px;margin-top:20px;">
+              — The LeadFlow24 Team
+            </p>
+          </div>
+        </div>
+      `
+    },
+
+    payment_failed: {
+      subject: `Your LeadFlow24 payment didn't go through`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px;margin:0 auto;background:#0A2540;color:white;border-radius:12px;overflow:hidden;">
+          <div style="background:#0F172A;padding:24px 32px;border-bottom:1px solid rgba(255,255,255,0.06);">
+            <span style="font-weight:800;font-size:18px;color:white;">LeadFlow<span style="color:#0066FF;">24</span></span>
+          </div>
+          <div style="padding:32px;">
+            <h1 style="font-size:22px;margin-bottom:12px;color:white;">We couldn't take your payment, ${escapeXml(data.contactName)}.</h1>
+            <p style="color:rgba(255,255,255,0.5);font-size:14px;line-height:1.65;margin-bottom:24px;">
+              Your leads keep coming until ${data.graceEndsOn}. Update your payment method before then so your campaign isn't paused.
+            </p>
+            <a href="${data.billingUrl}" style="display:block;text-align:center;background:#0066FF;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:14px;text-decoration:none;">Update Payment Method →</a>
+            <p style="color:rgba(255,255,255,0.35);font-size:12px;margin-top:20px;">
+              — The LeadFlow24 Team
+            </p>
+          </div>
+        </div>
+      `
+    },
+
+    account_suspended: {
+      subject: `Your LeadFlow24 campaign is paused`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px;margin:0 auto;background:#0A2540;color:white;border-radius:12px;overflow:hidden;">
+          <div style="background:#0F172A;padding:24px 32px;border-bottom:1px solid rgba(255,255,255,0.06);">
+            <span style="font-weight:800;font-size:18px;color:white;">LeadFlow<span style="color:#0066FF;">24</span></span>
+          </div>
+          <div style="padding:32px;">
+            <h1 style="font-size:22px;margin-bottom:12px;color:white;">Your campaign is paused.</h1>
+            <p style="color:rgba(255,255,255,0.5);font-size:14px;line-height:1.65;margin-bottom:24px;">
+              We still haven't been able to take your payment, so new leads are on hold. Update your payment method and we'll switch everything back on.
+            </p>
+            <a href="${data.billingUrl}" style="display:block;text-align:center;background:#0066FF;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:14px;text-decoration:none;">Update Payment Method →</a>
+            <p style="color:rgba(255,255,255,0.35);font-size:12px;margin-top:20px;">
+              — The LeadFlow24 Team
+            </p>
+          </div>
+        </div>
+      `
+    },
+
     new_lead_notification: {
       subject: `🔔 New Lead: ${data.leadName} needs ${data.serviceNeeded}`,
       html: `
@@ -267,14 +435,106 @@ function getEmailTemplate(type, data) {
             <p style="color:rgba(255,255,255,0.5);font-size:14px;margin-bottom:20px;">Speed matters — call within 5 minutes for the best close rate.</p>
             <div style="background:rgba(255,255,255,0.04);border-radius:10px;padding:20px;border:1px solid rgba(255,255,255,0.06);">
               <table style="width:100%;border-collapse:collapse;">
-                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Name</td><td style="color:white;font-weight:600;font-size:14px;padding:6px 0;">${data.leadName}</td></tr>
-                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Phone</td><td style="color:#0066FF;font-weight:700;font-size:16px;padding:6px 0;"><a href="tel:${data.phone}" style="color:#0066FF;text-decoration:none;">${data.phone}</a></td></tr>
-                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Service</td><td style="color:white;font-size:14px;padding:6px 0;">${data.serviceNeeded}</td></tr>
-                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Location</td><td style="color:white;font-size:14px;padding:6px 0;">${data.city || 'Edmonton area'}</td></tr>
-                ${data.message ? `<tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Message</td><td style="color:rgba(255,255,255,0.6);font-size:13px;padding:6px 0;">${data.message}</td></tr>` : ''}
+                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Name</td><td style="color:white;font-weight:600;font-size:14px;padding:6px 0;">${escapeXml(data.leadName)}</td></tr>
+                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Phone</td><td style="color:#0066FF;font-weight:700;font-size:16px;padding:6px 0;"><a href="tel:${escapeXml(data.phone)}" style="color:#0066FF;text-decoration:none;">${escapeXml(data.phone)}</a></td></tr>
+                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Service</td><td style="color:white;font-size:14px;padding:6px 0;">${escapeXml(data.serviceNeeded)}</td></tr>
+                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Location</td><td style="color:white;font-size:14px;padding:6px 0;">${escapeXml(data.city || 'Edmonton area')}</td></tr>
+                ${data.message ? `<tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Message</td><td style="color:rgba(255,255,255,0.6);font-size:13px;padding:6px 0;">${escapeXml(data.message)}</td></tr>` : ''}
+                ${(data.customFields || []).map(f => `<tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">${escapeXml(f.label)}</td><td style="color:white;font-size:14px;padding:6px 0;">${escapeXml(f.value)}</td></tr>`).join('')}
+              </table>
+            </div>
+            <a href="tel:${escapeXml(data.phone)}" style="display:block;text-align:center;background:#0066FF;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:15px;margin-top:20px;text-decoration:none;">📞 Call ${escapeXml(data.leadName)} Now</a>
+          </div>
+        </div>
+      `
+    },
+
+    homeowner_confirmation: {
+      subject: `We got your request, ${data.firstName} — ${data.businessName}`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px;margin:0 auto;background:#0A2540;color:white;border-radius:12px;overflow:hidden;">
+          <div style="background:#0F172A;padding:24px 32px;border-bottom:1px solid rgba(255,255,255,0.06);">
+            <span style="font-weight:800;font-size:18px;color:white;">${escapeXml(data.businessName)}</span>
+          </div>
+          <div style="padding:32px;">
+            <h1 style="font-size:22px;margin-bottom:12px;color:white;">Thanks, ${escapeXml(data.firstName)}. We're on it.</h1>
+            <p style="color:rgba(255,255,255,0.5);font-size:14px;line-height:1.65;margin-bottom:20px;">
+              ${escapeXml(data.businessName)} got your request${data.service ? ` for <strong style="color:white;">${escapeXml(data.service)}</strong>` : ''} and will call you shortly with a free estimate. Keep your phone handy.
+            </p>
+            ${data.phone ? `<a href="tel:${escapeXml(data.phone)}" style="display:block;text-align:center;background:#10B981;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:14px;text-decoration:none;">📞 Can't wait? Call ${escapeXml(data.phone)}</a>` : ''}
+            <p style="color:rgba(255,255,255,0.35);font-size:12px;margin-top:20px;">— ${escapeXml(data.businessName)}</p>
+            ${data.unsubscribeUrl ? `<p style="color:rgba(255,255,255,0.25);font-size:11px;margin-top:16px;">Don't want these emails? <a href="${data.unsubscribeUrl}" style="color:rgba(255,255,255,0.4);">Unsubscribe</a></p>` : ''}
+          </div>
+        </div>
+      `
+    },
+
+    homeowner_follow_up: {
+      subject: `Still need help${data.service ? ` with ${data.service}` : ''}, ${data.firstName}?`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px;margin:0 auto;background:#0A2540;color:white;border-radius:12px;overflow:hidden;">
+          <div style="background:#0F172A;padding:24px 32px;border-bottom:1px solid rgba(255,255,255,0.06);">
+            <span style="font-weight:800;font-size:18px;color:white;">${escapeXml(data.businessName)}</span>
+          </div>
+          <div style="padding:32px;">
+            <h1 style="font-size:22px;margin-bottom:12px;color:white;">Sorry we missed you, ${escapeXml(data.firstName)}.</h1>
+            <p style="color:rgba(255,255,255,0.5);font-size:14px;line-height:1.65;margin-bottom:20px;">
+              We haven't been able to reach you about your request yet. ${data.phone ? 'Give us a call whenever suits you, or reply to this email with a good time to reach you.' : 'Reply to this email with a good time to reach you and we will call then.'}
+            </p>
+            ${data.phone ? `<a href="tel:${escapeXml(data.phone)}" style="display:block;text-align:center;background:#0066FF;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:14px;text-decoration:none;">📞 Call ${escapeXml(data.phone)}</a>` : ''}
+            <p style="color:rgba(255,255,255,0.35);font-size:12px;margin-top:20px;">— ${escapeXml(data.businessName)}</p>
+            ${data.unsubscribeUrl ? `<p style="color:rgba(255,255,255,0.25);font-size:11px;margin-top:16px;">Don't want these emails? <a href="${data.unsubscribeUrl}" style="color:rgba(255,255,255,0.4);">Unsubscribe</a></p>` : ''}
+          </div>
+        </div>
+      `
+    },
+
+    appointment_confirmation: {
+      subject: data.forContractor
+        ? `📅 Booked: ${data.leadName} — ${data.when}`
+        : `Your ${data.businessName} appointment: ${data.when}`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px;margin:0 auto;background:#0A2540;color:white;border-radius:12px;overflow:hidden;">
+          <div style="background:#0F172A;padding:24px 32px;border-bottom:1px solid rgba(255,255,255,0.06);">
+            <span style="font-weight:800;font-size:18px;color:white;">LeadFlow<span style="color:#0066FF;">24</span></span>
+          </div>
+          <div style="padding:32px;">
+            <h1 style="font-size:22px;margin-bottom:8px;color:white;">${data.forContractor ? `${escapeXml(data.leadName)} booked a visit.` : "You're booked in."}</h1>
+            <p style="color:rgba(255,255,255,0.5);font-size:14px;margin-bottom:20px;">${data.forContractor ? 'They picked this time on your quote page. It is in the attached calendar invite.' : `${escapeXml(data.businessName)} will see you then. Add it to your calendar with the attached invite.`}</p>
+            <div style="background:rgba(255,255,255,0.04);border-radius:10px;padding:20px;border:1px solid rgba(255,255,255,0.06);">
+              <table style="width:100%;border-collapse:collapse;">
+                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">When</td><td style="color:white;font-weight:600;font-size:14px;padding:6px 0;">${data.when}</td></tr>
+                <tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Service</td><td style="color:white;font-size:14px;padding:6px 0;">${escapeXml(data.service)}</td></tr>
+                ${data.address ? `<tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Where</td><td style="color:white;font-size:14px;padding:6px 0;">${escapeXml(data.address)}</td></tr>` : ''}
+                ${data.phone ? `<tr><td style="color:rgba(255,255,255,0.35);font-size:11px;text-transform:uppercase;letter-spacing:0.06em;padding:6px 0;">Phone</td><td style="color:#0066FF;font-weight:700;font-size:14px;padding:6px 0;"><a href="tel:${escapeXml(data.phone)}" style="color:#0066FF;text-decoration:none;">${escapeXml(data.phone)}</a></td></tr>` : ''}
               </table>
             </div>
-            <a href="tel:${data.phone}" style="display:block;text-align:center;background:#0066FF;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:15px;margin-top:20px;text-decoration:none;">📞 Call ${data.leadName} Now</a>
+            <p style="color:rgba(255,255,255,0.35);font-size:12px;margin-top:20px;">
+              ${data.forContractor ? 'Need to move it? Cancel it from your dashboard and give them a call.' : 'Need to change the time? Just call us.'}<br>
+              — The LeadFlow24 Team
+            </p>
+            ${data.unsubscribeUrl ? `<p style="color:rgba(255,255,255,0.25);font-size:11px;margin-top:16px;">Don't want these emails? <a href="${data.unsubscribeUrl}" style="color:rgba(255,255,255,0.4);">Unsubscribe</a></p>` : ''}
+          </div>
+        </div>
+      `
+    },
+
+    appointment_cancelled: {
+      subject: `Cancelled: ${data.forContractor ? data.leadName : data.businessName} — ${data.when}`,
+      html: `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px;margin:0 auto;background:#0A2540;color:white;border-radius:12px;overflow:hidden;">
+          <div style="background:#0F172A;padding:24px 32px;border-bottom:1px solid rgba(255,255,255,0.06);">
+            <span style="font-weight:800;font-size:18px;color:white;">LeadFlow<span style="color:#0066FF;">24</span></span>
+          </div>
+          <div style="padding:32px;">
+            <h1 style="font-size:22px;margin-bottom:8px;color:white;">Appointment cancelled.</h1>
+            <p style="color:rgba(255,255,255,0.5);font-size:14px;line-height:1.65;">
+              ${data.forContractor ? `Your visit with ${escapeXml(data.leadName)}` : `Your appointment with ${escapeXml(data.businessName)}`} on ${data.when} has been cancelled.
+              ${data.reason ? `<br>Reason: ${escapeXml(data.reason)}` : ''}
+              ${data.forContractor ? '' : '<br>They will call you to find a better time.'}
+            </p>
+            <p style="color:rgba(255,255,255,0.35);font-size:12px;margin-top:20px;">— The LeadFlow24 Team</p>
+            ${data.unsubscribeUrl ? `<p style="color:rgba(255,255,255,0.25);font-size:11px;margin-top:16px;">Don't want these emails? <a href="${data.unsubscribeUrl}" style="color:rgba(255,255,255,0.4);">Unsubscribe</a></p>` : ''}
           </div>
         </div>
       `
@@ -285,7 +545,7 @@ function getEmailTemplate(type, data) {
       html: `
         <div style="font-family:monospace;max-width:600px;margin:0 auto;background:#0F172A;color:white;padding:24px;border-radius:8px;">
           <div style="border-bottom:1px solid rgba(255,255,255,0.1);padding-bottom:12px;margin-bottom:16px;">
-            <strong style="color:#C5A44E;">[${data.type.toUpperCase()}]</strong> <span style="color:rgba(255,255,255,0.5);">${new Date().toISOString()}</span>
+            <strong style="color:#C5A44E;">[${(data.type || '').toUpperCase()}]</strong> <span style="color:rgba(255,255,255,0.5);">${new Date().toISOString()}</span>
           </div>
           <pre style="color:rgba(255,255,255,0.7);font-size:13px;line-height:1.6;white-space:pre-wrap;">${JSON.stringify(data.details, null, 2)}</pre>
         </div>
@@ -316,7 +576,7 @@ function getEmailTemplate(type, data) {
                 <div style="font-size:10px;color:rgba(255,255,255,0.35);text-transform:uppercase;letter-spacing:0.06em;margin-top:4px;">Revenue</div>
               </div>
             </div>
-            <a href="${process.env.BASE_URL || 'https://leadflow24.com'}/dashboard" style="display:block;text-align:center;background:#0066FF;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:14px;text-decoration:none;">View Full Dashboard →</a>
+            <a href="${data.dashboardUrl || `${process.env.BASE_URL || 'https://leadflow24.com'}/dashboard`}" style="display:block;text-align:center;background:#0066FF;color:white;padding:14px;border-radius:8px;font-weight:700;font-size:14px;text-decoration:none;">View Full Dashboard →</a>
             <p style="color:rgba(255,255,255,0.3);font-size:11px;margin-top:20px;text-align:center;">
               Every lead. Every dollar. Tracked. — LeadFlow24
             </p>
@@ -324,372 +584,5969 @@ function getEmailTemplate(type, data) {
         </div>
       `
     }
-  };
+  };
+
+  return templates[type] || null;
+}
+
+
+// ─── NOTIFICATION CHANNELS ───
+// Speed-to-lead alerts for contractors. Each channel has a send(recipient,
+// message) that resolves to a provider message id or throws; every attempt
+// lands in notification_log. SMS and voice use Twilio's REST API —
+// TWILIO_API_URL can point at a local stub.
+const TWILIO_API_URL = process.env.TWILIO_API_URL || 'https://api.twilio.com';
+
+async function twilioRequest(resource, params) {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+  if (!sid || !token || !from) throw new Error('Twilio is not configured');
+
+  const response = await fetch(`${TWILIO_API_URL}/2010-04-01/Accounts/${sid}/${resource}`, {
+    method: 'POST',
+    headers: {
+      Authorization: 'Basic ' + Buffer.from(`${sid}:${token}`).toString('base64'),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ From: from, ...params }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(`Twilio ${response.status}: ${body.message || 'request failed'}`);
+  return body;
+}
+
+// Twilio signs callbacks with HMAC-SHA1 over the full URL plus sorted POST params
+function verifyTwilioSignature(req) {
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers['x-twilio-signature'];
+  if (!token || !signature) return false;
+
+  const url = `${process.env.BASE_URL || 'https://leadflow24.com'}${req.originalUrl}`;
+  const data = Object.keys(req.body || {}).sort().reduce((acc, key) => acc + key + req.body[key], url);
+  const expected = Buffer.from(crypto.createHmac('sha1', token).update(data).digest('base64'));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+// '(780) 555-0123' → '+17805550123'
+function toE164(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return digits ? `+${digits}` : null;
+}
+
+const notificationChannels = {
+  email: {
+    async send(to, message) {
+      const info = await sendEmail(to, message.subject, message.html, message.text);
+      if (!info) throw new Error('Email send failed');
+      return info.messageId || null;
+    }
+  },
+
+  sms: {
+    async send(to, message) {
+      const result = await twilioRequest('Messages.json', { To: toE164(to), Body: message.text });
+      return result.sid || null;
+    }
+  },
+
+  // Calls the contractor and reads the lead out; pressing 1 bridges the call
+  // to the homeowner (see POST /api/voice/leads/:id/connect)
+  voice: {
+    async send(to, message) {
+      const result = await twilioRequest('Calls.json', { To: toE164(to), Twiml: message.twiml });
+      return result.sid || null;
+    }
+  },
+};
+
+const NOTIFICATION_CHANNELS = Object.keys(notificationChannels);
+
+function logNotification({ clientId, leadId, channel, recipient, status, providerId, error }) {
+  db.prepare(`
+    INSERT INTO notification_log (id, client_id, lead_id, channel, recipient, status, provider_id, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(uuidv4(), clientId || null, leadId || null, channel, recipient || '', status, providerId || null, error || null);
+}
+
+// Wall-clock parts for a date in an IANA timezone
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+
+  return {
+    year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+    hour: Number(parts.hour), minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Quiet hours are 'HH:MM' in the client's timezone and may wrap midnight (21:00 → 07:00)
+function inQuietHours(client, now = new Date()) {
+  if (!client.quiet_hours_start || !client.quiet_hours_end) return false;
+
+  const toMinutes = hhmm => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+  const { hour, minute } = getZonedParts(now, client.timezone || 'America/Edmonton');
+  const current = hour * 60 + minute;
+  const start = toMinutes(client.quiet_hours_start);
+  const end = toMinutes(client.quiet_hours_end);
+
+  return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+function buildLeadAlert(channel, lead) {
+  const service = lead.service_needed || 'Service request';
+  const city = lead.city || 'Local area';
+
+  if (channel === 'email') {
+    return getEmailTemplate('new_lead_notification', {
+      leadName: lead.name,
+      phone: lead.phone,
+      serviceNeeded: service,
+      city,
+      message: lead.message,
+      customFields: parseCustomFields(lead)
+    });
+  }
+
+  if (channel === 'sms') {
+    // First couple of form answers, enough to triage before calling
+    const answers = parseCustomFields(lead).slice(0, 2).map(f => ` ${f.label}: ${f.value}.`).join('');
+    return { text: `LeadFlow24: New lead! ${lead.name} ${lead.phone} needs ${service} (${city}).${answers} Call within 5 minutes.` };
+  }
+
+  const connectUrl = `${process.env.BASE_URL || 'https://leadflow24.com'}/api/voice/leads/${lead.id}/connect`;
+  return {
+    twiml: `<Response>` +
+      `<Gather numDigits="1" timeout="10" method="POST" action="${escapeXml(connectUrl)}">` +
+      `<Say>New LeadFlow24 lead. ${escapeXml(lead.name)} needs ${escapeXml(service)} in ${escapeXml(city)}. Press 1 to connect to the lead now.</Say>` +
+      `</Gather>` +
+      `<Say>No problem. The lead details are in your email. Goodbye.</Say>` +
+      `</Response>`
+  };
+}
+
+// Sends one alert on one channel, logging the attempt. Failures are rethrown
+// so the job queue retries them.
+registerJob('notification', async ({ clientId, leadId, channel, recipient, message }) => {
+  const entry = { clientId, leadId, channel, recipient };
+  try {
+    const providerId = await notificationChannels[channel].send(recipient, message);
+    logNotification({ ...entry, status: 'sent', providerId });
+  } catch (err) {
+    logNotification({ ...entry, status: 'failed', error: err.message });
+    throw err;
+  }
+});
+
+// Alert a client about a new lead on every channel they've opted into.
+// Email always goes out; SMS and voice are held back during quiet hours.
+function notifyClientOfLead(client, lead) {
+  const channels = (client.notify_channels || 'email').split(',').map(c => c.trim()).filter(c => notificationChannels[c]);
+  const quiet = inQuietHours(client);
+
+  for (const channel of channels) {
+    const recipient = channel === 'email' ? client.email : (client.notify_phone || client.phone);
+
+    if (channel !== 'email' && quiet) {
+      logNotification({ clientId: client.id, leadId: lead.id, channel, recipient, status: 'suppressed', error: 'Quiet hours' });
+      continue;
+    }
+
+    enqueueJob('notification', {
+      clientId: client.id, leadId: lead.id, channel, recipient, message: buildLeadAlert(channel, lead),
+    }, { idempotencyKey: `lead:${lead.id}:alert:${client.id}:${channel}` });
+  }
+}
+
+// Text the operator (NOTIFICATION_PHONE) about a new lead when Twilio is set up
+function notifyOperatorBySms(lead) {
+  const to = process.env.NOTIFICATION_PHONE;
+  if (!to || !process.env.TWILIO_ACCOUNT_SID) return;
+
+  const text = `LeadFlow24: ${lead.name} ${lead.phone} — ${lead.service_needed || 'Service request'} (${lead.capture_page || 'direct'})`;
+  enqueueJob('notification', {
+    clientId: lead.client_id, leadId: lead.id, channel: 'sms', recipient: to, message: { text },
+  }, { idempotencyKey: `lead:${lead.id}:operator_sms` });
+}
+
+
+// ─── OUTBOUND WEBHOOKS ───
+// Clients subscribe a URL to events and we POST a JSON envelope for each one:
+//   { id, type, created_at, client_id, data }
+// Each request carries
+//   X-LeadFlow24-Event:     event type
+//   X-LeadFlow24-Delivery:  delivery id (stable across retries)
+//   X-LeadFlow24-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the subscription secret>
+// Deliveries run through the job queue and every attempt is recorded in
+// webhook_deliveries.
+const WEBHOOK_EVENTS = ['lead.created', 'lead.status_changed', 'client.report_ready', 'appointment.booked', 'appointment.cancelled'];
+const WEBHOOK_MAX_ATTEMPTS = 8;
+
+// Client webhooks only go to public hosts, so nobody can point one at the
+// server's own network (localhost, private ranges, cloud metadata at 169.254.169.254)
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function webhookHostname(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '');
+}
+
+// True when a webhook URL's host is (or, for a name, resolves to) a private address
+async function isPrivateWebhookTarget(url) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true') return false;
+  const host = webhookHostname(url);
+  if (net.isIP(host)) return isPrivateAddress(host);
+  const addresses = await dns.lookup(host, { all: true });
+  return addresses.some(({ address }) => isPrivateAddress(address));
+}
+
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function queueWebhookDelivery(subscription, event, envelope) {
+  const deliveryId = uuidv4();
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, subscription_id, event_id, event, payload)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(deliveryId, subscription.id, envelope.id, event, JSON.stringify(envelope));
+
+  const jobId = enqueueJob('webhook_delivery', { deliveryId }, {
+    idempotencyKey: `webhook_delivery:${deliveryId}`,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  });
+  db.prepare('UPDATE webhook_deliveries SET job_id = ? WHERE id = ?').run(jobId, deliveryId);
+  return deliveryId;
+}
+
+// Fan an event out to every active subscription of the client that wants it
+function emitWebhookEvent(clientId, event, data) {
+  if (!clientId) return;
+
+  const subscriptions = db.prepare('SELECT * FROM webhook_subscriptions WHERE client_id = ? AND active = 1').all(clientId)
+    .filter(s => JSON.parse(s.events).includes(event));
+  if (!subscriptions.length) return;
+
+  const envelope = { id: uuidv4(), type: event, created_at: new Date().toISOString(), client_id: clientId, data };
+  for (const subscription of subscriptions) {
+    queueWebhookDelivery(subscription, event, envelope);
+  }
+}
+
+registerJob('webhook_delivery', async ({ deliveryId }, job) => {
+  const delivery = db.prepare(`
+    SELECT d.*, s.url, s.secret, s.active FROM webhook_deliveries d
+    JOIN webhook_subscriptions s ON s.id = d.subscription_id
+    WHERE d.id = ?
+  `).get(deliveryId);
+  if (!delivery) return;
+  if (!delivery.active && delivery.event !== 'webhook.test') {
+    db.prepare("UPDATE webhook_deliveries SET status = 'cancelled' WHERE id = ?").run(deliveryId);
+    return;
+  }
+
+  let responseStatus = null;
+  let error = null;
+  let refused = false;
+  try {
+    // Checked on every attempt: a hostname can be re-pointed after subscribing
+    refused = await isPrivateWebhookTarget(delivery.url);
+    if (refused) throw new Error('URL resolves to a private or loopback address');
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'LeadFlow24-Webhooks/1.0',
+        'X-LeadFlow24-Event': delivery.event,
+        'X-LeadFlow24-Delivery': delivery.id,
+        'X-LeadFlow24-Signature': signWebhookPayload(delivery.secret, delivery.payload),
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(10000),
+    });
+    responseStatus = response.status;
+    if (!response.ok) error = `Responded ${response.status}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  const status = !error ? 'delivered' : refused || job.attempts >= job.max_attempts ? 'failed' : 'retrying';
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = ?, attempts = attempts + 1, response_status = ?, last_error = ?,
+    last_attempt_at = CURRENT_TIMESTAMP, delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+    WHERE id = ?
+  `).run(status, responseStatus, error, status, deliveryId);
+
+  // A refused target won't change on retry
+  if (error && !refused) throw new Error(`Webhook ${delivery.url}: ${error}`);
+});
+
+
+// ─── WEEKLY REPORTS ───
+// Every Monday from WEEKLY_REPORT_HOUR in the client's timezone, each active
+// client gets last week's (Mon–Sun) numbers. weekly_reports has one row per
+// client per week, so a report is never sent twice.
+const WEEKLY_REPORT_HOUR = 8;
+
+// Plain calendar-date helpers ('YYYY-MM-DD', no timezone involved)
+// Whether text is a YYYY-MM-DD that names a real day (not 2024-02-31)
+function isCalendarDate(text) {
+  if (typeof text !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text;
+}
+
+// What's wrong with an optional ?from=&to= day range, or null if nothing
+function dateRangeError(from, to) {
+  if ((from && !isCalendarDate(from)) || (to && !isCalendarDate(to))) return 'from and to must be YYYY-MM-DD';
+  if (from && to && from > to) return 'from must not be after to';
+  return null;
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function mondayOf(dateStr) {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return addDays(dateStr, -((weekday + 6) % 7));
+}
+
+function localDateString(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// The UTC instant of local midnight on dateStr in timeZone
+function zonedMidnightToUtc(dateStr, timeZone) {
+  return zonedTimeToUtc(dateStr, '00:00', timeZone);
+}
+
+// The UTC instant of local time HH:MM on dateStr in timeZone
+function zonedTimeToUtc(dateStr, time, timeZone) {
+  const guess = new Date(`${dateStr}T${time}:00Z`);
+  const offsetAt = date => {
+    const p = getZonedParts(date, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(date.getTime() / 60000) * 60000;
+  };
+  const first = new Date(guess.getTime() - offsetAt(guess));
+  // Re-check once in case the guess landed on the other side of a DST change
+  return new Date(guess.getTime() - offsetAt(first));
+}
+
+function buildWeeklyReport(client, weekStart) {
+  const timeZone = client.timezone || 'America/Edmonton';
+  const from = toSqlDate(zonedMidnightToUtc(weekStart, timeZone));
+  const to = toSqlDate(zonedMidnightToUtc(addDays(weekStart, 7), timeZone));
+
+  const leadsThisWeek = db.prepare(`
+    SELECT COUNT(*) as count FROM leads WHERE client_id = ? AND status != 'quarantined' AND credited_at IS NULL
+    AND created_at >= ? AND created_at < ?
+  `).get(client.id, from, to).count;
+
+  const booked = db.prepare(`
+    SELECT COUNT(*) as count, COALESCE(SUM(job_value), 0) as revenue FROM leads
+    WHERE client_id = ? AND status IN ('booked', 'completed')
+    AND COALESCE(booked_at, created_at) >= ? AND COALESCE(booked_at, created_at) < ?
+  `).get(client.id, from, to);
+
+  const stats = { leadsThisWeek, jobsBooked: booked.count, revenue: Math.round(booked.revenue) };
+  const email = getEmailTemplate('weekly_report', {
+    businessName: client.business_name,
+    contactName: client.contact_name,
+    ...stats,
+    revenue: stats.revenue.toLocaleString('en-CA'),
+    dashboardUrl: dashboardUrl(client.dashboard_token),
+  });
+
+  return { weekStart, weekEnd: addDays(weekStart, 6), stats, subject: email.subject, html: email.html };
+}
+
+// Queue a client's report for the week starting weekStart (a Monday).
+// Returns null if it was already sent, unless resend is set.
+function sendWeeklyReport(client, weekStart, { resend = false } = {}) {
+  const report = buildWeeklyReport(client, weekStart);
+
+  const existing = db.prepare('SELECT * FROM weekly_reports WHERE client_id = ? AND week_start = ?').get(client.id, weekStart);
+  if (existing && !resend) return null;
+
+  const idempotencyKey = `weekly_report:${client.id}:${weekStart}` + (existing ? `:resend:${Date.now()}` : '');
+  const jobId = enqueueEmail(client.email, report.subject, report.html, { template: 'weekly_report', idempotencyKey });
+
+  db.prepare(`
+    INSERT INTO weekly_reports (id, client_id, week_start, leads_count, jobs_booked, revenue, job_id, sent_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(client_id, week_start) DO UPDATE SET
+      leads_count = excluded.leads_count, jobs_booked = excluded.jobs_booked, revenue = excluded.revenue,
+      job_id = excluded.job_id, sent_at = excluded.sent_at, send_count = send_count + 1
+  `).run(uuidv4(), client.id, weekStart, report.stats.leadsThisWeek, report.stats.jobsBooked, report.stats.revenue, jobId);
+
+  emitWebhookEvent(client.id, 'client.report_ready', {
+    weekStart: report.weekStart,
+    weekEnd: report.weekEnd,
+    stats: report.stats,
+    dashboardUrl: client.dashboard_token ? dashboardUrl(client.dashboard_token) : null,
+  });
+
+  return { ...report, jobId };
+}
+
+// Last week's report is due from Monday WEEKLY_REPORT_HOUR local time; checking
+// every day (not just Monday) catches up on reports missed while the server was down.
+function sendDueWeeklyReports(now = new Date()) {
+  const clients = db.prepare("SELECT * FROM clients WHERE status = 'active'").all();
+
+  for (const client of clients) {
+    const timeZone = client.timezone || 'America/Edmonton';
+    const local = getZonedParts(now, timeZone);
+    if (local.weekday === 1 && local.hour < WEEKLY_REPORT_HOUR) continue;
+
+    const weekStart = addDays(mondayOf(localDateString(now, timeZone)), -7);
+    const clientSince = client.onboarded_at || client.created_at;
+    if (clientSince && toSqlDate(zonedMidnightToUtc(addDays(weekStart, 7), timeZone)) <= clientSince) continue;
+
+    sendWeeklyReport(client, weekStart);
+  }
+}
+
+scheduleTask('weekly_reports', 15 * 60 * 1000, sendDueWeeklyReports);
+
+
+// ─── AUTH ───
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET not set — using a random secret, admin sessions will not survive a restart');
+}
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// owner: everything, including user management
+// account_manager: day-to-day client and lead operations
+// analyst: read-only access to reporting endpoints
+const ROLES = ['owner', 'account_manager', 'analyst'];
+const READ_ROLES = ROLES;
+const WRITE_ROLES = ['owner', 'account_manager'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issueAccessToken(user, sessionId) {
+  return jwt.sign({ sub: user.id, role: user.role, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+}
+
+// Create a login session and return its token pair
+function createSession(user, req) {
+  const sessionId = uuidv4();
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  db.prepare(`
+    INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+  `).run(sessionId, user.id, hashToken(refreshToken), req.headers['user-agent'] || null, req.ip, `+${REFRESH_TOKEN_TTL_DAYS} days`);
+
+  return {
+    accessToken: issueAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, role: user.role, status: user.status };
+}
+
+// Verify the bearer token and load the user onto req.user
+function authenticate(req, res, next) {
+  if (req.user) return next();
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  const user = db.prepare(`
+    SELECT u.* FROM users u
+    JOIN user_sessions s ON s.user_id = u.id
+    WHERE u.id = ? AND s.id = ? AND s.revoked_at IS NULL AND s.expires_at > datetime('now')
+  `).get(payload.sub, payload.sid);
+  if (!user || user.status !== 'active') {
+    return res.status(401).json({ error: 'Session is no longer valid' });
+  }
+
+  req.user = user;
+  req.sessionId = payload.sid;
+  next();
+}
+
+// Authenticate, then allow only the given roles through
+function requireRole(roles) {
+  return (req, res, next) => authenticate(req, res, () => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  });
+}
+
+// Create the first owner account from ADMIN_EMAIL / ADMIN_PASSWORD
+function bootstrapOwner() {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM users').get();
+  if (count > 0) return;
+
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) {
+    console.warn('No admin users exist — set ADMIN_EMAIL and ADMIN_PASSWORD to create the first owner account');
+    return;
+  }
+
+  db.prepare('INSERT INTO users (id, email, name, password_hash, role) VALUES (?, ?, ?, ?, ?)').run(
+    uuidv4(), email.toLowerCase().trim(), 'Owner', bcrypt.hashSync(password, 12), 'owner'
+  );
+  console.log(`Created owner account for ${email}`);
+}
+
+bootstrapOwner();
+
+
+// ─── LEAD PIPELINE ───
+//   new       → contacted | no_answer | booked (homeowner booked online) | lost
+//   no_answer → contacted | no_answer (another attempt) | booked | lost
+//   contacted → quoted | booked | no_answer | lost
+//   quoted    → booked | lost
+//   booked    → completed | lost
+//   completed, lost are final. Marking a lead lost needs a reason.
+//   quarantined (suspected spam) only leaves through the admin quarantine review.
+//   waitlisted (client at their lead cap) only leaves when it's delivered.
+const LEAD_TRANSITIONS = {
+  new: ['contacted', 'no_answer', 'booked', 'lost'],
+  no_answer: ['contacted', 'no_answer', 'booked', 'lost'],
+  contacted: ['quoted', 'booked', 'no_answer', 'lost'],
+  quoted: ['booked', 'lost'],
+  booked: ['completed', 'lost'],
+  completed: [],
+  lost: [],
+  quarantined: [],
+  waitlisted: [],
+};
+const LEAD_STATUSES = Object.keys(LEAD_TRANSITIONS);
+
+// Default minutes a lead may sit in 'new' before it's escalated (per-client override: clients.sla_minutes)
+const DEFAULT_LEAD_SLA_MINUTES = parseInt(process.env.LEAD_SLA_MINUTES || '15');
+
+// Returns why `lead` can't move to `status`, or null if it can
+function checkLeadTransition(lead, status, lostReason) {
+  if (!LEAD_TRANSITIONS[status]) {
+    return `Unknown status '${status}'. Valid statuses: ${LEAD_STATUSES.join(', ')}`;
+  }
+  const allowed = LEAD_TRANSITIONS[lead.status] || LEAD_STATUSES;
+  if (!allowed.includes(status)) {
+    return `Cannot move a lead from '${lead.status}' to '${status}'`;
+  }
+  if (status === 'lost' && !lostReason) {
+    return 'A lost_reason is required when marking a lead lost';
+  }
+  return null;
+}
+
+// Apply a validated status change, stamping contacted_at / booked_at the first time.
+// A homeowner booking themselves hasn't been contacted yet: pass contacted: false.
+function changeLeadStatus(lead, status, { lostReason, actor, contacted = ['contacted', 'quoted', 'booked'].includes(status) } = {}) {
+
+  db.prepare(`
+    UPDATE leads SET status = ?, lost_reason = ?,
+    contacted_at = CASE WHEN ? THEN COALESCE(contacted_at, CURRENT_TIMESTAMP) ELSE contacted_at END,
+    booked_at = CASE WHEN ? THEN COALESCE(booked_at, CURRENT_TIMESTAMP) ELSE booked_at END,
+    status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, status === 'lost' ? lostReason : null, contacted ? 1 : 0, status === 'booked' ? 1 : 0, lead.id);
+
+  logLeadActivity(lead.id, 'status_changed', { from: lead.status, to: status, lost_reason: status === 'lost' ? lostReason : undefined }, actor);
+
+  const updated = db.prepare('SELECT * FROM leads WHERE id = ?').get(lead.id);
+  emitWebhookEvent(lead.client_id, 'lead.status_changed', { from: lead.status, to: status, lead: toClientLead(updated) });
+}
+
+// Flag leads nobody has touched within their client's SLA and escalate them
+// to the operator. Only looks back a day so old untouched leads don't all
+// fire at once. Leads from an import with notifications suppressed are skipped.
+function escalateSlaBreaches() {
+  const breaches = db.prepare(`
+    SELECT l.*, c.business_name, COALESCE(c.sla_minutes, ?) as sla_minutes
+    FROM leads l
+    LEFT JOIN clients c ON c.id = l.client_id
+    WHERE l.status = 'new' AND l.sla_breached_at IS NULL
+    AND NOT EXISTS (SELECT 1 FROM imports i WHERE i.id = l.import_id AND i.suppress_notifications = 1)
+    AND COALESCE(l.delivered_at, l.created_at) >= datetime('now', '-1 day')
+    AND COALESCE(l.delivered_at, l.created_at) <= datetime('now', '-' || COALESCE(c.sla_minutes, ?) || ' minutes')
+  `).all(DEFAULT_LEAD_SLA_MINUTES, DEFAULT_LEAD_SLA_MINUTES);
+
+  for (const lead of breaches) {
+    db.prepare('UPDATE leads SET sla_breached_at = CURRENT_TIMESTAMP WHERE id = ?').run(lead.id);
+    logLeadActivity(lead.id, 'sla_breached', { sla_minutes: lead.sla_minutes });
+
+    const client = lead.business_name || 'Unassigned';
+    enqueueEmail(
+      process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+      `⏰ SLA BREACH: ${lead.name} untouched for ${lead.sla_minutes}+ min (${client})`,
+      getEmailTemplate('internal_notification', {
+        type: 'SLA Breach',
+        summary: `${lead.name} — ${client}`,
+        details: { id: lead.id, name: lead.name, phone: lead.phone, client, capture_page: lead.capture_page, created_at: lead.created_at, sla_minutes: lead.sla_minutes }
+      }).html,
+      { template: 'internal_notification', idempotencyKey: `lead:${lead.id}:sla_breach` }
+    );
+
+    if (process.env.NOTIFICATION_PHONE && process.env.TWILIO_ACCOUNT_SID) {
+      enqueueJob('notification', {
+        clientId: lead.client_id, leadId: lead.id, channel: 'sms', recipient: process.env.NOTIFICATION_PHONE,
+        message: { text: `LeadFlow24 SLA: ${lead.name} ${lead.phone} (${client}) still uncontacted after ${lead.sla_minutes} min.` },
+      }, { idempotencyKey: `lead:${lead.id}:sla_breach_sms` });
+    }
+  }
+}
+
+scheduleTask('lead_sla', 60 * 1000, escalateSlaBreaches);
+
+
+// ─── DUPLICATE DETECTION ───
+// A homeowner who submits again (or arrives through a second source) within
+// the client's duplicate window is matched on phone or email and attached to
+// the original lead. DUPLICATE_WINDOW_DAYS is the default window.
+const DEFAULT_DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS || '30');
+
+// Last 10 digits for North American numbers so '+1 (780) 555-0123' and '780.555.0123' match
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return value || null;
+}
+
+// Leads only match leads for the same client (or waitlisted for them);
+// unassigned leads only match other unassigned leads
+function findDuplicateLead(clientId, phoneNormalized, emailNormalized) {
+  if (!phoneNormalized && !emailNormalized) return null;
+
+  let windowDays = DEFAULT_DUPLICATE_WINDOW_DAYS;
+  if (clientId) {
+    const client = db.prepare('SELECT duplicate_window_days FROM clients WHERE id = ?').get(clientId);
+    if (client && client.duplicate_window_days != null) windowDays = client.duplicate_window_days;
+  }
+  if (windowDays <= 0) return null;
+
+  return db.prepare(`
+    SELECT * FROM leads
+    WHERE (client_id IS ? OR waitlist_client_id = ?) AND status != 'quarantined'
+    AND (phone_normalized = ? OR email_normalized = ?)
+    AND created_at >= datetime('now', ?)
+    ORDER BY created_at
+    LIMIT 1
+  `).get(clientId, clientId, phoneNormalized, emailNormalized, `-${windowDays} days`) || null;
+}
+
+// Fold `duplicate` into `primary`: fill gaps on the primary lead, move the
+// duplicate's history over, record a snapshot of it, and delete it.
+const mergeLeads = db.transaction((primary, duplicate, userId) => {
+  const fillable = ['email', 'service_needed', 'address', 'city', 'postal_code', 'message', 'utm_source', 'utm_medium', 'utm_campaign', 'job_value', 'contacted_at', 'booked_at'];
+  const updates = [];
+  const values = [];
+
+  for (const column of fillable) {
+    if (primary[column] == null && duplicate[column] != null) {
+      updates.push(`${column} = ?`);
+      values.push(duplicate[column]);
+    }
+  }
+  if (duplicate.notes) {
+    updates.push('notes = ?');
+    values.push(primary.notes ? `${primary.notes}\n${duplicate.notes}` : duplicate.notes);
+  }
+  if (!primary.email_normalized && duplicate.email_normalized) {
+    updates.push('email_normalized = ?');
+    values.push(duplicate.email_normalized);
+  }
+  updates.push('updated_at = CURRENT_TIMESTAMP');
+  db.prepare(`UPDATE leads SET ${updates.join(', ')} WHERE id = ?`).run(...values, primary.id);
+
+  // One booked appointment per lead — if both have one, the primary's stands
+  // and the homeowner and client are told the other is cancelled
+  const booked = "SELECT * FROM appointments WHERE lead_id = ? AND status = 'booked'";
+  const duplicateBooking = db.prepare(booked).get(duplicate.id);
+  if (duplicateBooking && db.prepare(booked).get(primary.id)) {
+    cancelAppointment(duplicateBooking, { reason: 'Duplicate booking', actor: userId });
+  }
+  db.prepare('UPDATE appointments SET lead_id = ? WHERE lead_id = ?').run(primary.id, duplicate.id);
+
+  db.prepare('UPDATE lead_activity SET lead_id = ? WHERE lead_id = ?').run(primary.id, duplicate.id);
+  db.prepare('UPDATE notification_log SET lead_id = ? WHERE lead_id = ?').run(primary.id, duplicate.id);
+  // A lead has at most one dispute — keep the primary's if both have one
+  db.prepare('UPDATE OR IGNORE lead_disputes SET lead_id = ? WHERE lead_id = ?').run(primary.id, duplicate.id);
+  db.prepare('DELETE FROM lead_disputes WHERE lead_id = ?').run(duplicate.id);
+  logLeadActivity(primary.id, 'merged', { merged_lead: duplicate }, userId);
+
+  db.prepare('DELETE FROM leads WHERE id = ?').run(duplicate.id);
+});
+
+
+// ─── LEAD QUALITY ───
+// Every lead is scored 0–100 on capture. Points come off for an unusable
+// phone number, a location outside the client's service area, a suspicious
+// message and a history of earlier leads from the same homeowner. The
+// factors are stored alongside the score so a client can see why.
+const SPAM_MESSAGE_PATTERN = /\b(seo|backlinks?|crypto|bitcoin|casino|loans?|viagra|guest post|web design services)\b/i;
+const LINK_PATTERN = /https?:\/\/|www\./i;
+
+// clients.service_area is free text: "Edmonton, St. Albert, T5A, T6" — entries
+// that look like postal prefixes match postal codes, the rest match city names
+function inServiceArea(serviceArea, { postal_code, city }) {
+  const areas = String(serviceArea || '').split(/[,;\n]/).map(a => a.trim().toUpperCase()).filter(Boolean);
+  if (!areas.length) return null;
+
+  const postal = String(postal_code || '').replace(/\s/g, '').toUpperCase();
+  const prefixes = areas.filter(a => /^[A-Z]\d[A-Z0-9]{0,4}$/.test(a.replace(/\s/g, '')));
+  const cities = areas.filter(a => !prefixes.includes(a));
+
+  if (postal && prefixes.some(p => postal.startsWith(p.replace(/\s/g, '')))) return true;
+  if (city && cities.includes(city.trim().toUpperCase())) return true;
+  if (!postal && !city) return null;
+  return false;
+}
+
+function scoreLead(lead) {
+  const factors = [];
+
+  const phone = normalizePhone(lead.phone);
+  if (!phone || phone.length !== 10 || !/^[2-9]\d{2}[2-9]/.test(phone)) {
+    factors.push({ factor: 'invalid_phone', points: -40 });
+  }
+
+  const client = lead.client_id ? db.prepare('SELECT service_area FROM clients WHERE id = ?').get(lead.client_id) : null;
+  if (client) {
+    const inArea = inServiceArea(client.service_area, lead);
+    if (inArea === false) factors.push({ factor: 'out_of_area', points: -30 });
+    if (inArea === null && client.service_area) factors.push({ factor: 'location_unknown', points: -10 });
+  }
+
+  const message = String(lead.message || '');
+  if (LINK_PATTERN.test(message)) factors.push({ factor: 'link_in_message', points: -20 });
+  if (SPAM_MESSAGE_PATTERN.test(message)) factors.push({ factor: 'spam_keywords', points: -30 });
+
+  const history = db.prepare(`
+    SELECT COUNT(*) as previous, SUM(CASE WHEN credited_at IS NOT NULL THEN 1 ELSE 0 END) as credited
+    FROM leads WHERE id != ? AND (phone_normalized = ? OR email_normalized = ?)
+  `).get(lead.id, lead.phone_normalized, lead.email_normalized);
+  if (history.credited) factors.push({ factor: 'previously_credited', points: -25 });
+  else if (history.previous) factors.push({ factor: 'seen_before', points: -10 });
+
+  const score = Math.max(0, 100 + factors.reduce((sum, f) => sum + f.points, 0));
+  return { score, factors };
+}
+
+function applyLeadScore(leadId) {
+  const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(leadId);
+  const { score, factors } = scoreLead(lead);
+  db.prepare('UPDATE leads SET quality_score = ?, quality_factors = ? WHERE id = ?').run(score, JSON.stringify(factors), leadId);
+}
+
+// ─── LEAD DISPUTES ───
+// Clients dispute bad leads from their dashboard within DISPUTE_WINDOW_DAYS.
+// An approved dispute credits the lead: it stays in their list but stops
+// counting toward lead totals and cost per lead.
+const DISPUTE_REASONS = ['wrong_number', 'out_of_area', 'duplicate', 'spam', 'not_a_real_request', 'other'];
+const DISPUTE_WINDOW_DAYS = 14;
+
+
+// ─── SPAM PROTECTION ───
+// The public forms (/api/leads, /api/subscribe, /api/trial-signup) are rate
+// limited per IP. Submissions that look automated — honeypot filled, form
+// sent within seconds of loading, disposable email, the same phone over and
+// over — are stored with status 'quarantined' for an admin to release or
+// reject. Quarantined records send no notifications and don't count toward
+// any totals.
+const FORM_RATE_LIMIT = { windowMs: 10 * 60 * 1000, max: 10 };
+const PHONE_RATE_LIMIT = { windowMs: 60 * 60 * 1000, max: 3 };
+const HONEYPOT_FIELD = 'website';
+const MIN_FILL_SECONDS = 3;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  '10minutemail.com', 'dispostable.com', 'emailondeck.com', 'fakeinbox.com', 'getnada.com',
+  'guerrillamail.com', 'guerrillamail.net', 'maildrop.cc', 'mailinator.com', 'mailnesia.com',
+  'mintemail.com', 'mohmal.com', 'sharklasers.com', 'spamgourmet.com', 'temp-mail.org',
+  'tempmail.com', 'tempmailo.com', 'throwawaymail.com', 'trashmail.com', 'yopmail.com',
+]);
+
+// Fixed-window hit counter. In memory, so counts reset on restart and aren't
+// shared between instances — fine for a single server.
+function createHitCounter(windowMs) {
+  const hits = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) if (entry.resetAt <= now) hits.delete(key);
+  }, windowMs).unref();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+      return entry;
+    },
+    // Hits so far in the current window, without adding one
+    count(key) {
+      const entry = hits.get(key);
+      return entry && entry.resetAt > Date.now() ? entry.count : 0;
+    },
+    reset(key) {
+      hits.delete(key);
+    },
+  };
+}
+
+// Per-IP limit on a route — over the limit gets a 429
+function rateLimit({ windowMs, max, message = 'Too many submissions. Please try again later.' }) {
+  const counter = createHitCounter(windowMs);
+  return (req, res, next) => {
+    const { count, resetAt } = counter.hit(req.ip);
+    if (count > max) {
+      res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
+
+const formRateLimit = rateLimit(FORM_RATE_LIMIT);
+const phoneSubmissions = createHitCounter(PHONE_RATE_LIMIT.windowMs);
+
+// Format problems a real person can fix — returned to the form as a 400
+function validateContact({ phone, email }) {
+  if (phone !== undefined && phone !== null && phone !== '') {
+    if (normalizePhone(phone)?.length !== 10) return 'Please enter a valid 10-digit phone number';
+  }
+  if (email && !EMAIL_PATTERN.test(String(email).trim())) return 'Please enter a valid email address';
+  return null;
+}
+
+// Reasons a submission looks like spam; empty when it looks fine
+function spamSignals(body, { phone, email }) {
+  const reasons = [];
+
+  if (body[HONEYPOT_FIELD]) reasons.push('honeypot');
+
+  const startedAt = Number(body.form_started_at);
+  if (startedAt && Date.now() - startedAt < MIN_FILL_SECONDS * 1000) reasons.push('filled_too_fast');
+
+  const domain = normalizeEmail(email)?.split('@')[1];
+  if (domain && DISPOSABLE_EMAIL_DOMAINS.has(domain)) reasons.push('disposable_email');
+
+  const phoneNormalized = normalizePhone(phone);
+  if (phoneNormalized && phoneSubmissions.hit(phoneNormalized).count > PHONE_RATE_LIMIT.max) {
+    reasons.push('phone_rate_limit');
+  }
+
+  return reasons;
+}
+
+
+// ─── PLANS & LEAD CAPS ───
+// Each client is on a row in `plans`, which sets the leads they're promised
+// per billing period and the most they'll be sent (clients.monthly_lead_cap
+// overrides it). Once a client hits their cap, new leads either wait for the
+// next period ('waitlist') or go unassigned for the operator to route
+// elsewhere ('pause'). Billing periods run monthly from the onboarding date.
+const OVER_CAP_ACTIONS = ['waitlist', 'pause'];
+
+function getPlan(planId) {
+  const plan = db.prepare('SELECT * FROM plans WHERE id = ?').get(planId);
+  return plan ? { ...plan, features: JSON.parse(plan.features || '{}') } : null;
+}
+
+function clientLeadLimits(client) {
+  const plan = getPlan(client.plan);
+  return {
+    plan,
+    promised: plan?.promised_leads ?? null,
+    cap: client.monthly_lead_cap ?? plan?.monthly_lead_cap ?? null,
+    overCapAction: client.over_cap_action || plan?.over_cap_action || 'waitlist',
+  };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// The billing period containing `now`, anchored to the day of the month the
+// client was onboarded (clamped for short months)
+function billingPeriod(client, now = new Date()) {
+  const anchor = new Date(`${(client.onboarded_at || client.created_at).replace(' ', 'T')}Z`);
+  const day = anchor.getUTCDate();
+  const periodStart = (year, month) => new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month))));
+
+  let start = periodStart(now.getUTCFullYear(), now.getUTCMonth());
+  if (start > now) start = periodStart(now.getUTCFullYear(), now.getUTCMonth() - 1);
+  const end = periodStart(start.getUTCFullYear(), start.getUTCMonth() + 1);
+  return { start, end };
+}
+
+// Leads the client has actually received this period. Credited leads were
+// refunded, so they don't use up the allowance.
+function deliveredThisPeriod(client, period) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM leads
+    WHERE client_id = ? AND status != 'quarantined' AND credited_at IS NULL
+    AND delivered_at >= ? AND delivered_at < ?
+  `).get(client.id, toSqlDate(period.start), toSqlDate(period.end)).count;
+}
+
+// Room left under the client's cap this period (Infinity when uncapped)
+function remainingCapacity(client) {
+  const { cap } = clientLeadLimits(client);
+  if (cap == null) return Infinity;
+  return Math.max(0, cap - deliveredThisPeriod(client, billingPeriod(client)));
+}
+
+// What happens to the client's next lead: 'waitlist' or 'pause' once they're
+// at their cap, null while they have room
+function overCapActionFor(client) {
+  return client && remainingCapacity(client) === 0 ? clientLeadLimits(client).overCapAction : null;
+}
+
+// Let the operator know once per period that a client has maxed out
+function notifyCapReached(client, action) {
+  const { cap } = clientLeadLimits(client);
+  const period = billingPeriod(client);
+  enqueueEmail(
+    process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+    `🚦 Lead cap reached: ${client.business_name}`,
+    getEmailTemplate('internal_notification', {
+      type: 'Lead Cap Reached',
+      summary: `${client.business_name} has received ${cap} leads this period — new leads are ${action === 'pause' ? 'left unassigned' : 'waitlisted'}`,
+      details: { client_id: client.id, plan: client.plan, cap, action, period_start: toSqlDate(period.start), period_end: toSqlDate(period.end) }
+    }).html,
+    { template: 'internal_notification', idempotencyKey: `cap:${client.id}:${toSqlDate(period.start)}` }
+  );
+}
+
+// Hand waitlisted leads (oldest first) to clients that have room again —
+// a new billing period, a raised cap or a plan upgrade
+function releaseWaitlistedLeads() {
+  const clients = db.prepare(`
+    SELECT DISTINCT c.* FROM clients c
+    JOIN leads l ON l.waitlist_client_id = c.id AND l.status = 'waitlisted'
+    WHERE c.status = 'active'
+  `).all();
+
+  for (const client of clients) {
+    const room = remainingCapacity(client);
+    if (!room) continue;
+
+    const leads = db.prepare(`
+      SELECT id FROM leads WHERE waitlist_client_id = ? AND status = 'waitlisted' ORDER BY created_at LIMIT ?
+    `).all(client.id, Number.isFinite(room) ? room : -1);
+
+    for (const { id } of leads) {
+      db.prepare(`
+        UPDATE leads SET client_id = waitlist_client_id, status = 'new', delivered_at = CURRENT_TIMESTAMP,
+        status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(id);
+      logLeadActivity(id, 'delivered_from_waitlist', { client_id: client.id });
+      announceLead(db.prepare('SELECT * FROM leads WHERE id = ?').get(id));
+    }
+  }
+}
+
+scheduleTask('lead_waitlist', 15 * 60 * 1000, releaseWaitlistedLeads);
+
+// Delivery pacing for one client's current billing period. Projects the
+// period total from the run rate so far and compares it with the promise.
+function clientPacing(client, now = new Date()) {
+  const { plan, promised, cap, overCapAction } = clientLeadLimits(client);
+  const period = billingPeriod(client, now);
+  const delivered = deliveredThisPeriod(client, period);
+  const waitlisted = db.prepare("SELECT COUNT(*) as count FROM leads WHERE waitlist_client_id = ? AND status = 'waitlisted'").get(client.id).count;
+
+  const elapsed = Math.min(1, Math.max(0, (now - period.start) / (period.end - period.start)));
+  const projected = elapsed > 0 ? Math.round(delivered / elapsed) : delivered;
+  const expectedToDate = promised != null ? Math.round(promised * elapsed) : null;
+
+  let pace = 'on_track';
+  if (cap != null && delivered >= cap) pace = 'over';
+  else if (promised != null && projected < promised) pace = 'under';
+
+  return {
+    clientId: client.id,
+    businessName: client.business_name,
+    plan: plan ? plan.id : client.plan,
+    periodStart: toSqlDate(period.start),
+    periodEnd: toSqlDate(period.end),
+    periodElapsedPct: Math.round(elapsed * 100),
+    promised,
+    cap,
+    overCapAction,
+    delivered,
+    expectedToDate,
+    projected,
+    waitlisted,
+    pace,
+  };
+}
+
+
+// ─── LEAD ROUTING ───
+// Leads from a capture page that belongs to a client go to that client.
+// Everything else (API and Zapier posts, legacy pages with no client) is
+// routed: active clients with a routing_weight above 0, in the lead's
+// industry, whose service_area (or city, if they haven't set one) covers the
+// lead's postal code or city. A client with an exclusive territory takes
+// every matching lead in it. Otherwise LEAD_ROUTING_STRATEGY picks one:
+// 'round_robin' takes turns, 'weighted' gives each client leads in
+// proportion to routing_weight. Clients at their cap are passed over while
+// anyone else has room. Leads nobody matches wait in the routing queue.
+const ROUTING_STRATEGIES = ['round_robin', 'weighted'];
+const ROUTING_WINDOW_DAYS = 30;  // weighted shares are balanced over this many days
+const ROUTED_VIA = ['exclusive', 'round_robin', 'weighted', 'manual'];
+
+function routingStrategy() {
+  const strategy = process.env.LEAD_ROUTING_STRATEGY;
+  return ROUTING_STRATEGIES.includes(strategy) ? strategy : 'round_robin';
+}
+
+function territory(client) {
+  return client.service_area || client.city;
+}
+
+function serviceAreaEntries(serviceArea) {
+  return String(serviceArea || '').split(/[,;\n]/).map(a => a.trim().toUpperCase()).filter(Boolean);
+}
+
+// Areas two territories share: the same city, or postal prefixes where one
+// contains the other (T5 and T5A)
+function overlappingAreas(a, b) {
+  const isPrefix = area => /^[A-Z]\d[A-Z0-9]{0,4}$/.test(area.replace(/\s/g, ''));
+  const overlaps = new Set();
+  for (const x of serviceAreaEntries(a)) {
+    for (const y of serviceAreaEntries(b)) {
+      if (isPrefix(x) !== isPrefix(y)) continue;
+      if (!isPrefix(x)) { if (x === y) overlaps.add(x); continue; }
+      const [px, py] = [x.replace(/\s/g, ''), y.replace(/\s/g, '')];
+      if (px.startsWith(py) || py.startsWith(px)) overlaps.add(px.length >= py.length ? px : py);
+    }
+  }
+  return [...overlaps];
+}
+
+// Another active client in the same industry whose exclusive territory
+// overlaps this client's
+function exclusiveTerritoryClash(client) {
+  const others = db.prepare(`
+    SELECT * FROM clients WHERE id != ? AND status = 'active' AND exclusive_territory = 1 AND LOWER(TRIM(industry)) = LOWER(TRIM(?))
+  `).all(client.id, client.industry);
+  for (const other of others) {
+    const areas = overlappingAreas(territory(client), territory(other));
+    if (areas.length) return { client: other, areas };
+  }
+  return null;
+}
+
+// Decide who gets a lead. Doesn't assign anything; the decision (stored as
+// leads.routing_decision) lists every client that matched and why the
+// others were passed over.
+function routeLead({ industry, postal_code, city }) {
+  const decision = {
+    via: 'unrouted',
+    client_id: null,
+    reason: null,
+    strategy: routingStrategy(),
+    industry: industry || null,
+    postal_code: postal_code || null,
+    city: city || null,
+    candidates: [],
+    decided_at: new Date().toISOString(),
+  };
+  if (!industry) return { ...decision, reason: 'no_industry' };
+  if (!postal_code && !city) return { ...decision, reason: 'no_location' };
+
+  const inIndustry = db.prepare(`
+    SELECT * FROM clients WHERE status = 'active' AND routing_weight > 0 AND LOWER(TRIM(industry)) = LOWER(TRIM(?))
+  `).all(industry);
+  const inArea = inIndustry.filter(c => inServiceArea(territory(c), { postal_code, city }));
+  if (!inArea.length) return { ...decision, reason: inIndustry.length ? 'no_client_in_area' : 'no_client_in_industry' };
+
+  const recentlyRouted = db.prepare(`
+    SELECT COUNT(*) as count FROM leads
+    WHERE (client_id = ? OR waitlist_client_id = ?) AND routed_via IN (${ROUTED_VIA.map(() => '?').join(', ')})
+    AND created_at >= datetime('now', ?)
+  `);
+  const exclusive = inArea.some(c => c.exclusive_territory);
+  const candidates = inArea.map(client => ({
+    client,
+    skipped: exclusive && !client.exclusive_territory ? 'exclusive_territory' : null,
+    room: remainingCapacity(client),
+    routed: recentlyRouted.get(client.id, client.id, ...ROUTED_VIA, `-${ROUTING_WINDOW_DAYS} days`).count,
+  }));
+
+  // If everyone is at their cap, the pick is waitlisted or paused as usual
+  const pool = candidates.filter(c => !c.skipped);
+  if (pool.some(c => c.room > 0)) pool.filter(c => c.room === 0).forEach(c => { c.skipped = 'at_cap'; });
+  const eligible = pool.filter(c => !c.skipped);
+
+  // Never-routed clients go first; last_routed_at breaks weighted ties
+  const lastRouted = c => c.client.last_routed_at || '';
+  eligible.sort(decision.strategy === 'weighted'
+    ? (a, b) => a.routed / a.client.routing_weight - b.routed / b.client.routing_weight || lastRouted(a).localeCompare(lastRouted(b))
+    : (a, b) => lastRouted(a).localeCompare(lastRouted(b)) || a.client.created_at.localeCompare(b.client.created_at));
+
+  return {
+    ...decision,
+    via: exclusive ? 'exclusive' : decision.strategy,
+    client_id: eligible[0].client.id,
+    candidates: candidates.map(c => ({
+      client_id: c.client.id,
+      business_name: c.client.business_name,
+      exclusive: Boolean(c.client.exclusive_territory),
+      routing_weight: c.client.routing_weight,
+      routed_recently: c.routed,
+      remaining_capacity: Number.isFinite(c.room) ? c.room : null,
+      skipped: c.skipped,
+    })),
+  };
+}
+
+// A client suspended for non-payment, or whose trial ran out, gets nothing
+// from their own pages either
+const CLIENT_HOLD_REASONS = { suspended: 'client_suspended', trial_expired: 'client_trial_expired' };
+
+function capturePageRouting(capturePage, clientId) {
+  const decided_at = new Date().toISOString();
+  const client = db.prepare('SELECT status FROM clients WHERE id = ?').get(clientId);
+  const held = CLIENT_HOLD_REASONS[client?.status];
+  if (held) return { via: 'unrouted', client_id: null, reason: held, capture_page: capturePage, decided_at };
+  return { via: 'capture_page', client_id: clientId, capture_page: capturePage, decided_at };
+}
+
+// Log a routing decision once it's on the lead, and send the client to the
+// back of the round-robin
+function noteRouting(leadId, decision, actor) {
+  if (decision.via === 'capture_page') return;
+  if (decision.client_id) {
+    db.prepare("UPDATE clients SET last_routed_at = strftime('%Y-%m-%d %H:%M:%f', 'now') WHERE id = ?").run(decision.client_id);
+  }
+  logLeadActivity(leadId, decision.client_id ? 'routed' : 'unrouted', { via: decision.via, client_id: decision.client_id, reason: decision.reason }, actor);
+}
+
+// Rules the router would have kept that handing `lead` to `client` breaks:
+// the client is at their cap, or another client holds the lead's area as an
+// exclusive territory
+function assignmentConflicts(lead, client) {
+  const conflicts = [];
+  if (remainingCapacity(client) === 0) {
+    conflicts.push({ reason: 'at_cap', message: `${client.business_name} has reached their lead cap this period` });
+  }
+  const owner = db.prepare(`
+    SELECT * FROM clients WHERE id != ? AND status = 'active' AND exclusive_territory = 1 AND LOWER(TRIM(industry)) = LOWER(TRIM(?))
+  `).all(client.id, lead.industry || client.industry).find(other => inServiceArea(territory(other), lead));
+  if (owner) {
+    conflicts.push({ reason: 'exclusive_territory', message: `${owner.business_name} has an exclusive territory covering this lead` });
+  }
+  return conflicts;
+}
+
+// Hand an unassigned lead to the client in `decision` (from the routing
+// queue) and send the alerts it missed
+function assignRoutedLead(lead, decision, actor) {
+  db.prepare(`
+    UPDATE leads SET client_id = ?, routed_via = ?, routing_decision = ?, delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(decision.client_id, decision.via, JSON.stringify(decision), lead.id);
+  noteRouting(lead.id, decision, actor);
+  applyLeadScore(lead.id);
+  announceLead(db.prepare('SELECT * FROM leads WHERE id = ?').get(lead.id));
+}
+
+function parseRoutingDecision(lead) {
+  return lead.routing_decision ? JSON.parse(lead.routing_decision) : null;
+}
+
+
+// ─── TRIAL LIFECYCLE ───
+// Trial signups move through:
+//   new → contacted | lost
+//   contacted → onboarding | lost
+//   onboarding → live | converted | lost   (going live needs the client record the campaign runs on)
+//   live → converted | expired | lost
+//   expired → converted | lost
+//   converted, lost are final. Marking a trial lost needs a reason.
+// The trial clock (plans.trial_days, default 14) starts when it goes live.
+// Reminders go out on TRIAL_REMINDER_DAYS, and a live trial that hasn't paid
+// by trial_ends_at expires on its own. A Whop payment converts it.
+const TRIAL_TRANSITIONS = {
+  new: ['contacted', 'lost'],
+  contacted: ['onboarding', 'lost'],
+  onboarding: ['live', 'converted', 'lost'],
+  live: ['converted', 'expired', 'lost'],
+  expired: ['converted', 'lost'],
+  converted: [],
+  lost: [],
+  quarantined: [],
+};
+const TRIAL_STATUSES = Object.keys(TRIAL_TRANSITIONS);
+const OPEN_TRIAL_STATUSES = ['new', 'contacted', 'onboarding', 'live'];
+const DEFAULT_TRIAL_DAYS = 14;
+const TRIAL_REMINDER_DAYS = [10, 13];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function trialUpgradeUrl() {
+  return process.env.TRIAL_UPGRADE_URL || `${process.env.BASE_URL || 'https://leadflow24.com'}/#pricing`;
+}
+
+function trialLength(client) {
+  return (client && getPlan(client.plan)?.trial_days) || DEFAULT_TRIAL_DAYS;
+}
+
+// Returns why `trial` can't move to `status`, or null if it can
+function checkTrialTransition(trial, status, { lostReason, clientId } = {}) {
+  if (!TRIAL_TRANSITIONS[status]) {
+    return `Unknown status '${status}'. Valid statuses: ${TRIAL_STATUSES.join(', ')}`;
+  }
+  const allowed = TRIAL_TRANSITIONS[trial.status] || TRIAL_STATUSES;
+  if (!allowed.includes(status)) {
+    return `Cannot move a trial from '${trial.status}' to '${status}'`;
+  }
+  if (status === 'lost' && !lostReason) {
+    return 'A lost_reason is required when marking a trial lost';
+  }
+  if (status === 'live' && !(clientId || trial.client_id)) {
+    return 'Create the client first (POST /api/admin/clients with trial_id) or pass client_id';
+  }
+  return null;
+}
+
+// Leads the trial client has received since going live
+function trialLeadsDelivered(trial) {
+  if (!trial.client_id || !trial.live_at) return 0;
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM leads
+    WHERE client_id = ? AND status != 'quarantined' AND credited_at IS NULL AND delivered_at >= ?
+  `).get(trial.client_id, trial.live_at).count;
+}
+
+// Apply a validated status change. Going live starts the clock; expiring
+// pauses the client and tells the prospect.
+function changeTrialStatus(trial, status, { lostReason, clientId } = {}) {
+  const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(clientId || trial.client_id);
+
+  if (status === 'live') {
+    const now = new Date();
+    db.prepare(`
+      UPDATE trial_signups SET status = 'live', client_id = ?, live_at = ?, trial_ends_at = ?,
+      status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(client.id, toSqlDate(now), toSqlDate(new Date(now.getTime() + trialLength(client) * DAY_MS)), trial.id);
+  } else {
+    db.prepare(`
+      UPDATE trial_signups SET status = ?, lost_reason = ?, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(status, status === 'lost' ? lostReason : null, trial.id);
+  }
+
+  const updated = db.prepare('SELECT * FROM trial_signups WHERE id = ?').get(trial.id);
+  const leadsDelivered = trialLeadsDelivered(updated);
+
+  if (status === 'expired') {
+    if (client) db.prepare("UPDATE clients SET status = 'trial_expired', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'").run(client.id);
+    const email = getEmailTemplate('trial_expired', {
+      firstName: trial.first_name, trialDays: trialLength(client), leadsDelivered, upgradeUrl: trialUpgradeUrl(),
+    });
+    enqueueEmail(trial.email, email.subject, email.html, { template: 'trial_expired', idempotencyKey: `trial:${trial.id}:expired` });
+  }
+  if (status === 'converted' && client) {
+    db.prepare("UPDATE clients SET status = 'active', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'trial_expired'").run(client.id);
+  }
+
+  if (['expired', 'converted', 'lost'].includes(status)) {
+    enqueueEmail(
+      process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+      `${status === 'converted' ? '🎉' : '⏹️'} Trial ${status}: ${trial.business_name}`,
+      getEmailTemplate('internal_notification', {
+        type: `Trial ${status}`,
+        summary: `${trial.first_name} ${trial.last_name} — ${trial.business_name}`,
+        details: { trial_id: trial.id, client_id: updated.client_id, email: trial.email, live_at: updated.live_at, leads_delivered: leadsDelivered, lost_reason: updated.lost_reason }
+      }).html,
+      { template: 'internal_notification', idempotencyKey: `trial:${trial.id}:notify_${status}` }
+    );
+  }
+  return updated;
+}
+
+// A Whop payment from the trial's (or its client's) email converts it
+function convertTrialOnPayment(email) {
+  const trial = db.prepare(`
+    SELECT t.* FROM trial_signups t LEFT JOIN clients c ON c.id = t.client_id
+    WHERE (lower(t.email) = lower(?) OR lower(c.email) = lower(?)) AND t.status IN ('onboarding', 'live', 'expired')
+    ORDER BY t.created_at DESC LIMIT 1
+  `).get(email, email);
+  if (trial) changeTrialStatus(trial, 'converted');
+}
+
+function runTrialLifecycle() {
+  const now = Date.now();
+  const liveTrials = db.prepare("SELECT * FROM trial_signups WHERE status = 'live' AND live_at IS NOT NULL").all();
+
+  for (const trial of liveTrials) {
+    const client = trial.client_id ? db.prepare('SELECT * FROM clients WHERE id = ?').get(trial.client_id) : null;
+
+    if (new Date(`${trial.trial_ends_at.replace(' ', 'T')}Z`).getTime() <= now) {
+      // Paid but the payment webhook never matched — convert rather than expire
+      changeTrialStatus(trial, client?.whop_membership_id ? 'converted' : 'expired');
+      continue;
+    }
+
+    // Only the latest reminder that's due, so a restart doesn't send two at once
+    const trialDays = trialLength(client);
+    const day = Math.floor((now - new Date(`${trial.live_at.replace(' ', 'T')}Z`).getTime()) / DAY_MS) + 1;
+    const reminderDay = TRIAL_REMINDER_DAYS.filter(d => d <= day && d < trialDays).pop();
+    if (!reminderDay) continue;
+
+    const email = getEmailTemplate('trial_reminder', {
+      firstName: trial.first_name,
+      day: reminderDay,
+      trialDays,
+      daysLeft: trialDays - reminderDay,
+      leadsDelivered: trialLeadsDelivered(trial),
+      upgradeUrl: trialUpgradeUrl(),
+      dashboardUrl: client?.dashboard_token ? dashboardUrl(client.dashboard_token) : null,
+    });
+    enqueueEmail(trial.email, email.subject, email.html, { template: 'trial_reminder', idempotencyKey: `trial:${trial.id}:day${reminderDay}` });
+  }
+
+  // Follow-ups that came due go to the assigned operator (or the shared inbox)
+  const dueFollowUps = db.prepare(`
+    SELECT t.*, u.email as assignee_email FROM trial_signups t LEFT JOIN users u ON u.id = t.assigned_to
+    WHERE t.follow_up_date <= CURRENT_TIMESTAMP AND t.follow_up_date >= datetime('now', '-7 days')
+    AND t.status IN (${OPEN_TRIAL_STATUSES.map(() => '?').join(', ')})
+  `).all(...OPEN_TRIAL_STATUSES);
+
+  for (const trial of dueFollowUps) {
+    enqueueEmail(
+      trial.assignee_email || process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+      `📞 Trial follow-up due: ${trial.business_name}`,
+      getEmailTemplate('internal_notification', {
+        type: 'Trial Follow-up',
+        summary: `${trial.first_name} ${trial.last_name} — ${trial.business_name} (${trial.status})`,
+        details: { trial_id: trial.id, phone: trial.phone, email: trial.email, status: trial.status, follow_up_date: trial.follow_up_date, notes: trial.notes }
+      }).html,
+      { template: 'internal_notification', idempotencyKey: `trial:${trial.id}:follow_up:${trial.follow_up_date}` }
+    );
+  }
+}
+
+scheduleTask('trial_lifecycle', 15 * 60 * 1000, runTrialLifecycle);
+
+
+// ─── BILLING ───
+// Clients pay through Whop or Stripe. Each provider in BILLING_PROVIDERS turns
+// its webhooks into the same events — payment_succeeded, payment_failed,
+// subscription_started, subscription_ended — so client status, payment
+// history and dunning work the same whichever one a client uses. Every
+// webhook is signature-checked, recorded once in billing_events by event id
+// and applied in the same transaction, so a redelivered event changes nothing.
+// A failed payment starts dunning: the client keeps getting leads for
+// DUNNING_GRACE_DAYS, then is suspended until a payment goes through.
+const BILLING_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const DUNNING_GRACE_DAYS = parseInt(process.env.DUNNING_GRACE_DAYS || '7');
+const STRIPE_API_URL = process.env.STRIPE_API_URL || 'https://api.stripe.com';
+
+function billingUpdateUrl() {
+  return process.env.BILLING_UPDATE_URL || 'https://whop.com/orders/';
+}
+
+function defaultBillingProvider(client) {
+  return client.billing_provider || process.env.BILLING_PROVIDER || 'whop';
+}
+
+// Whop and Stripe both sign "<t>.<raw body>" with HMAC-SHA256 and send
+// "t=<unix seconds>,v1=<hex>" (Stripe sends several v1 while a secret is
+// rolled). Stale timestamps are refused so a captured request can't be
+// replayed later.
+function verifyTimestampedSignature(header, rawBody, secret, now = Date.now()) {
+  if (!secret || !rawBody || !header) return false;
+
+  const pairs = String(header).split(',').map(part => part.trim().split('='));
+  const timestamp = Number(pairs.find(([key]) => key === 't')?.[1]);
+  const signatures = pairs.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+  if (!Number.isInteger(timestamp) || !signatures.length) return false;
+  if (Math.abs(now / 1000 - timestamp) > BILLING_SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex'));
+  return signatures.some(signature => {
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+// Both providers send unix seconds; anything unreadable counts as now
+function providerTime(value) {
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value || Date.now());
+  return toSqlDate(Number.isNaN(date.getTime()) ? new Date() : date);
+}
+
+// Thin Stripe API client. Point STRIPE_API_URL at a local stub in
+// development, or swap app.locals.stripeClient for anything with
+// createCheckoutSession().
+function createStripeClient({ baseUrl, secretKey }) {
+  return {
+    async createCheckoutSession(params) {
+      if (!secretKey) throw new Error('Stripe is not configured');
+      const response = await fetch(`${baseUrl}/v1/checkout/sessions`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${secretKey}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params),
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(`Stripe ${response.status}: ${body.error?.message || 'request failed'}`);
+      return body;
+    }
+  };
+}
+
+app.locals.stripeClient = createStripeClient({ baseUrl: STRIPE_API_URL, secretKey: process.env.STRIPE_SECRET_KEY });
+
+// Each provider has:
+//   verify(req)                  signature check on the raw body
+//   parseEvent(body)             → { id, type, kind, clientId, email, customerId, subscriptionId,
+//                                    paymentId, planId, amount, currency, failureReason, paidAt } or null
+//   findClient(event)            the client by their account on this provider
+//   accountColumns(event)        what to store on the client once they've paid
+//   planColumn                   the plans column holding this provider's product
+//   checkoutUrl(client, plan)    a hosted checkout link for the plan
+const BILLING_PROVIDERS = {
+  whop: {
+    verify: req => verifyTimestampedSignature(req.headers['x-whop-signature'], req.rawBody, process.env.WHOP_WEBHOOK_SECRET),
+
+    parseEvent({ id, action, data }) {
+      if (typeof action !== 'string' || !data) return null;
+      const kinds = {
+        'payment.succeeded': 'payment_succeeded',
+        'payment.failed': 'payment_failed',
+        'membership.went_valid': 'subscription_started',
+        'membership.went_invalid': 'subscription_ended',
+      };
+      const membership = action.startsWith('membership.');
+      return {
+        id: String(id || `${action}:${data.id}`),
+        type: action,
+        kind: kinds[action] || null,
+        clientId: data.metadata?.client_id || null,
+        email: data.user?.email || data.email || null,
+        customerId: data.user?.id || null,
+        subscriptionId: (membership ? data.id : data.membership?.id || data.membership) || null,
+        paymentId: membership ? null : data.id,
+        planId: data.plan?.id || data.plan_id || null,
+        amount: data.final_amount ?? data.plan?.renewal_price ?? data.plan?.initial_price ?? null,
+        currency: data.currency,
+        failureReason: data.failure_message || null,
+        paidAt: providerTime(data.paid_at || data.created_at),
+      };
+    },
+
+    findClient: event => (event.subscriptionId && db.prepare('SELECT * FROM clients WHERE whop_membership_id = ?').get(event.subscriptionId)) || null,
+
+    accountColumns: event => ({ whop_membership_id: event.subscriptionId, whop_user_id: event.customerId }),
+
+    planColumn: 'whop_plan_id',
+
+    // Whop's hosted checkout page for the plan. Whop doesn't carry our client
+    // id through, so the payment is matched back by email.
+    async checkoutUrl(client, plan) {
+      return `${process.env.WHOP_CHECKOUT_URL || 'https://whop.com/checkout'}/${encodeURIComponent(plan.whop_plan_id)}`;
+    },
+  },
+
+  stripe: {
+    verify: req => verifyTimestampedSignature(req.headers['stripe-signature'], req.rawBody, process.env.STRIPE_WEBHOOK_SECRET),
+
+    parseEvent({ id, type, data }) {
+      const object = data?.object;
+      if (!id || typeof type !== 'string' || !object) return null;
+      const kinds = {
+        'checkout.session.completed': 'subscription_started',
+        'invoice.paid': 'payment_succeeded',
+        'invoice.payment_failed': 'payment_failed',
+        'customer.subscription.deleted': 'subscription_ended',
+      };
+      const invoice = type.startsWith('invoice.');
+      const cents = invoice ? (type === 'invoice.paid' ? object.amount_paid : object.amount_due) : null;
+      return {
+        id: String(id),
+        type,
+        kind: kinds[type] || null,
+        clientId: object.client_reference_id || object.metadata?.client_id || object.subscription_details?.metadata?.client_id || null,
+        email: object.customer_details?.email || object.customer_email || null,
+        customerId: object.customer || null,
+        subscriptionId: (type.startsWith('customer.subscription.') ? object.id : object.subscription) || null,
+        paymentId: invoice ? object.id : null,
+        planId: object.lines?.data?.[0]?.price?.id || object.items?.data?.[0]?.price?.id || null,
+        amount: cents != null ? cents / 100 : null,
+        currency: object.currency,
+        failureReason: type === 'invoice.payment_failed' ? `Attempt ${object.attempt_count || 1} failed` : null,
+        paidAt: providerTime(object.status_transitions?.paid_at || object.created),
+      };
+    },
+
+    findClient(event) {
+      return (event.subscriptionId && db.prepare('SELECT * FROM clients WHERE stripe_subscription_id = ?').get(event.subscriptionId))
+        || (event.customerId && db.prepare('SELECT * FROM clients WHERE stripe_customer_id = ?').get(event.customerId))
+        || null;
+    },
+
+    accountColumns: event => ({ stripe_customer_id: event.customerId, stripe_subscription_id: event.subscriptionId }),
+
+    planColumn: 'stripe_price_id',
+
+    // A subscription Checkout Session tagged with the client id, so the
+    // webhooks find the client whatever email they pay with
+    async checkoutUrl(client, plan) {
+      const session = await app.locals.stripeClient.createCheckoutSession({
+        mode: 'subscription',
+        'line_items[0][price]': plan.stripe_price_id,
+        'line_items[0][quantity]': '1',
+        client_reference_id: client.id,
+        ...(client.stripe_customer_id ? { customer: client.stripe_customer_id } : { customer_email: client.email }),
+        'metadata[client_id]': client.id,
+        'subscription_data[metadata][client_id]': client.id,
+        success_url: client.dashboard_token ? dashboardUrl(client.dashboard_token) : `${process.env.BASE_URL || 'https://leadflow24.com'}/`,
+        cancel_url: `${process.env.BASE_URL || 'https://leadflow24.com'}/#pricing`,
+      });
+      return session.url;
+    },
+  },
+};
+
+function recordPayment(payment) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO payments (id, provider, event_id, provider_payment_id, client_id, email, membership_id, plan_id, amount, currency, status, failure_reason, paid_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, payment.provider, payment.eventId, payment.providerPaymentId || null, payment.clientId || null, payment.email || null,
+    payment.membershipId || null, payment.planId || null, payment.amount ?? null, payment.currency || 'usd', payment.status,
+    payment.failureReason || null, payment.paidAt
+  );
+  return db.prepare('SELECT * FROM payments WHERE id = ?').get(id);
+}
+
+// The first failure starts the grace period; failed retries don't extend it
+function startDunning(client, payment) {
+  if (!client.past_due_at) {
+    db.prepare(`
+      UPDATE clients SET past_due_at = CURRENT_TIMESTAMP, grace_period_ends_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(toSqlDate(new Date(Date.now() + DUNNING_GRACE_DAYS * DAY_MS)), client.id);
+  }
+  const updated = db.prepare('SELECT * FROM clients WHERE id = ?').get(client.id);
+  if (updated.status === 'suspended') return updated;
+
+  const graceEnds = new Date(`${updated.grace_period_ends_at.replace(' ', 'T')}Z`);
+  const email = getEmailTemplate('payment_failed', {
+    contactName: client.contact_name,
+    graceEndsOn: new Intl.DateTimeFormat('en-CA', { timeZone: client.timezone || 'America/Edmonton', dateStyle: 'long' }).format(graceEnds),
+    billingUrl: billingUpdateUrl(),
+  });
+  enqueueEmail(client.email, email.subject, email.html, { template: 'payment_failed', idempotencyKey: `payment:${payment.id}:failed_notice` });
+  return updated;
+}
+
+// A successful payment ends dunning and lifts a suspension
+function endDunning(clientId) {
+  db.prepare(`
+    UPDATE clients SET past_due_at = NULL, grace_period_ends_at = NULL,
+    status = CASE WHEN status = 'suspended' THEN 'active' ELSE status END, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(clientId);
+}
+
+function suspendLapsedClients() {
+  const lapsed = db.prepare("SELECT * FROM clients WHERE status = 'active' AND grace_period_ends_at <= CURRENT_TIMESTAMP").all();
+  for (const client of lapsed) {
+    db.prepare("UPDATE clients SET status = 'suspended', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'").run(client.id);
+
+    const email = getEmailTemplate('account_suspended', { billingUrl: billingUpdateUrl() });
+    enqueueEmail(client.email, email.subject, email.html, { template: 'account_suspended', idempotencyKey: `dunning:${client.id}:${client.past_due_at}:suspended` });
+    enqueueEmail(
+      process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+      `⛔ Client suspended for non-payment: ${client.business_name}`,
+      getEmailTemplate('internal_notification', {
+        type: 'Client Suspended',
+        summary: `${client.business_name} didn't pay within ${DUNNING_GRACE_DAYS} days of a failed payment`,
+        details: { client_id: client.id, email: client.email, past_due_at: client.past_due_at, grace_period_ends_at: client.grace_period_ends_at },
+      }).html,
+      { template: 'internal_notification', idempotencyKey: `dunning:${client.id}:${client.past_due_at}:notify_suspended` }
+    );
+  }
+}
+
+scheduleTask('billing_dunning', 60 * 60 * 1000, suspendLapsedClients);
+
+function notifyBillingEvent(providerName, event, type, summary, details) {
+  enqueueEmail(
+    process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+    summary,
+    getEmailTemplate('internal_notification', { type, summary, details: { provider: providerName, ...details } }).html,
+    { template: 'internal_notification', idempotencyKey: `billing:${providerName}:${event.id}:notify` }
+  );
+}
+
+// Mark the client paying through this provider and store their account ids
+// (ids the event doesn't carry are left as they were)
+function activateBillingAccount(client, providerName, event) {
+  const columns = Object.entries(BILLING_PROVIDERS[providerName].accountColumns(event)).filter(([, value]) => value);
+  db.prepare(`
+    UPDATE clients SET status = 'active', billing_provider = ?, ${columns.map(([column]) => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(providerName, ...columns.map(([, value]) => value), client.id);
+}
+
+// Apply one parsed event; returns the client it belonged to, if any. Clients
+// are matched by the id we tagged the checkout with, then by their account
+// on the provider, then by email.
+function applyBillingEvent(providerName, event) {
+  const provider = BILLING_PROVIDERS[providerName];
+  const client = (event.clientId && db.prepare('SELECT * FROM clients WHERE id = ?').get(event.clientId))
+    || provider.findClient(event)
+    || (event.email && db.prepare('SELECT * FROM clients WHERE lower(email) = lower(?)').get(event.email))
+    || null;
+  const email = event.email || client?.email || null;
+
+  switch (event.kind) {
+    case 'payment_succeeded':
+    case 'payment_failed': {
+      const succeeded = event.kind === 'payment_succeeded';
+      const payment = recordPayment({
+        provider: providerName,
+        eventId: event.id,
+        providerPaymentId: event.paymentId,
+        clientId: client?.id,
+        email,
+        membershipId: event.subscriptionId,
+        planId: event.planId,
+        amount: event.amount,
+        currency: event.currency,
+        status: succeeded ? 'succeeded' : 'failed',
+        failureReason: succeeded ? null : event.failureReason,
+        paidAt: event.paidAt,
+      });
+
+      if (succeeded && client) {
+        activateBillingAccount(client, providerName, event);
+        endDunning(client.id);
+      }
+      if (succeeded && email) convertTrialOnPayment(email);
+      const dunning = !succeeded && client ? startDunning(client, payment) : null;
+
+      notifyBillingEvent(providerName, event, succeeded ? 'Payment Received' : 'Payment Failed',
+        `${succeeded ? '💰 Payment received' : '❌ Payment failed'}: $${payment.amount ?? '?'} from ${client?.business_name || email || 'unknown customer'}`,
+        { client_id: client?.id, email, membership: event.subscriptionId, plan: payment.plan_id, amount: payment.amount, failure: payment.failure_reason, grace_period_ends_at: dunning?.grace_period_ends_at });
+      break;
+    }
+
+    case 'subscription_started':
+      if (client) activateBillingAccount(client, providerName, event);
+      if (email) convertTrialOnPayment(email);
+      break;
+
+    // Ignored when the client has since moved to the other provider
+    case 'subscription_ended':
+      if (client && [null, providerName].includes(client.billing_provider)) {
+        db.prepare(`
+          UPDATE clients SET status = 'churned', past_due_at = NULL, grace_period_ends_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(client.id);
+      }
+      notifyBillingEvent(providerName, event, 'Subscription Ended', `⚠️ Subscription cancelled: ${client?.business_name || email}`,
+        { client_id: client?.id, email, membership: event.subscriptionId });
+      break;
+
+    default:
+      console.log(`Unhandled ${providerName} event: ${event.type}`);
+  }
+  return client?.id || null;
+}
+
+// Record-then-apply in one transaction. If applying throws, the event isn't
+// recorded and the provider's retry gets a clean second attempt.
+const processBillingEvent = db.transaction((providerName, event, payload) => {
+  const inserted = db.prepare(`
+    INSERT OR IGNORE INTO billing_events (id, provider, event_id, type, payload) VALUES (?, ?, ?, ?, ?)
+  `).run(uuidv4(), providerName, event.id, event.type, JSON.stringify(payload));
+  if (!inserted.changes) return { duplicate: true };
+
+  const clientId = applyBillingEvent(providerName, event);
+  db.prepare('UPDATE billing_events SET client_id = ? WHERE provider = ? AND event_id = ?').run(clientId, providerName, event.id);
+  return { duplicate: false };
+});
+
+// Express handler for a provider's webhook endpoint
+function billingWebhook(providerName) {
+  const provider = BILLING_PROVIDERS[providerName];
+  return (req, res) => {
+    if (!provider.verify(req)) {
+      console.warn(`Invalid ${providerName} webhook signature`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    try {
+      const event = provider.parseEvent(req.body || {});
+      if (!event) return res.status(400).json({ error: 'Invalid webhook data' });
+
+      const { duplicate } = processBillingEvent(providerName, event, req.body);
+      console.log(`${providerName} webhook: ${event.type}${duplicate ? ' (already processed)' : ''}`);
+      res.json({ received: true, duplicate });
+    } catch (err) {
+      console.error(`${providerName} webhook error:`, err);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  };
+}
+
+// Month by month, from the payments table. A successful payment keeps its
+// payer (the client, or the email when no client matched) paying through the
+// following month, so MRR is the sum of each paying payer's latest payment
+// and a payer who stops shows up as churned once that runs out.
+function revenueReport(months, now = new Date()) {
+  const monthStart = offset => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1));
+  const payments = db.prepare(`
+    SELECT COALESCE(client_id, lower(email), membership_id) as payer, amount, status, paid_at FROM payments
+    WHERE paid_at >= ? ORDER BY paid_at
+  `).all(toSqlDate(monthStart(-months - 1)));
+  const round = value => Math.round(value * 100) / 100;
+
+  const payingIn = offset => {
+    const from = toSqlDate(monthStart(offset - 1));
+    const to = toSqlDate(monthStart(offset + 1));
+    const latest = new Map();
+    for (const p of payments) {
+      if (p.status === 'succeeded' && p.paid_at >= from && p.paid_at < to) latest.set(p.payer, p.amount || 0);
+    }
+    return latest;
+  };
+
+  const series = [];
+  let previous = payingIn(-months);
+  for (let offset = 1 - months; offset <= 0; offset++) {
+    const paying = payingIn(offset);
+    const from = toSqlDate(monthStart(offset));
+    const to = toSqlDate(monthStart(offset + 1));
+    const inMonth = payments.filter(p => p.paid_at >= from && p.paid_at < to);
+    const churned = [...previous.keys()].filter(payer => !paying.has(payer)).length;
+
+    series.push({
+      month: from.slice(0, 7),
+      mrr: round([...paying.values()].reduce((sum, amount) => sum + amount, 0)),
+      paying: paying.size,
+      new: [...paying.keys()].filter(payer => !previous.has(payer)).length,
+      churned,
+      churnRatePct: previous.size ? round(churned / previous.size * 100) : null,
+      collected: round(inMonth.filter(p => p.status === 'succeeded').reduce((sum, p) => sum + (p.amount || 0), 0)),
+      failedPayments: inMonth.filter(p => p.status === 'failed').length,
+    });
+    previous = paying;
+  }
+  return series;
+}
+
+
+// ─── LEAD INTAKE ───
+// Every lead source (landing pages, Facebook Lead Ads, Zapier) goes through
+// createLead so they all get the same client routing, activity log and
+// notifications. Notifications are queued, so this returns immediately.
+// Pass spamReasons to store the lead as quarantined instead (no routing, no
+// duplicate check, no notifications, no capture page stats).
+function createLead(data, { spamReasons = [] } = {}) {
+  const { name, email, phone, service_needed, address, city, postal_code, message, source, utm_source, utm_medium, utm_campaign, capture_page, external_id } = data;
+  const customFields = data.custom_fields?.length ? JSON.stringify(data.custom_fields) : null;
+
+  // Find the client associated with this capture page, and the A/B variant the homeowner saw
+  let clientId = null;
+  let variantId = null;
+  const page = capture_page ? db.prepare('SELECT id, client_id, industry, city FROM capture_pages WHERE slug = ?').get(capture_page) : null;
+  if (page) clientId = page.client_id;
+  if (page && data.variant_id) {
+    variantId = db.prepare('SELECT id FROM capture_page_variants WHERE id = ? AND capture_page_id = ?').get(data.variant_id, page.id)?.id || null;
+  }
+  const industry = String(data.industry || page?.industry || '').trim().toLowerCase() || null;
+
+  const phoneNormalized = normalizePhone(phone);
+  const emailNormalized = normalizeEmail(email);
+  const emailConsent = hasEmailConsent(emailNormalized) ? 1 : 0;
+
+  if (spamReasons.length) {
+    const id = uuidv4();
+    const routing = clientId ? capturePageRouting(capture_page, clientId) : null;
+    db.prepare(`
+      INSERT INTO leads (id, client_id, capture_page, variant_id, name, email, phone, service_needed, address, city, postal_code, message, custom_fields, industry, source, utm_source, utm_medium, utm_campaign, external_id, phone_normalized, email_normalized, email_consent, status, spam_reasons, routed_via, routing_decision)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'quarantined', ?, ?, ?)
+    `).run(id, clientId, capture_page, variantId, name, email, phone, service_needed, address, city || page?.city || null, postal_code, message, customFields, industry, source || 'facebook', utm_source, utm_medium, utm_campaign, external_id || null, phoneNormalized, emailNormalized, emailConsent, JSON.stringify(spamReasons), routing?.via || null, routing ? JSON.stringify(routing) : null);
+    logLeadActivity(id, 'quarantined', { reasons: spamReasons, source, capture_page });
+    applyLeadScore(id);
+    return { id, clientId, duplicate: false, quarantined: true };
+  }
+
+  // Update capture page stats
+  if (capture_page) {
+    db.prepare('UPDATE capture_pages SET submissions = submissions + 1 WHERE slug = ?').run(capture_page);
+  }
+
+  // No client behind the page (or no page at all) — find one by industry and territory
+  const routing = clientId
+    ? capturePageRouting(capture_page, clientId)
+    : routeLead({ industry, postal_code, city: city || page?.city });
+  clientId = routing.client_id;
+
+  // Same homeowner again — record it on the original lead instead of notifying twice
+  const duplicate = findDuplicateLead(clientId, phoneNormalized, emailNormalized);
+  if (duplicate) {
+    logLeadActivity(duplicate.id, 'resubmitted', {
+      name, email, phone, service_needed, message, custom_fields: data.custom_fields, source, utm_source, utm_medium, utm_campaign, capture_page, external_id,
+    });
+    return { id: duplicate.id, clientId: duplicate.client_id, duplicate: true };
+  }
+
+  // Client already has their plan's worth of leads this period
+  const client = clientId ? db.prepare('SELECT * FROM clients WHERE id = ?').get(clientId) : null;
+  const overCapAction = overCapActionFor(client);
+  const deliverTo = overCapAction ? null : clientId;
+  const status = overCapAction === 'waitlist' ? 'waitlisted' : 'new';
+
+  const id = uuidv4();
+  const stmt = db.prepare(`
+    INSERT INTO leads (id, client_id, waitlist_client_id, capture_page, variant_id, name, email, phone, service_needed, address, city, postal_code, message, custom_fields, industry, source, utm_source, utm_medium, utm_campaign, external_id, phone_normalized, email_normalized, email_consent, status, routed_via, routing_decision, delivered_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NOT NULL THEN CURRENT_TIMESTAMP END)
+  `);
+  stmt.run(id, deliverTo, overCapAction === 'waitlist' ? clientId : null, capture_page, variantId, name, email, phone, service_needed, address, city || page?.city || null, postal_code, message, customFields, industry, source || 'facebook', utm_source, utm_medium, utm_campaign, external_id || null, phoneNormalized, emailNormalized, emailConsent, status, routing.via, JSON.stringify(routing), deliverTo);
+
+  // Log activity
+  logLeadActivity(id, 'created', { source, capture_page, external_id });
+  noteRouting(id, routing);
+  applyLeadScore(id);
+  sendHomeownerConfirmation(db.prepare('SELECT * FROM leads WHERE id = ?').get(id));
+
+  if (overCapAction) {
+    logLeadActivity(id, overCapAction === 'waitlist' ? 'waitlisted' : 'over_cap', { client_id: clientId, cap: clientLeadLimits(client).cap });
+    notifyCapReached(client, overCapAction);
+    // Waitlisted leads are announced when they're delivered; paused ones go to the operator now
+    if (overCapAction === 'pause') announceLead(db.prepare('SELECT * FROM leads WHERE id = ?').get(id));
+    return { id, clientId: deliverTo, duplicate: false, overCap: overCapAction };
+  }
+
+  announceLead(db.prepare('SELECT * FROM leads WHERE id = ?').get(id));
+
+  return { id, clientId, duplicate: false };
+}
+
+// Tell the client, their webhooks and the operator about a new lead
+function announceLead(lead) {
+  // Notify client if assigned
+  if (lead.client_id) {
+    const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(lead.client_id);
+    if (client) notifyClientOfLead(client, lead);
+  }
+  emitWebhookEvent(lead.client_id, 'lead.created', { lead: toClientLead(lead), source: lead.source, capturePage: lead.capture_page });
+
+  // Always notify operator
+  enqueueEmail(
+    process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+    `⚡ NEW LEAD: ${lead.name} — ${lead.service_needed || 'Service request'} (${lead.capture_page || 'direct'})`,
+    getEmailTemplate('internal_notification', {
+      type: 'New Lead',
+      summary: `${lead.name} — ${lead.phone}`,
+      details: { id: lead.id, name: lead.name, email: lead.email, phone: lead.phone, service_needed: lead.service_needed, city: lead.city, capture_page: lead.capture_page, source: lead.source, routed_via: lead.routed_via, custom_fields: parseCustomFields(lead), timestamp: new Date().toISOString() }
+    }).html,
+    { template: 'internal_notification', idempotencyKey: `lead:${lead.id}:operator_email` }
+  );
+  notifyOperatorBySms(lead);
+}
+
+
+// ─── HOMEOWNER MESSAGING ───
+// Homeowners who leave an email get an auto-reply in the contractor's name,
+// and a follow-up if their lead is still 'new' after the client's
+// homeowner_follow_up_hours (HOMEOWNER_FOLLOW_UP_HOURS by default). Every
+// homeowner email carries an unsubscribe link that clears email_consent on
+// all of that address's leads. Sends, skips and unsubscribes are logged on
+// the lead's timeline.
+const DEFAULT_HOMEOWNER_FOLLOW_UP_HOURS = parseInt(process.env.HOMEOWNER_FOLLOW_UP_HOURS || '4');
+
+// Signed, purpose-bound token for links and actions a homeowner takes on their own lead
+function leadToken(purpose, leadId) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`${purpose}:${leadId}`).digest('hex').slice(0, 32);
+}
+
+function verifyLeadToken(purpose, leadId, token) {
+  const expected = Buffer.from(leadToken(purpose, leadId));
+  const received = Buffer.from(String(token || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function unsubscribeUrl(lead) {
+  return `${process.env.BASE_URL || 'https://leadflow24.com'}/api/unsubscribe/${lead.id}?token=${leadToken('unsubscribe', lead.id)}`;
+}
+
+// The business the homeowner reached, falling back to LeadFlow24 for unassigned leads
+function homeownerBrand(lead) {
+  const clientId = lead.client_id || lead.waitlist_client_id;
+  const client = clientId ? db.prepare('SELECT business_name, phone FROM clients WHERE id = ?').get(clientId) : null;
+  return { businessName: client?.business_name || 'LeadFlow24', phone: client?.phone || null };
+}
+
+// Queue one email to the homeowner behind a lead. Returns false (and sends
+// nothing) without an address or consent, or when `key` was already sent.
+function emailHomeowner(lead, template, data, { key = template, attachments } = {}) {
+  if (!lead.email) return false;
+  if (!lead.email_consent) {
+    logLeadActivity(lead.id, 'homeowner_email_suppressed', { template, reason: 'unsubscribed' });
+    return false;
+  }
+  const idempotencyKey = `lead:${lead.id}:homeowner:${key}`;
+  if (db.prepare('SELECT 1 FROM jobs WHERE idempotency_key = ?').get(idempotencyKey)) return false;
+
+  const unsubscribe = unsubscribeUrl(lead);
+  const { subject, html } = getEmailTemplate(template, { ...data, unsubscribeUrl: unsubscribe });
+  enqueueEmail(lead.email, subject, html, {
+    template,
+    idempotencyKey,
+    attachments,
+    fromName: data.businessName,
+    headers: { 'List-Unsubscribe': `<${unsubscribe}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+  });
+  logLeadActivity(lead.id, 'homeowner_emailed', { template, subject });
+  return true;
+}
+
+function homeownerEmailData(lead) {
+  return { ...homeownerBrand(lead), firstName: (lead.name || '').split(' ')[0] || 'there', service: lead.service_needed };
+}
+
+function sendHomeownerConfirmation(lead) {
+  return emailHomeowner(lead, 'homeowner_confirmation', homeownerEmailData(lead));
+}
+
+// Leads still 'new' past their follow-up delay. Only looks back a day past
+// the delay so turning this on doesn't email every old lead. Quietly
+// imported leads are never followed up.
+function sendHomeownerFollowUps() {
+  const due = db.prepare(`
+    SELECT l.* FROM leads l
+    LEFT JOIN clients c ON c.id = l.client_id
+    WHERE l.status = 'new' AND l.homeowner_follow_up_at IS NULL AND l.email IS NOT NULL AND l.email_consent = 1
+    AND COALESCE(c.homeowner_follow_up_hours, ?) > 0
+    AND NOT EXISTS (SELECT 1 FROM imports i WHERE i.id = l.import_id AND i.suppress_notifications = 1)
+    AND COALESCE(l.delivered_at, l.created_at) <= datetime('now', '-' || COALESCE(c.homeowner_follow_up_hours, ?) || ' hours')
+    AND COALESCE(l.delivered_at, l.created_at) >= datetime('now', '-' || (COALESCE(c.homeowner_follow_up_hours, ?) + 24) || ' hours')
+  `).all(DEFAULT_HOMEOWNER_FOLLOW_UP_HOURS, DEFAULT_HOMEOWNER_FOLLOW_UP_HOURS, DEFAULT_HOMEOWNER_FOLLOW_UP_HOURS);
+
+  for (const lead of due) {
+    emailHomeowner(lead, 'homeowner_follow_up', homeownerEmailData(lead));
+    db.prepare('UPDATE leads SET homeowner_follow_up_at = CURRENT_TIMESTAMP WHERE id = ?').run(lead.id);
+  }
+}
+
+scheduleTask('homeowner_follow_up', 15 * 60 * 1000, sendHomeownerFollowUps);
+
+// Clear consent on this lead and every other lead with the same email
+function unsubscribeHomeowner(lead) {
+  const affected = db.prepare(`
+    SELECT id FROM leads WHERE email_consent = 1 AND (id = ? OR (email_normalized IS NOT NULL AND email_normalized = ?))
+  `).all(lead.id, lead.email_normalized);
+
+  db.transaction(() => {
+    for (const { id } of affected) {
+      db.prepare('UPDATE leads SET email_consent = 0, email_unsubscribed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+      logLeadActivity(id, 'homeowner_unsubscribed', { via: id === lead.id ? 'link' : 'same_email' });
+    }
+  })();
+  return affected.length;
+}
+
+// An address that unsubscribed before stays unsubscribed on new leads
+function hasEmailConsent(emailNormalized) {
+  return !emailNormalized || !db.prepare('SELECT 1 FROM leads WHERE email_normalized = ? AND email_consent = 0 LIMIT 1').get(emailNormalized);
+}
+
+
+// ─── FACEBOOK LEAD ADS ───
+
+// Thin Graph API client. Point FACEBOOK_GRAPH_URL at a local fake server in
+// development, or swap app.locals.graphClient for anything with getLead().
+function createGraphClient({ baseUrl, accessToken }) {
+  return {
+    async getLead(leadgenId) {
+      const fields = 'id,created_time,field_data,form_id,ad_id,ad_name,campaign_name,platform';
+      const url = `${baseUrl}/${encodeURIComponent(leadgenId)}?fields=${fields}&access_token=${encodeURIComponent(accessToken || '')}`;
+      const response = await fetch(url);
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Graph API ${response.status}: ${body.error?.message || 'request failed'}`);
+      }
+      return body;
+    }
+  };
+}
+
+app.locals.graphClient = createGraphClient({
+  baseUrl: process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com/v19.0',
+  accessToken: process.env.FACEBOOK_PAGE_ACCESS_TOKEN,
+});
+
+// Facebook signs the raw request body with the app secret
+function verifyFacebookSignature(req) {
+  const secret = process.env.FACEBOOK_APP_SECRET;
+  const header = req.headers['x-hub-signature-256'] || '';
+  if (!secret || !req.rawBody || !header.startsWith('sha256=')) return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex'));
+  const received = Buffer.from(header.slice('sha256='.length));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Lead form question keys → leads columns. Anything not listed here is
+// kept in the lead's custom_fields so no answer is lost.
+const FACEBOOK_FIELD_MAP = {
+  full_name: 'name',
+  first_name: 'first_name',
+  last_name: 'last_name',
+  email: 'email',
+  phone_number: 'phone',
+  phone: 'phone',
+  street_address: 'address',
+  city: 'city',
+  post_code: 'postal_code',
+  postal_code: 'postal_code',
+  zip_code: 'postal_code',
+  service_needed: 'service_needed',
+  service: 'service_needed',
+  message: 'message',
+  comments: 'message',
+};
+
+function mapFacebookLead(fbLead) {
+  const fields = {};
+  const extras = [];
+
+  for (const { name, values } of fbLead.field_data || []) {
+    const value = (values || []).join(', ').trim();
+    const column = FACEBOOK_FIELD_MAP[name.toLowerCase()];
+    if (column) fields[column] = value;
+    else if (value) extras.push({ field: name.toLowerCase(), label: name.replace(/_/g, ' '), value });
+  }
+
+  const fullName = fields.name || [fields.first_name, fields.last_name].filter(Boolean).join(' ');
+
+  return {
+    name: fullName || fields.email || 'Facebook lead',
+    email: fields.email || null,
+    phone: fields.phone || '',
+    service_needed: fields.service_needed || null,
+    address: fields.address || null,
+    city: fields.city || null,
+    postal_code: fields.postal_code || null,
+    message: fields.message || null,
+    custom_fields: extras,
+    source: 'facebook',
+    utm_source: 'facebook',
+    utm_medium: 'lead_ad',
+    utm_campaign: fbLead.campaign_name || null,
+  };
+}
+
+// Page + form → capture page. A mapping with no form_id covers every form on that page.
+function findFacebookCapturePage(pageId, formId) {
+  const mapping = db.prepare(`
+    SELECT capture_page FROM facebook_form_mappings
+    WHERE page_id = ? AND (form_id = ? OR form_id IS NULL)
+    ORDER BY form_id IS NULL
+    LIMIT 1
+  `).get(String(pageId), formId ? String(formId) : null);
+  return mapping ? mapping.capture_page : null;
+}
+
+async function ingestFacebookLead(change) {
+  const { leadgen_id, page_id, form_id } = change;
+  if (!leadgen_id) return null;
+
+  const externalId = `facebook:${leadgen_id}`;
+  const existing = db.prepare('SELECT id FROM leads WHERE external_id = ?').get(externalId);
+  if (existing) return existing.id;
+
+  const fbLead = await app.locals.graphClient.getLead(leadgen_id);
+  const lead = mapFacebookLead(fbLead);
+  const capturePage = findFacebookCapturePage(page_id, form_id || fbLead.form_id);
+
+  const { id } = createLead({ ...lead, capture_page: capturePage, external_id: externalId });
+  return id;
+}
+
+
+// ─── CAPTURE PAGES ───
+// Every capture page is rendered from templates/capture-page.html using the
+// copy, services, phone and colours on its capture_pages row. Anything left
+// blank falls back to the defaults below. The template lives outside public/
+// so its raw {{placeholders}} are never served.
+//
+// A/B tests: while a page has active variants, each visitor (lf24_vid cookie)
+// is assigned the page's own copy or a variant by weight, and keeps it on
+// every visit. Views are counted once per visitor, when the page's script
+// reports in.
+const fs = require('fs');
+
+const CAPTURE_TEMPLATE_PATH = path.join(__dirname, 'templates', 'capture-page.html');
+const CAPTURE_PAGE_DEFAULTS = {
+  subheadline: 'Fill out the form below and a trusted local pro will call you within 15 minutes. Free estimates. No obligation.',
+  services: ['Repair', 'New Installation', 'Maintenance / Tune-Up', 'General Quote', 'Emergency Service', 'Other'],
+  primary_color: '#0066FF',
+  accent_color: '#10B981',
+  cta_text: 'Get My Free Quote →',
+};
+const INDUSTRY_LABELS = { hvac: 'HVAC' };
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const FORM_LENGTHS = ['full', 'short']; // short = required questions only
+const VARIANT_CONTENT_FIELDS = ['headline', 'subheadline', 'cta_text', 'hero_image_url', 'form_length'];
+const VISITOR_COOKIE = 'lf24_vid';
+const SIGNIFICANCE_LEVEL = 0.05;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+let captureTemplate = null;
+
+function industryLabel(industry) {
+  if (!industry) return 'Home Service';
+  return INDUSTRY_LABELS[industry.toLowerCase()]
+    || industry.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// Check the editable capture page fields in a request body. Returns
+// { fields } with only the keys that were sent, or { error }.
+function parseCapturePageFields(body) {
+  const fields = {};
+
+  for (const key of ['title', 'industry', 'city', 'headline', 'subheadline', 'phone', 'cta_text']) {
+    if (body[key] === undefined) continue;
+    fields[key] = body[key] === null ? null : String(body[key]).trim() || null;
+  }
+  if ('title' in fields && !fields.title) return { error: 'title cannot be empty' };
+
+  if (body.services !== undefined) {
+    if (body.services !== null && (!Array.isArray(body.services) || !body.services.every(s => typeof s === 'string' && s.trim()))) {
+      return { error: 'services must be a list of service names' };
+    }
+    fields.services = body.services ? JSON.stringify(body.services.map(s => s.trim())) : null;
+  }
+
+  for (const key of ['primary_color', 'accent_color']) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && !HEX_COLOR.test(body[key])) return { error: `${key} must be a hex colour like #0066FF` };
+    fields[key] = body[key];
+  }
+
+  if (body.hero_image_url !== undefined) {
+    if (body.hero_image_url !== null && !/^https?:\/\//i.test(body.hero_image_url)) {
+      return { error: 'hero_image_url must be an http(s) URL' };
+    }
+    fields.hero_image_url = body.hero_image_url;
+  }
+
+  if (body.form_length !== undefined) {
+    if (body.form_length !== null && !FORM_LENGTHS.includes(body.form_length)) {
+      return { error: `form_length must be one of: ${FORM_LENGTHS.join(', ')}` };
+    }
+    fields.form_length = body.form_length;
+  }
+
+  if (body.control_weight !== undefined) {
+    if (!(Number.isInteger(body.control_weight) && body.control_weight >= 0)) return { error: 'control_weight must be a whole number' };
+    fields.control_weight = body.control_weight;
+  }
+
+  if (body.form_schema !== undefined) {
+    const invalid = body.form_schema !== null && checkFormSchema(body.form_schema);
+    if (invalid) return { error: invalid };
+    fields.form_schema = body.form_schema ? JSON.stringify(body.form_schema) : null;
+  }
+
+  return { fields };
+}
+
+// Variant name/weight plus the content fields a variant may override
+function parseVariantFields(body) {
+  const content = {};
+  for (const key of VARIANT_CONTENT_FIELDS) if (body[key] !== undefined) content[key] = body[key];
+  const { fields, error } = parseCapturePageFields(content);
+  if (error) return { error };
+
+  if (body.name !== undefined) {
+    if (!String(body.name || '').trim()) return { error: 'name cannot be empty' };
+    fields.name = String(body.name).trim();
+  }
+  if (body.weight !== undefined) {
+    if (!(Number.isInteger(body.weight) && body.weight >= 0)) return { error: 'weight must be a whole number' };
+    fields.weight = body.weight;
+  }
+  return { fields };
+}
+
+// Fill the capture page template for one capture_pages row, with a
+// variant's non-blank fields on top
+function renderCapturePage(page, variant = null) {
+  if (!captureTemplate) captureTemplate = fs.readFileSync(CAPTURE_TEMPLATE_PATH, 'utf8');
+
+  if (variant) {
+    page = { ...page };
+    for (const key of VARIANT_CONTENT_FIELDS) if (variant[key]) page[key] = variant[key];
+  }
+
+  const client = page.client_id ? db.prepare('SELECT phone FROM clients WHERE id = ?').get(page.client_id) : null;
+  const industry = industryLabel(page.industry);
+  const city = page.city || 'your area';
+  const phone = page.phone || client?.phone;
+  const services = page.services ? JSON.parse(page.services) : CAPTURE_PAGE_DEFAULTS.services;
+  const subheadline = page.subheadline || CAPTURE_PAGE_DEFAULTS.subheadline;
+
+  const config = {
+    apiUrl: '/api/leads',
+    capturePage: page.slug,
+    variant: variant ? variant.id : null,
+    booking: !!(page.client_id && hasAvailability(page.client_id)),
+    industry: page.industry,
+    city: page.city,
+    source: 'facebook',
+  };
+
+  const values = {
+    TITLE: escapeXml(page.title),
+    META_DESCRIPTION: escapeXml(subheadline),
+    PRIMARY_COLOR: page.primary_color || CAPTURE_PAGE_DEFAULTS.primary_color,
+    ACCENT_COLOR: page.accent_color || CAPTURE_PAGE_DEFAULTS.accent_color,
+    HERO_IMAGE: page.hero_image_url ? `<img class="capture-hero" src="${escapeXml(page.hero_image_url)}" alt="">` : '',
+    HEADLINE: escapeXml(page.headline || `Get a Free ${industry} Quote in ${city}`),
+    SUBHEADLINE: escapeXml(subheadline),
+    FORM_STEPS: renderFormSteps(formSchema(page), services),
+    CTA_TEXT: escapeXml(page.cta_text || CAPTURE_PAGE_DEFAULTS.cta_text),
+    INDUSTRY_DISPLAY: escapeXml(industry),
+    FORM_LENGTH: FORM_LENGTHS.includes(page.form_length) ? page.form_length : 'full',
+    PHONE_LINK: phone
+      ? `<a href="tel:${escapeXml(toE164(phone) || phone)}" class="phone-link">📞 Call Us Now: ${escapeXml(phone)}</a>`
+      : '',
+    // JSON inside <script>: keep "</script>" in page data from closing the tag
+    PAGE_CONFIG: JSON.stringify(config).replace(/</g, '\\u003c'),
+  };
+
+  return captureTemplate.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch {
+      return null; // malformed; visitorId issues a fresh one
+    }
+  }
+  return null;
+}
+
+// The visitor's id, set as a year-long cookie the first time
+function visitorId(req, res) {
+  let id = readCookie(req, VISITOR_COOKIE);
+  if (!id || !/^[\w-]{16,64}$/.test(id)) {
+    id = crypto.randomBytes(16).toString('hex');
+    res.cookie(VISITOR_COOKIE, id, { maxAge: 365 * DAY_MS, httpOnly: true, sameSite: 'lax', secure: req.secure });
+  }
+  return id;
+}
+
+// Weighted pick between the page's own copy (null) and its active variants
+function pickVariant(page, variants) {
+  const arms = [{ variant: null, weight: page.control_weight ?? 1 }, ...variants.map(v => ({ variant: v, weight: v.weight }))];
+  const total = arms.reduce((sum, arm) => sum + arm.weight, 0);
+  if (!total) return null;
+
+  let roll = crypto.randomInt(total);
+  for (const arm of arms) {
+    if (roll < arm.weight) return arm.variant;
+    roll -= arm.weight;
+  }
+  return null;
+}
+
+// Sticky assignment: a returning visitor keeps their arm unless it was
+// paused or ended, in which case they're re-assigned
+function assignVariant(page, visitor) {
+  const variants = db.prepare("SELECT * FROM capture_page_variants WHERE capture_page_id = ? AND status = 'active'").all(page.id);
+  const seen = db.prepare('SELECT variant_id FROM capture_page_visitors WHERE capture_page_id = ? AND visitor_id = ?').get(page.id, visitor);
+
+  if (seen) {
+    if (!variants.length) return null;
+    if (seen.variant_id === null && (page.control_weight ?? 1) > 0) return null;
+    const kept = variants.find(v => v.id === seen.variant_id);
+    if (kept) return kept;
+  }
+
+  const variant = variants.length ? pickVariant(page, variants) : null;
+  db.prepare(`
+    INSERT INTO capture_page_visitors (capture_page_id, visitor_id, variant_id) VALUES (?, ?, ?)
+    ON CONFLICT(capture_page_id, visitor_id) DO UPDATE SET variant_id = excluded.variant_id
+  `).run(page.id, visitor, variant ? variant.id : null);
+  return variant;
+}
+
+function serveCapturePage(slug, req, res, notFound) {
+  const page = db.prepare('SELECT * FROM capture_pages WHERE slug = ? AND status = ?').get(slug, 'active');
+  if (!page) return notFound();
+
+  try {
+    const variant = assignVariant(page, visitorId(req, res));
+    res.type('html').send(renderCapturePage(page, variant));
+  } catch (err) {
+    console.error('Capture page render error:', err);
+    res.status(500).send('Page unavailable');
+  }
+}
+
+// A real view reported by the page's script. Only a visitor's first view
+// counts toward the page's views.
+function recordCaptureView(slug, visitor) {
+  const page = db.prepare('SELECT id FROM capture_pages WHERE slug = ?').get(slug);
+  if (!page) return;
+
+  const existing = db.prepare('SELECT views FROM capture_page_visitors WHERE capture_page_id = ? AND visitor_id = ?').get(page.id, visitor);
+  db.prepare(`
+    INSERT INTO capture_page_visitors (capture_page_id, visitor_id, views) VALUES (?, ?, 1)
+    ON CONFLICT(capture_page_id, visitor_id) DO UPDATE SET views = views + 1, last_seen_at = CURRENT_TIMESTAMP
+  `).run(page.id, visitor);
+  if (!existing?.views) db.prepare('UPDATE capture_pages SET views = views + 1 WHERE id = ?').run(page.id);
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26 via erf)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-proportion z-test of an arm's conversion rate against the control's
+function compareToControl(arm, control) {
+  if (!arm.visitors || !control.visitors) return { lift: null, pValue: null, significant: false };
+  const pooled = (arm.leads + control.leads) / (arm.visitors + control.visitors);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / arm.visitors + 1 / control.visitors));
+  const diff = arm.leads / arm.visitors - control.leads / control.visitors;
+  const pValue = se ? 2 * (1 - normalCdf(Math.abs(diff / se))) : 1;
+  const controlRate = control.leads / control.visitors;
+  return {
+    lift: controlRate ? Math.round((diff / controlRate) * 1000) / 10 : null,
+    pValue: Math.round(pValue * 10000) / 10000,
+    significant: pValue < SIGNIFICANCE_LEVEL,
+  };
+}
+
+// Visitors, leads and conversion rate for the page's own copy and each variant,
+// counted from when the current test started (its earliest running variant, or
+// the earliest variant once it's over) so older traffic doesn't land on the control
+function experimentStats(page) {
+  const { started_at: startedAt } = db.prepare(`
+    SELECT COALESCE(MIN(CASE WHEN status IN ('active', 'paused') THEN created_at END), MIN(created_at)) as started_at
+    FROM capture_page_variants WHERE capture_page_id = ?
+  `).get(page.id);
+  const visitors = new Map(db.prepare(`
+    SELECT variant_id, COUNT(*) as count FROM capture_page_visitors
+    WHERE capture_page_id = ? AND views > 0 AND (? IS NULL OR last_seen_at >= ?) GROUP BY variant_id
+  `).all(page.id, startedAt, startedAt).map(r => [r.variant_id, r.count]));
+  const leads = new Map(db.prepare(`
+    SELECT variant_id, COUNT(*) as count FROM leads
+    WHERE capture_page = ? AND status != 'quarantined' AND (? IS NULL OR created_at >= ?) GROUP BY variant_id
+  `).all(page.slug, startedAt, startedAt).map(r => [r.variant_id, r.count]));
+
+  const arm = (id, fields) => {
+    const v = visitors.get(id) || 0;
+    const l = leads.get(id) || 0;
+    return { ...fields, visitors: v, leads: l, conversionRate: v ? Math.round((l / v) * 1000) / 10 : null };
+  };
+
+  const control = arm(null, { id: null, name: 'control', weight: page.control_weight ?? 1, status: 'active' });
+  const variants = db.prepare('SELECT * FROM capture_page_variants WHERE capture_page_id = ? ORDER BY created_at').all(page.id)
+    .map(v => {
+      const stats = arm(v.id, v);
+      return { ...stats, ...compareToControl(stats, control) };
+    });
+  return { control, variants, significanceLevel: SIGNIFICANCE_LEVEL };
+}
+
+// Copy a variant's content onto the page and end the test
+function promoteVariant(page, variant) {
+  const fields = VARIANT_CONTENT_FIELDS.filter(key => variant[key]);
+  db.transaction(() => {
+    if (fields.length) {
+      db.prepare(`UPDATE capture_pages SET ${fields.map(k => `${k} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...fields.map(k => variant[k]), page.id);
+    }
+    db.prepare(`
+      UPDATE capture_page_variants SET status = CASE WHEN id = ? THEN 'promoted' ELSE 'archived' END, updated_at = CURRENT_TIMESTAMP
+      WHERE capture_page_id = ? AND status IN ('active', 'paused')
+    `).run(variant.id, page.id);
+  })();
+}
+
+
+// ─── FORM SCHEMAS ───
+// A capture page's form is a list of steps, each a list of fields:
+//   { steps: [{ title, fields: [{ name, type, label, required, options, placeholder, width, show_if }] }] }
+// show_if: { field, equals } or { field, in: [...] } on an earlier field.
+// Answers for fields with a leads column go there; the rest are kept in
+// leads.custom_fields as [{ field, label, value }]. Pages without a schema
+// use DEFAULT_FORM_SCHEMA, which is the original single-step form.
+const FORM_FIELD_TYPES = ['text', 'textarea', 'email', 'tel', 'number', 'select', 'radio', 'checkbox'];
+const LEAD_FORM_FIELDS = ['name', 'first_name', 'last_name', 'phone', 'email', 'service_needed', 'address', 'city', 'postal_code', 'message'];
+const RESERVED_FORM_FIELDS = ['website', 'form_started_at', 'source', 'utm_source', 'utm_medium', 'utm_campaign', 'capture_page', 'variant_id', 'industry'];
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_FORM_FIELDS = 40;
+const MAX_EXTRA_ANSWERS = 20;  // unknown keys kept from pages and integrations without a schema entry
+const MAX_ANSWER_LENGTH = 2000;
+
+const DEFAULT_FORM_SCHEMA = {
+  steps: [{
+    fields: [
+      { name: 'first_name', type: 'text', label: 'First Name', placeholder: 'John', required: true, width: 'half' },
+      { name: 'last_name', type: 'text', label: 'Last Name', placeholder: 'Smith', required: true, width: 'half' },
+      { name: 'phone', type: 'tel', label: 'Phone Number', placeholder: '(780) 555-1234', required: true },
+      { name: 'email', type: 'email', label: 'Email (Optional)', placeholder: 'john@email.com' },
+      { name: 'service_needed', type: 'select', label: 'What do you need done?', placeholder: 'Select a service...', required: true },
+      { name: 'address', type: 'text', label: 'Neighbourhood / Area', placeholder: 'e.g. Windermere', width: 'half' },
+      { name: 'postal_code', type: 'text', label: 'Postal Code', placeholder: 'T6W 1A1', width: 'half' },
+      { name: 'message', type: 'textarea', label: 'Anything else we should know? (Optional)', placeholder: 'Tell us about the issue...' },
+    ],
+  }],
+};
+
+// Posts that don't come from a capture page (API, Zapier) only need a name
+// and phone; any other lead columns they send are taken as-is
+const API_FORM_SCHEMA = {
+  steps: [{
+    fields: [
+      { name: 'phone', type: 'tel', label: 'Phone', required: true },
+      { name: 'email', type: 'email', label: 'Email' },
+    ],
+  }],
+};
+
+function formSchema(page) {
+  return page?.form_schema ? JSON.parse(page.form_schema) : DEFAULT_FORM_SCHEMA;
+}
+
+const schemaFields = schema => schema.steps.flatMap(step => step.fields);
+
+// Options as [{ value, label }]. A service_needed select without its own
+// options lists the page's services.
+function fieldOptions(field, services) {
+  const options = field.options || (field.name === 'service_needed' ? services : []);
+  return options.map(o => (typeof o === 'object' ? { value: String(o.value), label: String(o.label ?? o.value) } : { value: String(o), label: String(o) }));
+}
+
+function fieldVisible(field, answers) {
+  const cond = field.show_if;
+  if (!cond) return true;
+  const value = String(answers[cond.field] ?? '');
+  return cond.in ? cond.in.map(String).includes(value) : value === String(cond.equals);
+}
+
+// Problems with an admin-supplied schema, or null when it's usable
+function checkFormSchema(schema) {
+  if (!schema || typeof schema !== 'object' || !Array.isArray(schema.steps) || !schema.steps.length) {
+    return 'form_schema must have a non-empty steps list';
+  }
+
+  const seen = new Set();
+  for (const [i, step] of schema.steps.entries()) {
+    if (!step || !Array.isArray(step.fields) || !step.fields.length) return `Step ${i + 1} needs at least one field`;
+    if (step.title !== undefined && typeof step.title !== 'string') return `Step ${i + 1} title must be text`;
+
+    for (const field of step.fields) {
+      const name = field?.name;
+      if (typeof name !== 'string' || !FIELD_NAME_PATTERN.test(name)) return `Invalid field name: ${name}`;
+      if (RESERVED_FORM_FIELDS.includes(name) || name.startsWith('utm_')) return `${name} is reserved`;
+      if (seen.has(name)) return `Duplicate field: ${name}`;
+      if (!FORM_FIELD_TYPES.includes(field.type)) return `${name}: type must be one of ${FORM_FIELD_TYPES.join(', ')}`;
+      if (typeof field.label !== 'string' || !field.label.trim()) return `${name}: label is required`;
+
+      if (field.options !== undefined) {
+        const valid = Array.isArray(field.options) && field.options.length
+          && field.options.every(o => (typeof o === 'string' && o.trim()) || (o && typeof o === 'object' && String(o.value ?? '').trim()));
+        if (!valid) return `${name}: options must be a non-empty list`;
+      }
+      if (['select', 'radio'].includes(field.type) && !field.options && name !== 'service_needed') return `${name}: ${field.type} fields need options`;
+
+      if (field.show_if !== undefined) {
+        const cond = field.show_if;
+        if (!cond || !seen.has(cond.field)) return `${name}: show_if must refer to an earlier field`;
+        if (cond.in === undefined ? cond.equals === undefined : !Array.isArray(cond.in)) return `${name}: show_if needs equals or in`;
+      }
+      seen.add(name);
+    }
+  }
+
+  if (seen.size > MAX_FORM_FIELDS) return `A form can have at most ${MAX_FORM_FIELDS} fields`;
+  if (!seen.has('phone')) return 'The form needs a phone field';
+  if (!seen.has('name') && !seen.has('first_name')) return 'The form needs a name or first_name field';
+  return null;
+}
+
+// Check a submission against the page's schema. Returns { errors } keyed by
+// field name (empty when it passes), the lead columns, and custom_fields.
+// A full `name` stands in for first_name/last_name, as API callers send it.
+function validateFormSubmission(schema, body, { services = CAPTURE_PAGE_DEFAULTS.services } = {}) {
+  const errors = {};
+  const lead = {};
+  const customFields = [];
+  const answers = {};
+  const fullName = String(body.name ?? '').trim();
+
+  for (const field of schemaFields(schema)) {
+    const raw = body[field.name];
+    const value = field.type === 'checkbox'
+      ? [true, 'true', 'on', 'yes', '1'].includes(raw)
+      : (raw === undefined || raw === null ? '' : String(raw).trim());
+
+    // Questions hidden by an earlier answer are skipped and their answers dropped
+    if (!fieldVisible(field, answers)) continue;
+    answers[field.name] = value === false ? '' : value;
+
+    if (value === '' || value === false) {
+      const coveredByName = fullName && ['first_name', 'last_name'].includes(field.name);
+      if (field.required && !coveredByName) errors[field.name] = `${field.label} is required`;
+      continue;
+    }
+
+    let invalid = null;
+    if (field.type === 'tel') invalid = validateContact({ phone: value });
+    else if (field.type === 'email') invalid = validateContact({ email: value });
+    else if (field.type === 'number' && !Number.isFinite(Number(value))) invalid = `${field.label} must be a number`;
+    else if (['select', 'radio'].includes(field.type)) {
+      const options = fieldOptions(field, services);
+      if (options.length && !options.some(o => o.value === value)) invalid = `${field.label}: pick one of the options`;
+    } else if (value.length > MAX_ANSWER_LENGTH) invalid = `${field.label} is too long`;
+    if (invalid) { errors[field.name] = invalid; continue; }
+
+    if (LEAD_FORM_FIELDS.includes(field.name)) lead[field.name] = value;
+    else customFields.push({ field: field.name, label: field.label, value: value === true ? 'Yes' : value });
+  }
+
+  // Keys the schema doesn't know about: lead columns fill gaps (the template
+  // sends city from the page config), other short answers are kept as-is
+  const known = new Set([...schemaFields(schema).map(f => f.name), ...RESERVED_FORM_FIELDS]);
+  let extras = 0;
+  for (const [key, raw] of Object.entries(body)) {
+    if (known.has(key) || raw === null || raw === '' || !['string', 'number', 'boolean'].includes(typeof raw)) continue;
+    const value = String(raw).trim().slice(0, MAX_ANSWER_LENGTH);
+    if (LEAD_FORM_FIELDS.includes(key)) {
+      if (lead[key] === undefined && value) lead[key] = value;
+    } else if (extras < MAX_EXTRA_ANSWERS && value && !key.startsWith('utm_')) {
+      extras++;
+      customFields.push({ field: key.toLowerCase().replace(/[^a-z0-9]+/g, '_').slice(0, 40), label: key.replace(/_/g, ' '), value });
+    }
+  }
+
+  if (!lead.name) lead.name = fullName || [lead.first_name, lead.last_name].filter(Boolean).join(' ');
+  if (!errors.phone && !lead.phone) errors.phone = 'Phone is required';
+  if (!lead.name && !errors.first_name) errors.name = 'Name is required';
+  delete lead.first_name;
+  delete lead.last_name;
+
+  return { errors, lead, customFields };
+}
+
+// One form group's markup. Optional groups carry form-optional so the short
+// form_length hides them; show_if is evaluated by the page's script.
+function renderFormField(field, services) {
+  const name = escapeXml(field.name);
+  const required = field.required ? ' required' : '';
+  const placeholder = field.placeholder ? ` placeholder="${escapeXml(field.placeholder)}"` : '';
+  const options = fieldOptions(field, services);
+
+  let control;
+  if (field.type === 'textarea') {
+    control = `<textarea class="form-textarea" name="${name}"${placeholder}${required}></textarea>`;
+  } else if (field.type === 'select') {
+    control = `<select class="form-select" name="${name}"${required}>`
+      + `<option value="" disabled selected>${escapeXml(field.placeholder || 'Select...')}</option>`
+      + options.map(o => `<option value="${escapeXml(o.value)}">${escapeXml(o.label)}</option>`).join('')
+      + '</select>';
+  } else if (field.type === 'radio') {
+    control = '<div class="form-choices">' + options.map(o =>
+      `<label class="form-choice"><input type="radio" name="${name}" value="${escapeXml(o.value)}"${required}> ${escapeXml(o.label)}</label>`
+    ).join('') + '</div>';
+  } else if (field.type === 'checkbox') {
+    control = `<label class="form-choice"><input type="checkbox" name="${name}" value="true"${required}> ${escapeXml(field.label)}</label>`;
+  } else {
+    control = `<input type="${field.type}" class="form-input" name="${name}"${placeholder}${required}>`;
+  }
+
+  const classes = ['form-group', field.width === 'half' && 'form-half', !field.required && 'form-optional'].filter(Boolean).join(' ');
+  const showIf = field.show_if ? ` data-show-if="${escapeXml(JSON.stringify(field.show_if))}"` : '';
+  const label = field.type === 'checkbox' ? '' : `<label class="form-label">${escapeXml(field.label)}</label>`;
+  return `<div class="${classes}"${showIf}>${label}${control}</div>`;
+}
+
+function renderFormSteps(schema, services) {
+  const total = schema.steps.length;
+  return schema.steps.map((step, i) => {
+    const heading = total > 1
+      ? `<div class="form-step-title">Step ${i + 1} of ${total}${step.title ? ` · ${escapeXml(step.title)}` : ''}</div>`
+      : (step.title ? `<div class="form-step-title">${escapeXml(step.title)}</div>` : '');
+    return `<div class="form-step"${i ? ' hidden' : ''}>${heading}${step.fields.map(f => renderFormField(f, services)).join('\n')}</div>`;
+  }).join('\n');
+}
+
+// custom_fields column → list, tolerating rows written before it existed
+function parseCustomFields(lead) {
+  return lead.custom_fields ? JSON.parse(lead.custom_fields) : [];
+}
+
+
+// ─── AD SPEND & ATTRIBUTION ───
+// Daily spend per campaign comes from a CSV upload or the Facebook Marketing
+// API. Each row is tied to a capture page/client, either explicitly or by
+// looking at which page that campaign's leads (utm_campaign) landed on.
+// Reports compare spend with the leads, bookings and revenue it produced.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ATTRIBUTION_MODELS = ['first_touch', 'last_touch', 'linear'];
+const ATTRIBUTION_GROUPS = ['campaign', 'capture_page', 'week'];
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF or LF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Header names accepted in spend CSVs (Facebook/Google export names included)
+const AD_SPEND_COLUMNS = {
+  date: 'date', day: 'date', reporting_starts: 'date',
+  campaign: 'campaign', campaign_name: 'campaign',
+  spend: 'spend', cost: 'spend', amount_spent: 'spend', 'amount_spent_(cad)': 'spend', 'amount_spent_(usd)': 'spend',
+  platform: 'platform',
+  capture_page: 'capture_page',
+  client_id: 'client_id',
+  impressions: 'impressions',
+  clicks: 'clicks', 'link_clicks': 'clicks',
+};
+
+// Which capture page a campaign's leads most often arrive on
+function campaignCapturePage(campaign) {
+  return db.prepare(`
+    SELECT capture_page FROM leads WHERE utm_campaign = ? AND capture_page IS NOT NULL
+    GROUP BY capture_page ORDER BY COUNT(*) DESC LIMIT 1
+  `).get(campaign)?.capture_page || null;
+}
+
+// Insert or replace one day of spend. Returns an error message or null.
+function upsertAdSpend(row, source) {
+  const campaign = String(row.campaign || '').trim();
+  const spend = Number(String(row.spend ?? '').replace(/[$,]/g, ''));
+  if (!isCalendarDate(row.date)) return 'date must be YYYY-MM-DD';
+  if (!campaign) return 'campaign is required';
+  if (!Number.isFinite(spend) || spend < 0) return 'spend must be a positive number';
+
+  let clientId = row.client_id || null;
+  const capturePage = row.capture_page || (clientId ? null : campaignCapturePage(campaign));
+  if (capturePage && !clientId) {
+    clientId = db.prepare('SELECT client_id FROM capture_pages WHERE slug = ?').get(capturePage)?.client_id || null;
+  }
+  if (clientId && !db.prepare('SELECT id FROM clients WHERE id = ?').get(clientId)) return `Unknown client_id '${clientId}'`;
+
+  db.prepare(`
+    INSERT INTO ad_spend (id, date, platform, campaign, client_id, capture_page, spend, impressions, clicks, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(date, platform, campaign) DO UPDATE SET
+      client_id = excluded.client_id, capture_page = excluded.capture_page, spend = excluded.spend,
+      impressions = excluded.impressions, clicks = excluded.clicks, source = excluded.source, updated_at = CURRENT_TIMESTAMP
+  `).run(uuidv4(), row.date, row.platform || 'facebook', campaign, clientId, capturePage, spend,
+    row.impressions ? parseInt(row.impressions) : null, row.clicks ? parseInt(row.clicks) : null, source);
+  return null;
+}
+
+// Import a spend CSV (header row required). Bad rows are reported, not fatal.
+function importAdSpendCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return { imported: 0, errors: [{ line: 1, error: 'CSV is empty' }] };
+
+  const columns = header.map(h => AD_SPEND_COLUMNS[h.trim().toLowerCase().replace(/\s+/g, '_')] || null);
+  for (const required of ['date', 'campaign', 'spend']) {
+    if (!columns.includes(required)) return { imported: 0, errors: [{ line: 1, error: `Missing '${required}' column` }] };
+  }
+
+  let imported = 0;
+  const errors = [];
+  db.transaction(() => {
+    lines.forEach((values, i) => {
+      const row = {};
+      columns.forEach((column, j) => { if (column) row[column] = values[j]?.trim(); });
+      const error = upsertAdSpend(row, 'csv');
+      if (error) errors.push({ line: i + 2, error });
+      else imported++;
+    });
+  })();
+  return { imported, errors };
+}
+
+// Thin Marketing API client: daily campaign-level spend for the ad account.
+// Point FACEBOOK_GRAPH_URL at a local fake server in development, or swap
+// app.locals.adsClient for anything with getDailySpend().
+function createAdsClient({ baseUrl, accessToken, accountId }) {
+  return {
+    async getDailySpend(since, until) {
+      if (!accountId) throw new Error('FACEBOOK_AD_ACCOUNT_ID is not set');
+      const params = new URLSearchParams({
+        level: 'campaign',
+        time_increment: '1',
+        fields: 'campaign_name,spend,impressions,clicks',
+        time_range: JSON.stringify({ since, until }),
+        limit: '500',
+        access_token: accessToken || '',
+      });
+      const rows = [];
+      let url = `${baseUrl}/act_${encodeURIComponent(accountId)}/insights?${params}`;
+      while (url) {
+        const response = await fetch(url);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(`Marketing API ${response.status}: ${body.error?.message || 'request failed'}`);
+        for (const r of body.data || []) {
+          rows.push({ date: r.date_start, campaign: r.campaign_name, spend: r.spend, impressions: r.impressions, clicks: r.clicks });
+        }
+        url = body.paging?.next || null;
+      }
+      return rows;
+    }
+  };
+}
+
+app.locals.adsClient = createAdsClient({
+  baseUrl: process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com/v19.0',
+  accessToken: process.env.FACEBOOK_ADS_ACCESS_TOKEN || process.env.FACEBOOK_PAGE_ACCESS_TOKEN,
+  accountId: process.env.FACEBOOK_AD_ACCOUNT_ID,
+});
+
+async function syncAdSpend(since, until) {
+  const rows = await app.locals.adsClient.getDailySpend(since, until);
+  let imported = 0;
+  const errors = [];
+  for (const row of rows) {
+    const error = upsertAdSpend({ ...row, platform: 'facebook' }, 'facebook_api');
+    if (error) errors.push({ date: row.date, campaign: row.campaign, error });
+    else imported++;
+  }
+  return { imported, errors };
+}
+
+// Facebook keeps revising the last few days of spend, so re-pull them
+if (process.env.FACEBOOK_AD_ACCOUNT_ID) {
+  scheduleTask('ad_spend_sync', 6 * 60 * 60 * 1000, () => {
+    const today = new Date().toISOString().slice(0, 10);
+    return syncAdSpend(addDays(today, -3), today);
+  });
+}
+
+// The touches that brought a lead in: the original submission plus every
+// resubmission merged into it by duplicate detection
+function leadTouches(lead, resubmissions) {
+  return [
+    { campaign: lead.utm_campaign, capturePage: lead.capture_page, at: lead.created_at },
+    ...resubmissions.map(r => ({ campaign: r.details.utm_campaign, capturePage: r.details.capture_page || lead.capture_page, at: r.created_at })),
+  ];
+}
+
+function touchWeights(count, model) {
+  if (model === 'linear') return Array(count).fill(1 / count);
+  return Array.from({ length: count }, (_, i) => (model === 'first_touch' ? i === 0 : i === count - 1) ? 1 : 0);
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function attributionRow(key, { spend = 0, leads = 0, booked = 0, revenue = 0 }) {
+  return {
+    key,
+    spend: round2(spend),
+    leads: round2(leads),
+    booked: round2(booked),
+    revenue: round2(revenue),
+    costPerLead: leads ? round2(spend / leads) : null,
+    costPerBooked: booked ? round2(spend / booked) : null,
+    roas: spend ? round2(revenue / spend) : null,
+  };
+}
+
+// Spend vs. results for one client (or the whole agency) between two dates,
+// grouped by campaign, capture page or week. Leads, bookings and revenue are
+// split across a lead's touches according to `model`.
+function buildAttributionReport({ clientId = null, from, to, groupBy = 'campaign', model = 'first_touch' }) {
+  const keyOf = touch => {
+    if (groupBy === 'week') return mondayOf(touch.at.slice(0, 10));
+    if (groupBy === 'capture_page') return touch.capturePage || '(direct)';
+    return touch.campaign || '(none)';
+  };
+  const groups = new Map();
+  const group = key => {
+    if (!groups.has(key)) groups.set(key, { spend: 0, leads: 0, booked: 0, revenue: 0 });
+    return groups.get(key);
+  };
+
+  const leadFilter = `
+    status != 'quarantined' AND credited_at IS NULL
+    AND created_at >= ? AND created_at < ? AND (? IS NULL OR client_id = ?)
+  `;
+  const range = [from, addDays(to, 1), clientId, clientId];
+  const leads = db.prepare(`SELECT id, utm_campaign, capture_page, status, job_value, created_at FROM leads WHERE ${leadFilter}`).all(...range);
+  const resubmissions = new Map();
+  for (const r of db.prepare(`
+    SELECT lead_id, details, created_at FROM lead_activity
+    WHERE action = 'resubmitted' AND lead_id IN (SELECT id FROM leads WHERE ${leadFilter})
+    ORDER BY created_at
+  `).all(...range)) {
+    if (!resubmissions.has(r.lead_id)) resubmissions.set(r.lead_id, []);
+    resubmissions.get(r.lead_id).push({ details: JSON.parse(r.details || '{}'), created_at: r.created_at });
+  }
+
+  for (const lead of leads) {
+    const touches = leadTouches(lead, resubmissions.get(lead.id) || []);
+    const booked = ['booked', 'completed'].includes(lead.status);
+    touchWeights(touches.length, model).forEach((weight, i) => {
+      if (!weight) return;
+      const g = group(keyOf(touches[i]));
+      g.leads += weight;
+      if (booked) {
+        g.booked += weight;
+        g.revenue += weight * (lead.job_value || 0);
+      }
+    });
+  }
+
+  const spendRows = db.prepare(`
+    SELECT date, campaign, capture_page, spend FROM ad_spend
+    WHERE date >= ? AND date <= ? AND (? IS NULL OR client_id = ?)
+  `).all(from, to, clientId, clientId);
+  for (const row of spendRows) {
+    group(keyOf({ campaign: row.campaign, capturePage: row.capture_page, at: row.date })).spend += row.spend;
+  }
+
+  const rows = [...groups].map(([key, totals]) => attributionRow(key, totals))
+    .sort((a, b) => (groupBy === 'week' ? a.key.localeCompare(b.key) : b.spend - a.spend || b.leads - a.leads));
+  const totals = attributionRow('total', [...groups.values()].reduce((sum, g) => ({
+    spend: sum.spend + g.spend, leads: sum.leads + g.leads, booked: sum.booked + g.booked, revenue: sum.revenue + g.revenue,
+  }), { spend: 0, leads: 0, booked: 0, revenue: 0 }));
+
+  return { from, to, groupBy, model, rows, totals };
+}
+
+
+// ─── LEAD SEARCH ───
+// Lead lists search name, phone, email, message, notes and form answers
+// through the leads_fts index (FTS5); every word typed has to match, as a
+// prefix. The admin list pages with a cursor on its sort column instead of
+// an offset, so both stay quick for clients with tens of thousands of leads.
+const LEAD_SORTS = {
+  created_at: 'l.created_at',
+  status_changed_at: 'COALESCE(l.status_changed_at, l.created_at)',
+  job_value: 'COALESCE(l.job_value, 0)',
+  quality_score: 'COALESCE(l.quality_score, 0)',
+  name: "LOWER(COALESCE(l.name, ''))",
+};
+const LEAD_PAGE_SIZE = 50;
+const MAX_LEAD_PAGE_SIZE = 200;
+
+function sqlWhere(conditions) {
+  return conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Search box text as a condition on `rowid` (a leads rowid column); null when
+// there's nothing to search for. Phone numbers match however they're typed:
+// a query that's all phone characters is joined into one run of digits and
+// looked for anywhere in the stored number.
+function leadSearchFilter(q, rowid = 'l.rowid') {
+  const terms = String(q || '').split(/\s+/).filter(term => /[\p{L}\p{N}]/u.test(term))
+    .map(term => (/^[\d().+-]+$/.test(term) ? term.replace(/\D/g, '') : term));
+  if (!terms.length) return null;
+  const match = `${rowid} IN (SELECT rowid FROM leads_fts WHERE leads_fts MATCH ?)`;
+  const ftsQuery = terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ');
+
+  if (terms.every(term => /^\d+$/.test(term))) {
+    return {
+      condition: `(${rowid} IN (SELECT rowid FROM leads WHERE phone_normalized LIKE ?) OR ${match})`,
+      values: [`%${normalizePhone(terms.join(''))}%`, ftsQuery],
+    };
+  }
+  return { condition: match, values: [ftsQuery] };
+}
+
+// Filters shared by the admin lead list and its export. Dates are
+// YYYY-MM-DD and inclusive; status takes a comma-separated list.
+function adminLeadFilters(query) {
+  const { client_id, status, sla_breached, q, from, to, min_job_value, max_job_value } = query;
+  const conditions = [];
+  const values = [];
+
+  if (client_id) { conditions.push('l.client_id = ?'); values.push(client_id); }
+  // Quarantined leads only show up when asked for (see /api/admin/quarantine)
+  if (status) {
+    const statuses = String(status).split(',');
+    conditions.push(`l.status IN (${statuses.map(() => '?').join(', ')})`);
+    values.push(...statuses);
+  } else conditions.push("l.status != 'quarantined'");
+  if (sla_breached === 'true') conditions.push('l.sla_breached_at IS NOT NULL');
+
+  const search = leadSearchFilter(q);
+  if (search) { conditions.push(search.condition); values.push(...search.values); }
+
+  for (const field of ['capture_page', 'utm_source', 'utm_medium', 'utm_campaign']) {
+    if (query[field]) { conditions.push(`l.${field} = ?`); values.push(query[field]); }
+  }
+
+  const rangeError = dateRangeError(from, to);
+  if (rangeError) return { error: rangeError };
+  if (from) { conditions.push('l.created_at >= ?'); values.push(from); }
+  if (to) { conditions.push("l.created_at < date(?, '+1 day')"); values.push(to); }
+
+  for (const [name, value, op] of [['min_job_value', min_job_value, '>='], ['max_job_value', max_job_value, '<=']]) {
+    if (value === undefined || value === '') continue;
+    if (!Number.isFinite(Number(value))) return { error: `${name} must be a number` };
+    conditions.push(`l.job_value ${op} ?`);
+    values.push(Number(value));
+  }
+  return { conditions, values };
+}
+
+// ?sort= one of LEAD_SORTS, ?order=asc|desc (newest, biggest first by default; names A–Z)
+function leadSort({ sort = 'created_at', order }) {
+  const expression = LEAD_SORTS[sort];
+  if (!expression) return { error: `sort must be one of ${Object.keys(LEAD_SORTS).join(', ')}` };
+  const direction = (order || (sort === 'name' ? 'asc' : 'desc')).toUpperCase();
+  if (!['ASC', 'DESC'].includes(direction)) return { error: 'order must be asc or desc' };
+  return { sort, direction, expression, id: 'l.id', orderBy: `${expression} ${direction}, l.id ${direction}` };
+}
+
+// Rows after the one with a given sort value and id, in `sort` order.
+// Bind the value, the value again, then the id.
+function keysetCondition(sort) {
+  const op = sort.direction === 'DESC' ? '<' : '>';
+  return `(${sort.expression} ${op} ? OR (${sort.expression} = ? AND ${sort.id} ${op} ?))`;
+}
+
+// Opaque position after a row (selected with `sort_value`), tied to the sort it came from
+function encodeLeadCursor(sort, row) {
+  return Buffer.from(JSON.stringify([sort.sort, sort.direction, row.sort_value, row.id])).toString('base64url');
+}
+
+// Condition for the rows after a cursor
+function leadCursorFilter(cursor, sort) {
+  let position = null;
+  try { position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString()); } catch { /* reported below */ }
+  if (!Array.isArray(position) || position.length !== 4 || position[0] !== sort.sort || position[1] !== sort.direction) {
+    return { error: 'cursor is invalid or was made with a different sort' };
+  }
+  const [, , value, id] = position;
+  return { condition: keysetCondition(sort), values: [value, value, id] };
+}
+
+
+// ─── EXPORTS & IMPORTS ───
+// Leads, clients and subscribers download as CSV or XLSX with the same
+// filters as their list endpoints. Exports are read a page at a time and
+// streamed, so a big client's history never sits in memory.
+//
+// Imports take a CSV or XLSX sheet with a header row. Columns are matched to
+// fields by header name (aliases below) or an explicit mapping, every row is
+// validated, and rows matching an existing record are skipped, used to fill
+// in that record's blanks, or (leads only) created anyway. A dry run goes
+// through exactly the same steps in a transaction that's rolled back, so its
+// report is what the real import will do.
+//
+// Imported leads skip routing and lead caps and aren't counted as delivered.
+// With suppress_notifications (the default) nobody is told about them and
+// they're left out of SLA escalation and homeowner follow-ups.
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_PAGE_SIZE = 500;
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const IMPORT_MAX_ROWS = 10000;
+const IMPORT_DUPLICATE_MODES = ['skip', 'update', 'create'];
+const IMPORT_REPORT_LIMIT = 100;   // rows listed per section of an import report
+const IMPORT_LEAD_STATUSES = LEAD_STATUSES.filter(status => !['quarantined', 'waitlisted'].includes(status));
+const IMPORT_CLIENT_STATUSES = ['active', 'churned'];
+const IMPORT_SUBSCRIBER_STATUSES = ['active', 'unsubscribed'];
+
+// Spreadsheet apps run cells starting with these as formulas. Phone numbers
+// like +1 780... are left alone.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PHONE_LIKE = /^\+?[\d\s().-]+$/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !PHONE_LIKE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Resolves once the response takes more data, or the client went away
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Newest first, for exports without a choice of sort
+const EXPORT_SORT = { expression: 'created_at', direction: 'DESC', id: 'id', orderBy: 'created_at DESC, id DESC' };
+
+// Stream `SELECT fields FROM from` filtered by `conditions` as a download, in
+// `sort` order. Each page is its own query picking up after the last row
+// written, so nothing holds the database between writes and rows arriving
+// mid-export can't shift the pages.
+async function streamExport(res, { format, name, columns, fields = '*', from, conditions = [], values = [], sort = EXPORT_SORT }) {
+  const cells = row => columns.map(column => (column.value ? column.value(row) : row[column.key]));
+  res.setHeader('Content-Disposition', `attachment; filename="leadflow24-${name}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  let workbook = null;
+  let sheet = null;
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', XLSX_TYPE);
+    workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map(column => ({ header: column.header, width: column.width || 16 }));
+    sheet.getRow(1).font = { bold: true };
+  } else {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write('\ufeff' + csvLine(columns.map(column => column.header)));   // BOM so Excel reads UTF-8
+  }
+
+  const page = db.prepare(`SELECT ${fields}, ${sort.expression} AS sort_value FROM ${from}${sqlWhere(conditions)} ORDER BY ${sort.orderBy} LIMIT ?`);
+  const nextPage = db.prepare(`SELECT ${fields}, ${sort.expression} AS sort_value FROM ${from}${sqlWhere([...conditions, keysetCondition(sort)])} ORDER BY ${sort.orderBy} LIMIT ?`);
+  for (let last = null; !res.destroyed;) {
+    const rows = last
+      ? nextPage.all(...values, last.sort_value, last.sort_value, last.id, EXPORT_PAGE_SIZE)
+      : page.all(...values, EXPORT_PAGE_SIZE);
+    if (sheet) {
+      // The workbook writes into res on its own; let it flush, and wait when res is full
+      for (const row of rows) sheet.addRow(cells(row)).commit();
+      await (res.writableNeedDrain ? drained(res) : new Promise(setImmediate));
+    } else if (rows.length && !res.write(rows.map(row => csvLine(cells(row))).join(''))) {
+      await drained(res);
+    }
+    if (rows.length < EXPORT_PAGE_SIZE) break;
+    last = rows[rows.length - 1];
+  }
+
+  if (res.destroyed) return;
+  if (sheet) {
+    sheet.commit();
+    await workbook.commit();
+  } else {
+    res.end();
+  }
+}
+
+// Filters shared by each admin list endpoint and its export (leads: see LEAD SEARCH)
+function adminClientFilters({ status, industry, plan }) {
+  const conditions = [];
+  const values = [];
+  if (status) { conditions.push('status = ?'); values.push(status); }
+  if (industry) { conditions.push('industry = ?'); values.push(String(industry).toLowerCase()); }
+  if (plan) { conditions.push('plan = ?'); values.push(plan); }
+  return { conditions, values };
+}
+
+function adminSubscriberFilters({ status, source }) {
+  const conditions = [];
+  const values = [];
+  if (status) { conditions.push('status = ?'); values.push(status); }
+  if (source) { conditions.push('source = ?'); values.push(source); }
+  return { conditions, values };
+}
+
+// What a client sees of their own leads; the admin export adds routing and attribution
+const CLIENT_LEAD_EXPORT_COLUMNS = [
+  { header: 'ID', key: 'id', width: 38 },
+  { header: 'Created', key: 'created_at', width: 20 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Phone', key: 'phone' },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Service', key: 'service_needed', width: 22 },
+  { header: 'Address', key: 'address', width: 30 },
+  { header: 'City', key: 'city' },
+  { header: 'Postal Code', key: 'postal_code', width: 12 },
+  { header: 'Message', key: 'message', width: 40 },
+  { header: 'Other Answers', value: lead => parseCustomFields(lead).map(f => `${f.label}: ${f.value}`).join('; '), width: 40 },
+  { header: 'Notes', key: 'notes', width: 40 },
+  { header: 'Job Value', key: 'job_value', width: 12 },
+  { header: 'Lost Reason', key: 'lost_reason' },
+  { header: 'Contacted', key: 'contacted_at', width: 20 },
+  { header: 'Booked', key: 'booked_at', width: 20 },
+];
+
+const LEAD_EXPORT_COLUMNS = [
+  ...CLIENT_LEAD_EXPORT_COLUMNS,
+  { header: 'Client', key: 'business_name', width: 24 },
+  { header: 'Client ID', key: 'client_id', width: 38 },
+  { header: 'Industry', key: 'industry' },
+  { header: 'Source', key: 'source' },
+  { header: 'Capture Page', key: 'capture_page', width: 24 },
+  { header: 'UTM Source', key: 'utm_source' },
+  { header: 'UTM Medium', key: 'utm_medium' },
+  { header: 'UTM Campaign', key: 'utm_campaign', width: 24 },
+  { header: 'Quality Score', key: 'quality_score', width: 12 },
+  { header: 'Routed Via', key: 'routed_via' },
+  { header: 'SLA Breached', key: 'sla_breached_at', width: 20 },
+];
+
+// No dashboard tokens or billing ids in spreadsheets
+const CLIENT_EXPORT_COLUMNS = [
+  { header: 'ID', key: 'id', width: 38 },
+  { header: 'Business Name', key: 'business_name', width: 28 },
+  { header: 'Contact Name', key: 'contact_name', width: 22 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Phone', key: 'phone' },
+  { header: 'Industry', key: 'industry' },
+  { header: 'City', key: 'city' },
+  { header: 'Service Area', key: 'service_area', width: 28 },
+  { header: 'Services Offered', key: 'services_offered', width: 28 },
+  { header: 'Avg Job Value', key: 'avg_job_value', width: 14 },
+  { header: 'Plan', key: 'plan' },
+  { header: 'Plan Price', key: 'plan_price', width: 12 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Monthly Lead Cap', key: 'monthly_lead_cap' },
+  { header: 'Billing Provider', key: 'billing_provider' },
+  { header: 'Past Due Since', key: 'past_due_at', width: 20 },
+  { header: 'Onboarded', key: 'onboarded_at', width: 20 },
+  { header: 'Created', key: 'created_at', width: 20 },
+];
+
+const SUBSCRIBER_EXPORT_COLUMNS = [
+  { header: 'Email', key: 'email', width: 32 },
+  { header: 'Source', key: 'source' },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Subscribed', key: 'created_at', width: 20 },
+];
+
+const EXPORTS = {
+  leads: {
+    columns: LEAD_EXPORT_COLUMNS,
+    query(filters) {
+      const { conditions, values, error } = adminLeadFilters(filters);
+      const sort = leadSort(filters);
+      if (error || sort.error) return { error: error || sort.error };
+      return { fields: 'l.*, c.business_name', from: 'leads l LEFT JOIN clients c ON c.id = l.client_id', conditions, values, sort };
+    },
+  },
+  clients: {
+    columns: CLIENT_EXPORT_COLUMNS,
+    query(filters) {
+      return { from: 'clients', ...adminClientFilters(filters) };
+    },
+  },
+  subscribers: {
+    columns: SUBSCRIBER_EXPORT_COLUMNS,
+    query(filters) {
+      return { from: 'subscribers', ...adminSubscriberFilters(filters) };
+    },
+  },
+};
+
+// Header names accepted in import sheets, after lowercasing and turning
+// spaces into underscores. Our own export headers are included so an export
+// imports back as-is; null means the column is ignored.
+const LEAD_IMPORT_COLUMNS = {
+  name: 'name', full_name: 'name', customer: 'name', customer_name: 'name', homeowner: 'name', contact_name: 'name',
+  first_name: 'first_name', first: 'first_name', last_name: 'last_name', last: 'last_name', surname: 'last_name',
+  phone: 'phone', phone_number: 'phone', mobile: 'phone', cell: 'phone', telephone: 'phone',
+  email: 'email', email_address: 'email', 'e-mail': 'email',
+  service: 'service_needed', service_needed: 'service_needed', service_type: 'service_needed', job_type: 'service_needed',
+  address: 'address', street_address: 'address',
+  city: 'city', town: 'city',
+  postal_code: 'postal_code', postal: 'postal_code', postcode: 'postal_code', zip: 'postal_code', zip_code: 'postal_code',
+  message: 'message', comments: 'message', description: 'message',
+  notes: 'notes',
+  status: 'status',
+  job_value: 'job_value', value: 'job_value', revenue: 'job_value',
+  lost_reason: 'lost_reason',
+  created: 'created_at', created_at: 'created_at', date: 'created_at', lead_date: 'created_at', submitted_at: 'created_at',
+  contacted: 'contacted_at', contacted_at: 'contacted_at',
+  booked: 'booked_at', booked_at: 'booked_at',
+  client_id: 'client_id',
+  industry: 'industry',
+  source: 'source',
+  capture_page: 'capture_page',
+  utm_source: 'utm_source', utm_medium: 'utm_medium', utm_campaign: 'utm_campaign',
+  external_id: 'external_id',
+  id: null, client: null, other_answers: null, quality_score: null, routed_via: null, sla_breached: null,
+};
+
+const CLIENT_IMPORT_COLUMNS = {
+  business_name: 'business_name', business: 'business_name', company: 'business_name', company_name: 'business_name',
+  contact_name: 'contact_name', contact: 'contact_name', name: 'contact_name',
+  email: 'email', email_address: 'email', 'e-mail': 'email',
+  phone: 'phone', phone_number: 'phone', mobile: 'phone',
+  industry: 'industry', trade: 'industry',
+  city: 'city',
+  service_area: 'service_area',
+  services_offered: 'services_offered', services: 'services_offered',
+  avg_job_value: 'avg_job_value', average_job_value: 'avg_job_value',
+  plan: 'plan',
+  plan_price: 'plan_price',
+  status: 'status',
+  monthly_lead_cap: 'monthly_lead_cap', lead_cap: 'monthly_lead_cap',
+  id: null, billing_provider: null, past_due_since: null, onboarded: null, created: null,
+};
+
+const SUBSCRIBER_IMPORT_COLUMNS = {
+  email: 'email', email_address: 'email', 'e-mail': 'email',
+  source: 'source',
+  subscribed: 'created_at', created_at: 'created_at', date: 'created_at',
+  status: 'status',
+};
+
+function importHeaderKey(header) {
+  return String(header).trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// An explicit mapping ({ "Column header": "field" or null }) wins over the
+// aliases. Unknown columns become custom fields on leads and are ignored
+// (and reported) otherwise. Returns an error message for a bad mapping.
+function resolveImportColumns(header, importer, mapping) {
+  const fields = new Set(Object.values(importer.columns).filter(Boolean));
+  if (importer.customFields) fields.add('custom');
+
+  for (const [column, field] of Object.entries(mapping)) {
+    if (field && !fields.has(field)) return { error: `Unknown field '${field}' for column '${column}'. Valid fields: ${[...fields].join(', ')}` };
+  }
+
+  const unmapped = [];
+  const columns = header.map(column => {
+    const key = importHeaderKey(column);
+    const explicit = [column, key].find(name => Object.prototype.hasOwnProperty.call(mapping, name));
+    if (explicit !== undefined) return { column, field: mapping[explicit] || null };
+    if (Object.prototype.hasOwnProperty.call(importer.columns, key)) return { column, field: importer.columns[key] };
+    if (importer.customFields) return { column, field: 'custom' };
+    unmapped.push(column);
+    return { column, field: null };
+  });
+
+  const mapped = new Set(columns.map(c => c.field));
+  for (const alternatives of importer.required) {
+    if (!alternatives.some(field => mapped.has(field))) return { error: `No column maps to ${alternatives.map(f => `'${f}'`).join(' or ')}` };
+  }
+  return { columns, unmapped };
+}
+
+// Dates as written by our exports (UTC), ISO strings or YYYY-MM-DD; null if unreadable or in the future
+function parseImportDate(value) {
+  const text = String(value).trim();
+  let date;
+  if (DATE_PATTERN.test(text)) date = new Date(`${text}T00:00:00Z`);
+  else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text)) date = new Date(`${text.replace(' ', 'T')}Z`);
+  else date = new Date(text);
+  return Number.isNaN(date.getTime()) || date > new Date() ? null : toSqlDate(date);
+}
+
+function parseImportNumber(value) {
+  const number = Number(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function checkContact(record, errors) {
+  if (record.phone && normalizePhone(record.phone)?.length !== 10) errors.push(`phone '${record.phone}' is not a valid 10-digit number`);
+  if (record.email && !EMAIL_PATTERN.test(record.email)) errors.push(`email '${record.email}' is not a valid address`);
+}
+
+// Fill in blank fields on an existing row; returns the fields changed
+function fillBlanks(table, existing, record, fields) {
+  const changed = fields.filter(field => record[field] != null && record[field] !== '' && (existing[field] == null || existing[field] === ''));
+  if (changed.length) {
+    db.prepare(`UPDATE ${table} SET ${changed.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+      .run(...changed.map(field => record[field]), existing.id);
+  }
+  return changed;
+}
+
+const LEAD_FILL_FIELDS = ['name', 'email', 'phone', 'phone_normalized', 'email_normalized', 'service_needed', 'address', 'city', 'postal_code', 'message', 'notes', 'job_value', 'industry'];
+const CLIENT_IMPORT_REQUIRED = ['business_name', 'contact_name', 'email', 'phone', 'industry', 'city'];
+const CLIENT_FILL_FIELDS = ['business_name', 'contact_name', 'phone', 'industry', 'city', 'service_area', 'services_offered', 'avg_job_value', 'monthly_lead_cap'];
+
+// Per kind: column aliases, required fields (any one of each group; these
+// follow the table's NOT NULL columns), and how a validated row is matched,
+// created and merged. ctx carries the import's id, options and the acting user.
+const IMPORTERS = {
+  leads: {
+    columns: LEAD_IMPORT_COLUMNS,
+    required: [['name', 'first_name'], ['phone']],
+    customFields: true,
+    allowDuplicates: true,
+
+    prepare(row, ctx) {
+      const errors = [];
+      const record = { ...row, name: row.name || [row.first_name, row.last_name].filter(Boolean).join(' ') };
+      delete record.first_name;
+      delete record.last_name;
+
+      if (!record.name) errors.push('name is required');
+      if (!record.phone) errors.push('phone is required');
+      checkContact(record, errors);
+
+      record.status = (record.status || 'new').toLowerCase().replace(/\s+/g, '_');
+      if (!IMPORT_LEAD_STATUSES.includes(record.status)) errors.push(`status '${record.status}' is not one of ${IMPORT_LEAD_STATUSES.join(', ')}`);
+      if (record.status === 'lost' && !record.lost_reason) errors.push('lost_reason is required for lost leads');
+
+      if (record.job_value) {
+        record.job_value = parseImportNumber(row.job_value);
+        if (record.job_value === null) errors.push(`job_value '${row.job_value}' is not a number`);
+      }
+      for (const field of ['created_at', 'contacted_at', 'booked_at']) {
+        if (!record[field]) continue;
+        record[field] = parseImportDate(row[field]);
+        if (!record[field]) errors.push(`${field} '${row[field]}' is not a valid past date`);
+      }
+
+      record.client_id = ctx.clientId || record.client_id || null;
+      if (record.client_id && !ctx.clientExists(record.client_id)) errors.push(`Unknown client_id '${record.client_id}'`);
+      if (record.industry) record.industry = record.industry.toLowerCase();
+      record.phone_normalized = normalizePhone(record.phone);
+      record.email_normalized = normalizeEmail(record.email);
+      return { errors, record };
+    },
+
+    // Same homeowner for the same client, however long ago
+    findExisting(record) {
+      return db.prepare(`
+        SELECT * FROM leads WHERE client_id IS ? AND status != 'quarantined'
+        AND ((? IS NOT NULL AND phone_normalized = ?) OR (? IS NOT NULL AND email_normalized = ?))
+        ORDER BY created_at LIMIT 1
+      `).get(record.client_id, record.phone_normalized, record.phone_normalized, record.email_normalized, record.email_normalized);
+    },
+
+    create(record, ctx) {
+      const id = uuidv4();
+      const createdAt = record.created_at || toSqlDate(new Date());
+      db.prepare(`
+        INSERT INTO leads (id, client_id, capture_page, name, email, phone, service_needed, address, city, postal_code, message, notes, custom_fields, industry, source, utm_source, utm_medium, utm_campaign, external_id, phone_normalized, email_normalized, email_consent, status, job_value, lost_reason, contacted_at, booked_at, status_changed_at, import_id, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `).run(id, record.client_id, record.capture_page || null, record.name, record.email || null, record.phone, record.service_needed || null,
+        record.address || null, record.city || null, record.postal_code || null, record.message || null, record.notes || null,
+        record.custom_fields.length ? JSON.stringify(record.custom_fields) : null, record.industry || null, record.source || 'import',
+        record.utm_source || null, record.utm_medium || null, record.utm_campaign || null, record.external_id || null,
+        record.phone_normalized, record.email_normalized, hasEmailConsent(record.email_normalized) ? 1 : 0, record.status,
+        record.job_value ?? null, record.lost_reason || null, record.contacted_at || null, record.booked_at || null,
+        record.status === 'new' ? null : createdAt, ctx.importId, createdAt);
+      logLeadActivity(id, 'imported', { import_id: ctx.importId, row: ctx.row }, ctx.actor);
+      applyLeadScore(id);
+      return id;
+    },
+
+    merge(existing, record, ctx) {
+      const changed = fillBlanks('leads', existing, record, LEAD_FILL_FIELDS);
+      const known = new Set(parseCustomFields(existing).map(f => f.field));
+      const extra = record.custom_fields.filter(f => !known.has(f.field));
+      if (extra.length) {
+        db.prepare('UPDATE leads SET custom_fields = ? WHERE id = ?').run(JSON.stringify([...parseCustomFields(existing), ...extra]), existing.id);
+        changed.push('custom_fields');
+      }
+      if (changed.length) logLeadActivity(existing.id, 'import_merged', { import_id: ctx.importId, row: ctx.row, fields: changed }, ctx.actor);
+      return changed;
+    },
+
+    notify(id) {
+      announceLead(db.prepare('SELECT * FROM leads WHERE id = ?').get(id));
+    },
+  },
+
+  clients: {
+    columns: CLIENT_IMPORT_COLUMNS,
+    required: CLIENT_IMPORT_REQUIRED.map(field => [field]),
+
+    prepare(row) {
+      const errors = [];
+      const record = { ...row, email: normalizeEmail(row.email), plan: row.plan || 'starter', status: (row.status || 'active').toLowerCase() };
+      for (const field of CLIENT_IMPORT_REQUIRED) {
+        if (!record[field]) errors.push(`${field} is required`);
+      }
+      checkContact(record, errors);
+      if (record.industry) record.industry = record.industry.toLowerCase();
+
+      const plan = getPlan(record.plan);
+      if (!plan) errors.push(`Unknown plan '${record.plan}'`);
+      if (!IMPORT_CLIENT_STATUSES.includes(record.status)) errors.push(`status '${record.status}' is not one of ${IMPORT_CLIENT_STATUSES.join(', ')}`);
+      for (const field of ['plan_price', 'avg_job_value', 'monthly_lead_cap']) {
+        if (!record[field]) continue;
+        record[field] = parseImportNumber(row[field]);
+        if (record[field] === null) errors.push(`${field} '${row[field]}' is not a number`);
+      }
+      if (record.monthly_lead_cap != null && !Number.isInteger(record.monthly_lead_cap)) errors.push('monthly_lead_cap must be a whole number');
+      record.plan_price = record.plan_price ?? plan?.monthly_price;
+      return { errors, record };
+    },
+
+    findExisting(record) {
+      return db.prepare('SELECT * FROM clients WHERE lower(email) = ? ORDER BY created_at LIMIT 1').get(record.email);
+    },
+
+    create(record) {
+      const id = uuidv4();
+      db.prepare(`
+        INSERT INTO clients (id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan, plan_price, status, monthly_lead_cap, dashboard_token, dashboard_token_expires_at, onboarded_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?), CURRENT_TIMESTAMP)
+      `).run(id, record.business_name, record.contact_name, record.email, record.phone, record.industry, record.city,
+        record.service_area || null, record.services_offered || null, record.avg_job_value ?? null, record.plan, record.plan_price,
+        record.status, record.monthly_lead_cap ?? null, generateDashboardToken(), `+${DASHBOARD_TOKEN_TTL_DAYS} days`);
+      return id;
+    },
+
+    merge(existing, record) {
+      return fillBlanks('clients', existing, record, CLIENT_FILL_FIELDS);
+    },
+  },
+
+  subscribers: {
+    columns: SUBSCRIBER_IMPORT_COLUMNS,
+    required: [['email']],
+
+    prepare(row) {
+      const errors = [];
+      const record = { ...row, email: normalizeEmail(row.email), source: row.source || 'import', status: (row.status || 'active').toLowerCase() };
+      if (!record.email) errors.push('email is required');
+      checkContact(record, errors);
+      if (!IMPORT_SUBSCRIBER_STATUSES.includes(record.status)) errors.push(`status '${record.status}' is not one of ${IMPORT_SUBSCRIBER_STATUSES.join(', ')}`);
+      if (row.created_at) {
+        record.created_at = parseImportDate(row.created_at);
+        if (!record.created_at) errors.push(`created_at '${row.created_at}' is not a valid past date`);
+      }
+      return { errors, record };
+    },
+
+    findExisting(record) {
+      return db.prepare('SELECT * FROM subscribers WHERE email = ?').get(record.email);
+    },
+
+    create(record) {
+      const id = uuidv4();
+      db.prepare('INSERT INTO subscribers (id, email, source, status, created_at) VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))')
+        .run(id, record.email, record.source, record.status, record.created_at || null);
+      return id;
+    },
+
+    // An unsubscribe in the sheet is applied; nobody is ever re-subscribed by an import
+    merge(existing, record) {
+      const changed = fillBlanks('subscribers', existing, record, ['source']);
+      if (record.status === 'unsubscribed' && existing.status === 'active') {
+        db.prepare("UPDATE subscribers SET status = 'unsubscribed', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(existing.id);
+        changed.push('status');
+      }
+      return changed;
+    },
+
+    notify(id) {
+      const subscriber = db.prepare('SELECT email, source, status FROM subscribers WHERE id = ?').get(id);
+      if (subscriber.status === 'active') announceSubscriber(subscriber);
+    },
+  },
+};
+
+// Cell values as import text: exceljs hands back dates, hyperlinks, rich
+// text and formula results as objects
+function xlsxCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return xlsxCellText(value.text);
+  if (value.result !== undefined) return xlsxCellText(value.result);
+  return '';
+}
+
+// First worksheet as rows of strings, like parseCsv
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow(row => {
+    const values = [];
+    for (let i = 1; i <= sheet.columnCount; i++) values.push(xlsxCellText(row.getCell(i).value));
+    rows.push(values);
+  });
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+const DRY_RUN_ROLLBACK = Symbol('dry run');
+
+// Validate and import `rows` (header row first). Nothing is written for a
+// dry run; the report is the same either way.
+function runImport(kind, rows, { mapping = {}, dryRun = false, duplicates = 'skip', suppressNotifications = true, clientId = null, filename = null, format = 'csv', actor = null }) {
+  const importer = IMPORTERS[kind];
+  const [header, ...lines] = rows;
+  if (!header) return { error: 'The sheet is empty' };
+  if (lines.length > IMPORT_MAX_ROWS) return { error: `Imports are limited to ${IMPORT_MAX_ROWS} rows; split the file` };
+  if (!IMPORT_DUPLICATE_MODES.includes(duplicates) || (duplicates === 'create' && !importer.allowDuplicates)) {
+    return { error: `duplicates must be one of ${IMPORT_DUPLICATE_MODES.filter(m => m !== 'create' || importer.allowDuplicates).join(', ')}` };
+  }
+  if (clientId && !db.prepare('SELECT id FROM clients WHERE id = ?').get(clientId)) return { error: `Unknown client_id '${clientId}'` };
+
+  const { columns, unmapped, error } = resolveImportColumns(header, importer, mapping);
+  if (error) return { error };
+
+  const importId = uuidv4();
+  const report = {
+    importId: dryRun ? null : importId, kind, dryRun, duplicates, suppressNotifications,
+    totalRows: lines.length, created: 0, updated: 0, skipped: 0, invalid: 0,
+    columns, unmapped, errors: [], duplicateRows: [],
+  };
+  const knownClients = new Map();
+  const ctx = {
+    importId, clientId, actor,
+    clientExists: id => {
+      if (!knownClients.has(id)) knownClients.set(id, !!db.prepare('SELECT id FROM clients WHERE id = ?').get(id));
+      return knownClients.get(id);
+    },
+  };
+
+  const run = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO imports (id, kind, client_id, filename, format, mapping, duplicates, suppress_notifications, total_rows, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(importId, kind, clientId, filename, format, JSON.stringify(Object.fromEntries(columns.map(c => [c.column, c.field]))),
+      duplicates, suppressNotifications ? 1 : 0, lines.length, actor);
+
+    lines.forEach((values, i) => {
+      ctx.row = i + 2;
+      const row = {};
+      const customFields = [];
+      columns.forEach(({ column, field }, j) => {
+        // Undo the formula guard our CSV exports add
+        const value = String(values[j] ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+        if (!value || !field) return;
+        if (field === 'custom') customFields.push({ field: importHeaderKey(column).replace(/[^a-z0-9]+/g, '_').slice(0, 40), label: column, value });
+        else row[field] = value;
+      });
+
+      const { errors, record } = importer.prepare(row, ctx);
+      if (errors.length) {
+        report.invalid++;
+        if (report.errors.length < IMPORT_REPORT_LIMIT) report.errors.push({ row: ctx.row, errors });
+        return;
+      }
+      record.custom_fields = customFields;
+
+      const existing = duplicates === 'create' ? null : importer.findExisting(record);
+      if (existing) {
+        const fields = duplicates === 'update' ? importer.merge(existing, record, ctx) : [];
+        if (fields.length) report.updated++;
+        else report.skipped++;
+        if (report.duplicateRows.length < IMPORT_REPORT_LIMIT) {
+          report.duplicateRows.push({ row: ctx.row, existingId: existing.id, action: fields.length ? 'updated' : 'skipped', fields });
+        }
+        return;
+      }
+
+      const id = importer.create(record, ctx);
+      report.created++;
+      if (!suppressNotifications && importer.notify) importer.notify(id);
+    });
+
+    db.prepare('UPDATE imports SET created = ?, updated = ?, skipped = ?, invalid = ? WHERE id = ?')
+      .run(report.created, report.updated, report.skipped, report.invalid, importId);
+    if (dryRun) throw DRY_RUN_ROLLBACK;
+  });
+
+  try {
+    run();
+  } catch (err) {
+    if (err !== DRY_RUN_ROLLBACK) throw err;
+  }
+  return report;
+}
+
+
+// ─── APPOINTMENT BOOKING ───
+// Clients set weekly availability windows (HH:MM in their timezone) and
+// blackout dates. After submitting the capture page form the homeowner gets
+// a booking token for their lead and can pick one of the open slots. Slots
+// are slot_minutes long, start at least booking_notice_minutes from now and
+// run up to booking_horizon_days ahead. A booked appointment moves the lead
+// to 'booked' and emails both sides a calendar invite.
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const BOOKABLE_LEAD_STATUSES = ['new', 'no_answer', 'contacted', 'quoted'];
+
+const toMinutesOfDay = hhmm => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+const toTimeOfDay = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+function clientAvailability(client) {
+  return {
+    timezone: client.timezone || 'America/Edmonton',
+    slotMinutes: client.slot_minutes || 60,
+    noticeMinutes: client.booking_notice_minutes ?? 120,
+    horizonDays: client.booking_horizon_days || 14,
+    weekly: db.prepare('SELECT weekday, start_time as start, end_time as end FROM client_availability WHERE client_id = ? ORDER BY weekday, start_time').all(client.id),
+    blackouts: db.prepare("SELECT date, reason FROM client_blackouts WHERE client_id = ? AND date >= date('now', '-1 day') ORDER BY date").all(client.id),
+  };
+}
+
+const hasAvailability = clientId => !!db.prepare('SELECT 1 FROM client_availability WHERE client_id = ? LIMIT 1').get(clientId);
+
+// Check a PUT body. Returns { settings, weekly, blackouts } with only what was sent, or { error }.
+function parseAvailability(body) {
+  const settings = {};
+  for (const [key, column, max] of [['slot_minutes', 'slot_minutes', 480], ['notice_minutes', 'booking_notice_minutes', 10080], ['horizon_days', 'booking_horizon_days', 90]]) {
+    if (body[key] === undefined) continue;
+    const value = body[key];
+    if (!Number.isInteger(value) || value < (key === 'notice_minutes' ? 0 : 1) || value > max) return { error: `${key} must be a whole number up to ${max}` };
+    settings[column] = value;
+  }
+  if (settings.slot_minutes && settings.slot_minutes % 5) return { error: 'slot_minutes must be a multiple of 5' };
+
+  let weekly;
+  if (body.weekly !== undefined) {
+    if (!Array.isArray(body.weekly)) return { error: 'weekly must be a list of { weekday, start, end }' };
+    for (const w of body.weekly) {
+      if (!w || !Number.isInteger(w.weekday) || w.weekday < 0 || w.weekday > 6) return { error: 'weekday must be 0 (Sunday) to 6' };
+      if (!TIME_OF_DAY.test(w.start) || !TIME_OF_DAY.test(w.end) || w.start >= w.end) return { error: 'Each window needs start before end, as HH:MM' };
+    }
+    weekly = body.weekly.map(w => ({ weekday: w.weekday, start: w.start, end: w.end }));
+  }
+
+  let blackouts;
+  if (body.blackouts !== undefined) {
+    if (!Array.isArray(body.blackouts)) return { error: 'blackouts must be a list of { date, reason }' };
+    for (const b of body.blackouts) {
+      if (!b || !isCalendarDate(b.date)) return { error: 'Blackout dates must be YYYY-MM-DD' };
+    }
+    blackouts = body.blackouts.map(b => ({ date: b.date, reason: b.reason ? String(b.reason) : null }));
+  }
+
+  return { settings, weekly, blackouts };
+}
+
+// Replace the client's settings, weekly windows and/or blackout dates
+function saveAvailability(client, { settings, weekly, blackouts }) {
+  db.transaction(() => {
+    if (Object.keys(settings).length) {
+      db.prepare(`UPDATE clients SET ${Object.keys(settings).map(k => `${k} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...Object.values(settings), client.id);
+    }
+    if (weekly) {
+      db.prepare('DELETE FROM client_availability WHERE client_id = ?').run(client.id);
+      const insert = db.prepare('INSERT INTO client_availability (id, client_id, weekday, start_time, end_time) VALUES (?, ?, ?, ?, ?)');
+      for (const w of weekly) insert.run(uuidv4(), client.id, w.weekday, w.start, w.end);
+    }
+    if (blackouts) {
+      db.prepare('DELETE FROM client_blackouts WHERE client_id = ?').run(client.id);
+      const insert = db.prepare('INSERT OR IGNORE INTO client_blackouts (id, client_id, date, reason) VALUES (?, ?, ?, ?)');
+      for (const b of blackouts) insert.run(uuidv4(), client.id, b.date, b.reason);
+    }
+  })();
+}
+
+// Open slots per local day from `from` (default today) for `days` days,
+// never past the booking horizon
+function availableSlots(client, { from, days } = {}, now = new Date()) {
+  const { timezone, slotMinutes, noticeMinutes, horizonDays } = clientAvailability(client);
+  const today = localDateString(now, timezone);
+  const start = from && from > today ? from : today;
+  const lastDay = addDays(today, horizonDays - 1);
+  const earliest = now.getTime() + noticeMinutes * 60000;
+
+  const windows = db.prepare('SELECT weekday, start_time, end_time FROM client_availability WHERE client_id = ? ORDER BY start_time').all(client.id);
+  const blackouts = new Set(db.prepare('SELECT date FROM client_blackouts WHERE client_id = ?').all(client.id).map(b => b.date));
+  const booked = db.prepare("SELECT starts_at, ends_at FROM appointments WHERE client_id = ? AND status = 'booked' AND ends_at > ?")
+    .all(client.id, toSqlDate(now))
+    .map(a => [new Date(`${a.starts_at.replace(' ', 'T')}Z`).getTime(), new Date(`${a.ends_at.replace(' ', 'T')}Z`).getTime()]);
+
+  const result = [];
+  for (let date = start, i = 0; date <= lastDay && i < (days || horizonDays); date = addDays(date, 1), i++) {
+    if (blackouts.has(date)) continue;
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const slots = [];
+
+    for (const w of windows.filter(w => w.weekday === weekday)) {
+      for (let m = toMinutesOfDay(w.start_time); m + slotMinutes <= toMinutesOfDay(w.end_time); m += slotMinutes) {
+        const slotStart = zonedTimeToUtc(date, toTimeOfDay(m), timezone).getTime();
+        const slotEnd = slotStart + slotMinutes * 60000;
+        if (slotStart < earliest) continue;
+        if (booked.some(([s, e]) => s < slotEnd && e > slotStart)) continue;
+        slots.push({ start: new Date(slotStart).toISOString(), end: new Date(slotEnd).toISOString(), time: toTimeOfDay(m) });
+      }
+    }
+    if (slots.length) result.push({ date, slots });
+  }
+  return { timezone, slotMinutes, days: result };
+}
+
+// ─── .ics calendar invites ───
+function icsText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+const icsDate = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines over 75 octets continue on the next line after a space (RFC 5545)
+function foldIcsLine(line) {
+  const chunks = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let cut = chunks.length ? 74 : 75;
+    while ((rest[cut] & 0xc0) === 0x80) cut--; // don't split a UTF-8 character
+    chunks.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+  }
+  chunks.push(rest.toString());
+  return chunks.join('\r\n ');
+}
+
+function buildIcs({ appointment, method, summary, description, location, attendee }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//LeadFlow24//Booking//EN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${appointment.id}@leadflow24.com`,
+    `SEQUENCE:${appointment.sequence || 0}`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    `DTSTART:${icsDate(new Date(`${appointment.starts_at.replace(' ', 'T')}Z`))}`,
+    `DTEND:${icsDate(new Date(`${appointment.ends_at.replace(' ', 'T')}Z`))}`,
+    `ORGANIZER;CN=LeadFlow24:mailto:${process.env.SMTP_USER || 'luke@leadflow24.com'}`,
+    `ATTENDEE;ROLE=REQ-PARTICIPANT:mailto:${attendee}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    location ? `LOCATION:${icsText(location)}` : null,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Confirmation or cancellation for the homeowner (if they left an email and
+// haven't unsubscribed) and the contractor
+function sendAppointmentEmails(appointment, kind, reason) {
+  const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(appointment.lead_id);
+  const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(appointment.client_id);
+  if (!lead || !client) return;
+  const timezone = client.timezone || 'America/Edmonton';
+  const when = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, dateStyle: 'full', timeStyle: 'short' })
+    .format(new Date(`${appointment.starts_at.replace(' ', 'T')}Z`));
+  const service = lead.service_needed || 'Service visit';
+  const address = [lead.address, lead.city, lead.postal_code].filter(Boolean).join(', ');
+  const template = kind === 'booked' ? 'appointment_confirmation' : 'appointment_cancelled';
+  const method = kind === 'booked' ? 'REQUEST' : 'CANCEL';
+  const data = { leadName: lead.name, businessName: client.business_name, when, service, address, reason };
+  const invite = (to, summary, description) => [{
+    filename: 'appointment.ics',
+    content: buildIcs({ appointment, method, summary, description, location: address, attendee: to }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  }];
+
+  if (lead.email) {
+    emailHomeowner(lead, template, { ...data, forContractor: false, phone: client.phone }, {
+      key: `appointment:${appointment.id}:${kind}`,
+      attachments: invite(lead.email, `${service} — ${client.business_name}`, `${client.business_name} ${client.phone || ''}`.trim()),
+    });
+  }
+  if (client.email) {
+    const { subject, html } = getEmailTemplate(template, { ...data, forContractor: true, phone: lead.phone });
+    enqueueEmail(client.email, subject, html, {
+      template,
+      idempotencyKey: `appointment:${appointment.id}:${kind}:client`,
+      attachments: invite(client.email, `${service} — ${lead.name}`, `${lead.name} ${lead.phone}\n${lead.message || ''}`.trim()),
+    });
+  }
+}
+
+function toAppointment(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    leadName: row.lead_name,
+    leadPhone: row.lead_phone,
+    serviceNeeded: row.service_needed,
+    startsAt: new Date(`${row.starts_at.replace(' ', 'T')}Z`).toISOString(),
+    endsAt: new Date(`${row.ends_at.replace(' ', 'T')}Z`).toISOString(),
+    status: row.status,
+    cancelReason: row.cancel_reason,
+    createdAt: row.created_at,
+  };
+}
+
+const APPOINTMENT_SELECT = `
+  SELECT a.*, l.name as lead_name, l.phone as lead_phone, l.service_needed
+  FROM appointments a JOIN leads l ON l.id = a.lead_id
+`;
+
+// Book `start` (ISO time of an open slot) for a lead. Returns { appointment } or { status, error }.
+function bookAppointment(lead, start) {
+  if (db.prepare("SELECT 1 FROM appointments WHERE lead_id = ? AND status = 'booked'").get(lead.id)) {
+    return { status: 409, error: 'This request is already booked' };
+  }
+  if (!lead.client_id || !BOOKABLE_LEAD_STATUSES.includes(lead.status)) {
+    return { status: 409, error: "Online booking isn't available for this request. We'll call you to schedule." };
+  }
+  const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(lead.client_id);
+  const startsAt = new Date(start);
+  if (Number.isNaN(startsAt.getTime())) return { status: 400, error: 'start must be an ISO date-time' };
+
+  const appointment = db.transaction(() => {
+    const { days, slotMinutes } = availableSlots(client, { from: localDateString(startsAt, client.timezone || 'America/Edmonton'), days: 1 });
+    const open = days.flatMap(d => d.slots).some(s => s.start === startsAt.toISOString());
+    if (!open) return { status: 409, error: 'That time is no longer available. Please pick another.' };
+
+    const id = uuidv4();
+    db.prepare('INSERT INTO appointments (id, lead_id, client_id, starts_at, ends_at) VALUES (?, ?, ?, ?, ?)')
+      .run(id, lead.id, client.id, toSqlDate(startsAt), toSqlDate(new Date(startsAt.getTime() + slotMinutes * 60000)));
+    logLeadActivity(lead.id, 'appointment_booked', { appointment_id: id, starts_at: startsAt.toISOString() });
+    if (lead.status !== 'booked') changeLeadStatus(lead, 'booked', { contacted: false });
+    return db.prepare('SELECT * FROM appointments WHERE id = ?').get(id);
+  })();
+  if (appointment.error) return appointment;
+
+  sendAppointmentEmails(appointment, 'booked');
+  emitWebhookEvent(client.id, 'appointment.booked', { appointment: toAppointment(db.prepare(`${APPOINTMENT_SELECT} WHERE a.id = ?`).get(appointment.id)) });
+  return { appointment };
+}
+
+// Appointments, soonest first. Without from/to only upcoming ones are listed.
+function listAppointments({ clientId, status, from, to }) {
+  const conditions = [];
+  const values = [];
+  if (clientId) { conditions.push('a.client_id = ?'); values.push(clientId); }
+  if (status) { conditions.push('a.status = ?'); values.push(status); }
+  if (from) { conditions.push('a.starts_at >= ?'); values.push(from); }
+  if (to) { conditions.push("a.starts_at < date(?, '+1 day')"); values.push(to); }
+  if (!from && !to) conditions.push("a.ends_at >= datetime('now')");
+
+  return db.prepare(`${APPOINTMENT_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY a.starts_at`).all(...values).map(toAppointment);
+}
+
+// Free the slot and tell both sides. The lead stays 'booked' for the client to follow up.
+function cancelAppointment(appointment, { reason, actor } = {}) {
+  db.prepare(`
+    UPDATE appointments SET status = 'cancelled', cancel_reason = ?, sequence = sequence + 1, cancelled_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(reason || null, appointment.id);
+  logLeadActivity(appointment.lead_id, 'appointment_cancelled', { appointment_id: appointment.id, reason }, actor);
+
+  const updated = db.prepare(`${APPOINTMENT_SELECT} WHERE a.id = ?`).get(appointment.id);
+  sendAppointmentEmails(updated, 'cancelled', reason);
+  emitWebhookEvent(appointment.client_id, 'appointment.cancelled', { appointment: toAppointment(updated) });
+  return updated;
+}
+
+
+// ─── CLIENT DASHBOARD ACCESS ───
+// Clients reach their dashboard through a secret token in the URL. Tokens
+// expire after DASHBOARD_TOKEN_TTL_DAYS and can be rotated by an operator or
+// by the client.
+const DASHBOARD_TOKEN_TTL_DAYS = parseInt(process.env.DASHBOARD_TOKEN_TTL_DAYS || '90');
+
+function generateDashboardToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// Give a client a fresh token; the old one stops working immediately
+function rotateDashboardToken(clientId) {
+  const token = generateDashboardToken();
+  db.prepare(`
+    UPDATE clients SET dashboard_token = ?, dashboard_token_expires_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(token, `+${DASHBOARD_TOKEN_TTL_DAYS} days`, clientId);
+  return token;
+}
+
+function dashboardUrl(token) {
+  return `${process.env.BASE_URL || 'https://leadflow24.com'}/dashboard?token=${token}`;
+}
+
+// Resolve :token to req.client, rejecting unknown and expired tokens
+function loadDashboardClient(req, res, next) {
+  const client = db.prepare(`
+    SELECT *, dashboard_token_expires_at > datetime('now') as token_valid FROM clients WHERE dashboard_token = ?
+  `).get(req.params.token);
+  if (!client) return res.status(404).json({ error: 'Dashboard not found' });
+  if (!client.token_valid) return res.status(401).json({ error: 'This dashboard link has expired. Ask LeadFlow24 for a new one.' });
+
+  req.client = client;
+  next();
+}
+
+// Which activity details a client sees, per action. Anything else (merged-lead
+// snapshots, routing decisions, import rows) stays operator-only.
+const CLIENT_ACTIVITY_FIELDS = {
+  created: ['source'],
+  status_changed: ['from', 'to', 'lost_reason'],
+  status_updated: ['notes', 'job_value'],
+  sla_breached: ['sla_minutes'],
+  resubmitted: ['name', 'email', 'phone', 'service_needed', 'message', 'custom_fields'],
+  homeowner_emailed: ['template', 'subject'],
+  homeowner_email_suppressed: ['template', 'reason'],
+  appointment_booked: ['starts_at'],
+  appointment_cancelled: ['reason'],
+  note_added: ['note'],
+  job_value_recorded: ['from', 'to'],
+  dispute_opened: ['reason', 'details'],
+  credited: ['note'],
+  dispute_denied: ['note'],
+};
+
+function toClientActivity(activity) {
+  const details = activity.details ? JSON.parse(activity.details) : null;
+  const fields = CLIENT_ACTIVITY_FIELDS[activity.action];
+  const visible = details && fields ? Object.fromEntries(fields.filter(field => details[field] !== undefined).map(field => [field, details[field]])) : null;
+  return { action: activity.action, details: visible && Object.keys(visible).length ? visible : null, createdAt: activity.created_at };
+}
+
+// A lead as the client sees it
+function toClientLead(lead) {
+  return {
+    id: lead.id,
+    name: lead.name,
+    phone: lead.phone,
+    email: lead.email,
+    serviceNeeded: lead.service_needed,
+    address: lead.address,
+    city: lead.city,
+    postalCode: lead.postal_code,
+    message: lead.message,
+    customFields: parseCustomFields(lead),
+    emailConsent: !!lead.email_consent,
+    status: lead.status,
+    lostReason: lead.lost_reason,
+    jobValue: lead.job_value,
+    notes: lead.notes,
+    qualityScore: lead.quality_score,
+    qualityFactors: lead.quality_factors ? JSON.parse(lead.quality_factors) : [],
+    credited: !!lead.credited_at,
+    contactedAt: lead.contacted_at,
+    bookedAt: lead.booked_at,
+    createdAt: lead.created_at,
+  };
+}
+
+
+// ═══════════════════════════════════════════════════════════════
+// API ROUTES
+// ═══════════════════════════════════════════════════════════════
+
+// ─── HEALTH CHECK ───
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', version: '1.0.0', timestamp: new Date().toISOString() });
+});
+
+
+// ─── OPERATOR AUTH ───
+// Every login attempt costs a bcrypt compare, so attempts are limited per IP,
+// and failed attempts per account
+const LOGIN_RATE_LIMIT = { windowMs: 15 * 60 * 1000, max: 20 };
+const LOGIN_FAILURE_LIMIT = { windowMs: 15 * 60 * 1000, max: 10 };
+const loginRateLimit = rateLimit({ ...LOGIN_RATE_LIMIT, message: 'Too many login attempts. Please try again later.' });
+const loginFailures = createHitCounter(LOGIN_FAILURE_LIMIT.windowMs);
+
+// Log in with email + password
+app.post('/api/auth/login', loginRateLimit, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({ error: 'Email and password required' });
+    }
+
+    const account = email.toLowerCase().trim();
+    if (loginFailures.count(account) >= LOGIN_FAILURE_LIMIT.max) {
+      return res.status(429).json({ error: 'Too many failed logins for this account. Please try again later.' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(account);
+    const valid = user && await bcrypt.compare(password, user.password_hash);
+    if (!valid || user.status !== 'active') {
+      loginFailures.hit(account);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    loginFailures.reset(account);
+
+    db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+
+    res.json({ success: true, ...createSession(user, req), user: publicUser(user) });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+app.post('/api/auth/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: 'Refresh token required' });
+
+    const session = db.prepare(`
+      SELECT * FROM user_sessions
+      WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    `).get(hashToken(refreshToken));
+    if (!session) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(session.user_id);
+    if (!user || user.status !== 'active') return res.status(401).json({ error: 'Account disabled' });
+
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+    db.prepare(`
+      UPDATE user_sessions SET refresh_token_hash = ?, expires_at = datetime('now', ?) WHERE id = ?
+    `).run(hashToken(newRefreshToken), `+${REFRESH_TOKEN_TTL_DAYS} days`, session.id);
+
+    res.json({
+      success: true,
+      accessToken: issueAccessToken(user, session.id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Revoke the session behind a refresh token
+app.post('/api/auth/logout', (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'Refresh token required' });
+
+  db.prepare('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE refresh_token_hash = ? AND revoked_at IS NULL').run(
+    hashToken(refreshToken)
+  );
+  res.json({ success: true });
+});
+
+// Current operator
+app.get('/api/auth/me', authenticate, (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+
+// ─── EMAIL SUBSCRIPTION ───
+function announceSubscriber({ email, source }) {
+  enqueueEmail(
+    process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+    `[LeadFlow24] New subscriber: ${email}`,
+    getEmailTemplate('internal_notification', {
+      type: 'New Subscriber',
+      summary: email,
+      details: { email, source, timestamp: new Date().toISOString() }
+    }).html,
+    { template: 'internal_notification', idempotencyKey: `subscriber:${email.toLowerCase().trim()}:notify` }
+  );
+}
+
+app.post('/api/subscribe', formRateLimit, (req, res) => {
+  try {
+    const { email, source } = req.body;
+    if (!email) return res.status(400).json({ error: 'Email required' });
+    const invalid = validateContact({ email });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const spamReasons = spamSignals(req.body, { email });
+    const id = uuidv4();
+    const stmt = db.prepare('INSERT OR IGNORE INTO subscribers (id, email, source, status, spam_reasons) VALUES (?, ?, ?, ?, ?)');
+    const { changes } = stmt.run(id, email.toLowerCase().trim(), source || 'website',
+      spamReasons.length ? 'quarantined' : 'active', spamReasons.length ? JSON.stringify(spamReasons) : null);
+
+    if (changes && !spamReasons.length) announceSubscriber({ email, source });
+
+    res.json({ success: true, message: 'Subscribed successfully' });
+  } catch (err) {
+    console.error('Subscribe error:', err);
+    res.status(500).json({ error: 'Subscription failed' });
+  }
+});
+
+
+// ─── TRIAL SIGNUP ───
+// Add the prospect as a subscriber, welcome them and tell the operator
+function announceTrialSignup(trial) {
+  const { id, first_name: firstName, last_name: lastName, business_name: businessName, email, phone, industry, city, source } = trial;
+
+  // Also add as subscriber
+  db.prepare('INSERT OR IGNORE INTO subscribers (id, email, source) VALUES (?, ?, ?)').run(
+    uuidv4(), email, 'trial_signup'
+  );
+
+  // Send welcome email to prospect
+  const welcomeEmail = getEmailTemplate('trial_welcome', { firstName });
+  if (welcomeEmail) {
+    enqueueEmail(email, welcomeEmail.subject, welcomeEmail.html, { template: 'trial_welcome', idempotencyKey: `trial:${id}:welcome` });
+  }
+
+  // Send internal notification
+  enqueueEmail(
+    process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+    `🚀 NEW TRIAL SIGNUP: ${businessName} (${industry}) — ${city}`,
+    getEmailTemplate('internal_notification', {
+      type: 'Trial Signup',
+      summary: `${firstName} ${lastName} — ${businessName}`,
+      details: { firstName, lastName, businessName, email, phone, industry, city, source, timestamp: new Date().toISOString() }
+    }).html,
+    { template: 'internal_notification', idempotencyKey: `trial:${id}:notify` }
+  );
+}
+
+app.post('/api/trial-signup', formRateLimit, (req, res) => {
+  try {
+    const { firstName, lastName, businessName, email, phone, industry, city, source } = req.body;
+
+    if (!firstName || !email || !phone) {
+      return res.status(400).json({ error: 'First name, email, and phone required' });
+    }
+    const invalid = validateContact({ phone, email });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const spamReasons = spamSignals(req.body, { phone, email });
+    const id = uuidv4();
+    const stmt = db.prepare(`
+      INSERT INTO trial_signups (id, first_name, last_name, business_name, email, phone, industry, city, source, status, spam_reasons)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(id, firstName, lastName, businessName, email.toLowerCase().trim(), phone, industry, city, source || 'free_trial_page',
+      spamReasons.length ? 'quarantined' : 'new', spamReasons.length ? JSON.stringify(spamReasons) : null);
+
+    if (!spamReasons.length) announceTrialSignup(db.prepare('SELECT * FROM trial_signups WHERE id = ?').get(id));
+
+    res.json({ success: true, id, message: 'Trial signup successful' });
+  } catch (err) {
+    if (err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'Email already registered for a trial' });
+    }
+    console.error('Trial signup error:', err);
+    res.status(500).json({ error: 'Signup failed' });
+  }
+});
+
+
+// ─── LEAD CAPTURE (from landing pages) ───
+app.post('/api/leads', formRateLimit, (req, res) => {
+  try {
+    const { source, utm_source, utm_medium, utm_campaign, capture_page, variant_id, industry } = req.body;
+
+    // Validate against the capture page's form
+    const page = capture_page ? db.prepare('SELECT services, form_schema FROM capture_pages WHERE slug = ?').get(capture_page) : null;
+    const { errors, lead, customFields } = validateFormSubmission(page ? formSchema(page) : API_FORM_SCHEMA, req.body, {
+      services: page?.services ? JSON.parse(page.services) : CAPTURE_PAGE_DEFAULTS.services,
+    });
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ error: Object.values(errors)[0], fields: errors });
+    }
+
+    // Suspected spam gets the same response so bots can't tell
+    const spamReasons = spamSignals(req.body, { phone: lead.phone, email: lead.email });
+    const { id, clientId, duplicate, quarantined } = createLead(
+      { ...lead, custom_fields: customFields, source, utm_source, utm_medium, utm_campaign, capture_page, variant_id, industry },
+      { spamReasons }
+    );
+
+    // Lets the homeowner pick an appointment slot next, when the client takes online bookings.
+    // Only for a lead this submission created — a matched lead isn't proof of who is submitting.
+    const canBook = !duplicate && !quarantined && clientId && hasAvailability(clientId);
+    const bookingTokenValue = canBook ? leadToken('booking', id) : undefined;
+    res.json({ success: true, id, duplicate, bookingToken: bookingTokenValue, message: 'Lead captured successfully' });
+  } catch (err) {
+    console.error('Lead capture error:', err);
+    res.status(500).json({ error: 'Lead capture failed' });
+  }
+});
+
+
+// ─── ONLINE BOOKING (from capture pages) ───
+// Open slots for the client behind a capture page. ?from=YYYY-MM-DD&days=N
+app.get('/api/capture-pages/:slug/availability', (req, res) => {
+  const page = db.prepare("SELECT client_id FROM capture_pages WHERE slug = ? AND status = 'active'").get(req.params.slug);
+  if (!page?.client_id || !hasAvailability(page.client_id)) {
+    return res.status(404).json({ error: 'Online booking is not available for this page' });
+  }
+  const { from } = req.query;
+  if (from && !isCalendarDate(from)) return res.status(400).json({ error: 'from must be YYYY-MM-DD' });
+  const days = req.query.days ? parseInt(req.query.days) : undefined;
+  if (days !== undefined && !(days >= 1)) return res.status(400).json({ error: 'days must be a positive number' });
+
+  const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(page.client_id);
+  res.json(availableSlots(client, { from, days }));
+});
+
+// The homeowner books a slot for the lead they just submitted ({ token, start })
+app.post('/api/leads/:id/appointment', formRateLimit, (req, res) => {
+  try {
+    const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(req.params.id);
+    if (!lead || !verifyLeadToken('booking', lead.id, req.body.token)) return res.status(404).json({ error: 'Booking not found' });
+
+    const result = bookAppointment(lead, req.body.start);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    const { id, startsAt, endsAt } = toAppointment(db.prepare(`${APPOINTMENT_SELECT} WHERE a.id = ?`).get(result.appointment.id));
+    res.json({ success: true, appointment: { id, startsAt, endsAt } });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'That time is no longer available. Please pick another.' });
+    }
+    console.error('Booking error:', err);
+    res.status(500).json({ error: 'Booking failed' });
+  }
+});
+
+
+// ─── HOMEOWNER UNSUBSCRIBE ───
+// The link in every homeowner email. GET only shows a confirmation page, so
+// link prefetchers and scanners can't unsubscribe anyone; POST (the button,
+// or the one-click List-Unsubscribe request mail clients send) does it.
+function unsubscribePage(message, action) {
+  const form = action
+    ? `<form method="POST" action="${escapeXml(action)}" style="text-align:center;"><button type="submit" style="background:#00D4AA;color:#0A2540;border:none;border-radius:6px;padding:12px 24px;font-size:16px;font-weight:600;cursor:pointer;">Unsubscribe</button></form>`
+    : '';
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Email preferences</title></head>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#0A2540;color:white;display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:100vh;margin:0;">
+<p style="font-size:16px;text-align:center;padding:24px;max-width:420px;line-height:1.6;">${escapeXml(message)}</p>${form}</body></html>`;
+}
+
+function unsubscribeLead(req) {
+  const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(req.params.leadId);
+  return lead && verifyLeadToken('unsubscribe', lead.id, req.query.token) ? lead : null;
+}
+
+const INVALID_UNSUBSCRIBE = 'This unsubscribe link is not valid.';
+
+app.get('/api/unsubscribe/:leadId', (req, res) => {
+  const lead = unsubscribeLead(req);
+  if (!lead) return res.status(404).type('html').send(unsubscribePage(INVALID_UNSUBSCRIBE));
+  res.type('html').send(unsubscribePage(
+    'Stop getting emails about your request?',
+    `/api/unsubscribe/${encodeURIComponent(lead.id)}?token=${encodeURIComponent(req.query.token)}`
+  ));
+});
+
+app.post('/api/unsubscribe/:leadId', (req, res) => {
+  const lead = unsubscribeLead(req);
+  if (!lead) return res.status(404).type('html').send(unsubscribePage(INVALID_UNSUBSCRIBE));
+  try {
+    unsubscribeHomeowner(lead);
+    res.type('html').send(unsubscribePage("You're unsubscribed. You won't get any more emails about your request."));
+  } catch (err) {
+    console.error('Unsubscribe error:', err);
+    res.status(500).type('html').send(unsubscribePage('Something went wrong. Please try again.'));
+  }
+});
+
+
+// ─── LEAD STATUS UPDATE ───
+// contacted_at and booked_at are stamped by the pipeline, not set directly.
+
+// A job value from a request body: a non-negative number (or numeric string).
+// Blank is null, not 0.
+function parseJobValue(value) {
+  if (value === null || (typeof value === 'string' && !value.trim())) return { value: null };
+  const amount = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+  if (!Number.isFinite(amount) || amount < 0) return { error: 'job_value must be a positive number' };
+  return { value: amount };
+}
+
+app.patch('/api/leads/:id', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const { status, lost_reason, notes, job_value } = req.body;
+    const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(req.params.id);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+    // Re-sending the current status is a no-op, except no_answer which records another attempt
+    const statusChange = status && (status !== lead.status || status === 'no_answer');
+    if (statusChange) {
+      const error = checkLeadTransition(lead, status, lost_reason);
+      if (error) return res.status(400).json({ error });
+    }
+
+    const jobValue = job_value === undefined ? null : parseJobValue(job_value);
+    if (jobValue?.error) return res.status(400).json({ error: jobValue.error });
+
+    const updates = [];
+    const values = [];
+
+    if (notes !== undefined) { updates.push('notes = ?'); values.push(notes); }
+    if (jobValue) { updates.push('job_value = ?'); values.push(jobValue.value); }
+
+    db.transaction(() => {
+      if (updates.length) {
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+        db.prepare(`UPDATE leads SET ${updates.join(', ')} WHERE id = ?`).run(...values, lead.id);
+        logLeadActivity(lead.id, 'status_updated', { notes, job_value: jobValue?.value }, req.user.id);
+      }
+      if (statusChange) changeLeadStatus(lead, status, { lostReason: lost_reason, actor: req.user.id });
+    })();
+
+    res.json({ success: true, message: 'Lead updated' });
+  } catch (err) {
+    console.error('Lead update error:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+
+// ─── DASHBOARD API ───
+
+// Get dashboard stats for a client
+app.get('/api/dashboard/:token', loadDashboardClient, (req, res) => {
+  try {
+    const client = req.client;
+
+    // Credited (successfully disputed) leads are listed but not counted
+    const counts = db.prepare(`
+      SELECT
+        COUNT(*) as all_leads,
+        COALESCE(SUM(credited_at IS NULL), 0) as total,
+        COALESCE(SUM(credited_at IS NULL AND status = 'new'), 0) as new_leads,
+        COALESCE(SUM(credited_at IS NULL AND status = 'contacted'), 0) as contacted,
+        COALESCE(SUM(credited_at IS NULL AND status IN ('booked', 'completed')), 0) as booked,
+        COALESCE(SUM(CASE WHEN credited_at IS NULL THEN job_value END), 0) as revenue
+      FROM leads WHERE client_id = ? AND status != 'quarantined'
+    `).get(client.id);
+    const totalLeads = counts.total;
+    const bookedLeads = counts.booked;
+    const closeRate = totalLeads > 0 ? ((bookedLeads / totalLeads) * 100).toFixed(1) : 0;
+
+    // Weekly breakdown: the last four 7-day windows, oldest first
+    const byWeek = db.prepare(`
+      SELECT CAST((julianday('now') - julianday(created_at)) / 7 AS INTEGER) as weeks_ago, COUNT(*) as count
+      FROM leads WHERE client_id = ? AND status != 'quarantined' AND credited_at IS NULL AND created_at >= datetime('now', '-28 days')
+      GROUP BY weeks_ago
+    `).all(client.id);
+    const weeklyLeads = [3, 2, 1, 0].map((weeksAgo, i) => ({
+      week: `W${i + 1}`,
+      count: byWeek.find(w => w.weeks_ago === weeksAgo)?.count || 0,
+    }));
+
+    const recentLeads = db.prepare("SELECT * FROM leads WHERE client_id = ? AND status != 'quarantined' ORDER BY created_at DESC LIMIT 20").all(client.id);
+
+    res.json({
+      client: {
+        businessName: client.business_name,
+        plan: client.plan,
+        industry: client.industry,
+        city: client.city,
+      },
+      stats: {
+        totalLeads,
+        newLeads: counts.new_leads,
+        contactedLeads: counts.contacted,
+        bookedLeads,
+        totalRevenue: counts.revenue,
+        closeRate,
+        costPerLead: totalLeads > 0 ? (client.plan_price / totalLeads).toFixed(0) : 0,
+        creditedLeads: counts.all_leads - totalLeads,
+      },
+      weeklyLeads,
+      recentLeads: recentLeads.map(toClientLead),
+      tokenExpiresAt: client.dashboard_token_expires_at,
+    });
+  } catch (err) {
+    console.error('Dashboard error:', err);
+    res.status(500).json({ error: 'Dashboard load failed' });
+  }
+});
+
+
+// Filters shared by the client's lead list and their export
+function dashboardLeadFilters(clientId, { status, q, from, to }) {
+  const rangeError = dateRangeError(from, to);
+  if (rangeError) return { error: rangeError };
+
+  const conditions = ['client_id = ?', "status != 'quarantined'"];
+  const values = [clientId];
+
+  if (status) { conditions.push('status = ?'); values.push(status); }
+  const search = leadSearchFilter(q, 'rowid');
+  if (search) { conditions.push(search.condition); values.push(...search.values); }
+  if (from) { conditions.push('created_at >= ?'); values.push(from); }
+  if (to) { conditions.push("created_at < date(?, '+1 day')"); values.push(to); }
+  return { conditions, values };
+}
+
+// Client's leads — filter by status, search name/phone/email/message/notes/answers,
+// date range (from/to, YYYY-MM-DD), paginated with page + page_size
+app.get('/api/dashboard/:token/leads', loadDashboardClient, (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.page_size) || 25, 1), 100);
+
+    const { conditions, values, error } = dashboardLeadFilters(req.client.id, req.query);
+    if (error) return res.status(400).json({ error });
+    const where = sqlWhere(conditions);
+    const total = db.prepare(`SELECT COUNT(*) as count FROM leads${where}`).get(...values).count;
+    const leads = db.prepare(`SELECT * FROM leads${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+      .all(...values, pageSize, (page - 1) * pageSize);
+
+    res.json({
+      leads: leads.map(toClientLead),
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+    });
+  } catch (err) {
+    console.error('Dashboard leads error:', err);
+    res.status(500).json({ error: 'Could not load leads' });
+  }
+});
+
+// The client's leads as a spreadsheet: ?format=csv|xlsx plus the list filters
+app.get('/api/dashboard/:token/leads/export', loadDashboardClient, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  try {
+    const { conditions, values, error } = dashboardLeadFilters(req.client.id, req.query);
+    if (error) return res.status(400).json({ error });
+    await streamExport(res, { format, name: 'leads', columns: CLIENT_LEAD_EXPORT_COLUMNS, from: 'leads', conditions, values });
+  } catch (err) {
+    console.error('Dashboard export error:', err);
+    if (res.headersSent) res.destroy(err);
+    else res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+// One lead with its activity timeline
+app.get('/api/dashboard/:token/leads/:id', loadDashboardClient, (req, res) => {
+  const lead = db.prepare("SELECT * FROM leads WHERE id = ? AND client_id = ? AND status != 'quarantined'").get(req.params.id, req.client.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const activity = db.prepare('SELECT action, details, created_at FROM lead_activity WHERE lead_id = ? ORDER BY created_at').all(lead.id)
+    .map(toClientActivity);
+
+  const dispute = db.prepare('SELECT reason, details, status, resolution_note, created_at, resolved_at FROM lead_disputes WHERE lead_id = ?').get(lead.id);
+  const appointment = db.prepare(`${APPOINTMENT_SELECT} WHERE a.lead_id = ? AND a.status = 'booked'`).get(lead.id);
+
+  res.json({ lead: toClientLead(lead), activity, dispute: dispute || null, appointment: appointment ? toAppointment(appointment) : null });
+});
+
+// Move a lead through the pipeline
+app.patch('/api/dashboard/:token/leads/:id/status', loadDashboardClient, (req, res) => {
+  try {
+    const { status, lost_reason } = req.body;
+    const lead = db.prepare("SELECT * FROM leads WHERE id = ? AND client_id = ? AND status != 'quarantined'").get(req.params.id, req.client.id);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+    if (!status) return res.status(400).json({ error: 'Status required' });
+
+    if (status !== lead.status || status === 'no_answer') {
+      const error = checkLeadTransition(lead, status, lost_reason);
+      if (error) return res.status(400).json({ error });
+      changeLeadStatus(lead, status, { lostReason: lost_reason, actor: `client:${req.client.id}` });
+    }
+
+    const updated = db.prepare('SELECT * FROM leads WHERE id = ?').get(lead.id);
+    res.json({ success: true, lead: toClientLead(updated) });
+  } catch (err) {
+    console.error('Dashboard status update error:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+// Add a note to a lead
+app.post('/api/dashboard/:token/leads/:id/notes', loadDashboardClient, (req, res) => {
+  try {
+    const note = (req.body.note || '').trim();
+    const lead = db.prepare("SELECT * FROM leads WHERE id = ? AND client_id = ? AND status != 'quarantined'").get(req.params.id, req.client.id);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+    if (!note) return res.status(400).json({ error: 'Note required' });
+    if (note.length > 2000) return res.status(400).json({ error: 'Note is too long (2000 characters max)' });
+
+    const stamped = `[${new Date().toISOString().slice(0, 16).replace('T', ' ')}] ${note}`;
+    db.prepare('UPDATE leads SET notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(
+      lead.notes ? `${lead.notes}\n${stamped}` : stamped, lead.id
+    );
+    logLeadActivity(lead.id, 'note_added', { note }, `client:${req.client.id}`);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Dashboard note error:', err);
+    res.status(500).json({ error: 'Could not save note' });
+  }
+});
+
+// Record what a job was worth
+app.put('/api/dashboard/:token/leads/:id/job-value', loadDashboardClient, (req, res) => {
+  try {
+    const lead = db.prepare("SELECT * FROM leads WHERE id = ? AND client_id = ? AND status != 'quarantined'").get(req.params.id, req.client.id);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+    const { value: jobValue, error } = req.body.job_value === undefined ? {} : parseJobValue(req.body.job_value);
+    if (error || jobValue == null) return res.status(400).json({ error: 'job_value must be a positive number' });
+
+    db.prepare('UPDATE leads SET job_value = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(jobValue, lead.id);
+    logLeadActivity(lead.id, 'job_value_recorded', { from: lead.job_value, to: jobValue }, `client:${req.client.id}`);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Dashboard job value error:', err);
+    res.status(500).json({ error: 'Could not save job value' });
+  }
+});
+
+// Dispute a bad lead — reviewed by LeadFlow24, credited if approved
+app.post('/api/dashboard/:token/leads/:id/dispute', loadDashboardClient, (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (req.body.details != null && typeof req.body.details !== 'string') return res.status(400).json({ error: 'details must be text' });
+    const details = (req.body.details || '').trim();
+    const lead = db.prepare("SELECT *, created_at >= datetime('now', ?) as disputable FROM leads WHERE id = ? AND client_id = ? AND status != 'quarantined'")
+      .get(`-${DISPUTE_WINDOW_DAYS} days`, req.params.id, req.client.id);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+    if (!DISPUTE_REASONS.includes(reason)) return res.status(400).json({ error: `reason must be one of: ${DISPUTE_REASONS.join(', ')}` });
+    if (reason === 'other' && !details) return res.status(400).json({ error: 'Please describe the problem' });
+    if (details.length > 2000) return res.status(400).json({ error: 'Details are too long (2000 characters max)' });
+    if (!lead.disputable) return res.status(400).json({ error: `Leads can only be disputed within ${DISPUTE_WINDOW_DAYS} days` });
+    if (db.prepare('SELECT id FROM lead_disputes WHERE lead_id = ?').get(lead.id)) {
+      return res.status(409).json({ error: 'This lead has already been disputed' });
+    }
+
+    const id = uuidv4();
+    db.prepare('INSERT INTO lead_disputes (id, lead_id, client_id, reason, details) VALUES (?, ?, ?, ?, ?)')
+      .run(id, lead.id, req.client.id, reason, details || null);
+    logLeadActivity(lead.id, 'dispute_opened', { reason, details: details || undefined }, `client:${req.client.id}`);
+
+    enqueueEmail(
+      process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
+      `⚠️ LEAD DISPUTE: ${req.client.business_name} — ${reason.replace(/_/g, ' ')}`,
+      getEmailTemplate('internal_notification', {
+        type: 'Lead Dispute',
+        summary: `${lead.name} (${lead.phone}) — score ${lead.quality_score ?? 'n/a'}`,
+        details: { dispute_id: id, lead_id: lead.id, client: req.client.business_name, reason, details }
+      }).html,
+      { template: 'internal_notification', idempotencyKey: `dispute:${id}:notify` }
+    );
+
+    res.json({ success: true, id, status: 'pending' });
+  } catch (err) {
+    console.error('Dispute error:', err);
+    res.status(500).json({ error: 'Could not submit dispute' });
+  }
+});
+
+// Booking hours, slot length and blackout dates
+app.get('/api/dashboard/:token/availability', loadDashboardClient, (req, res) => {
+  res.json(clientAvailability(req.client));
+});
+
+app.put('/api/dashboard/:token/availability', loadDashboardClient, (req, res) => {
+  try {
+    const parsed = parseAvailability(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    saveAvailability(req.client, parsed);
+    res.json({ success: true, availability: clientAvailability(db.prepare('SELECT * FROM clients WHERE id = ?').get(req.client.id)) });
+  } catch (err) {
+    console.error('Availability update error:', err);
+    res.status(500).json({ error: 'Could not save availability' });
+  }
+});
+
+// Upcoming appointments, or ?from=/?to= (YYYY-MM-DD)
+app.get('/api/dashboard/:token/appointments', loadDashboardClient, (req, res) => {
+  const { status, from, to } = req.query;
+  const rangeError = dateRangeError(from, to);
+  if (rangeError) return res.status(400).json({ error: rangeError });
+  res.json({ appointments: listAppointments({ clientId: req.client.id, status, from, to }) });
+});
+
+app.post('/api/dashboard/:token/appointments/:id/cancel', loadDashboardClient, (req, res) => {
+  try {
+    const appointment = db.prepare("SELECT * FROM appointments WHERE id = ? AND client_id = ? AND status = 'booked'").get(req.params.id, req.client.id);
+    if (!appointment) return res.status(404).json({ error: 'Appointment not found' });
+    res.json({ success: true, appointment: toAppointment(cancelAppointment(appointment, { reason: req.body.reason, actor: `client:${req.client.id}` })) });
+  } catch (err) {
+    console.error('Appointment cancel error:', err);
+    res.status(500).json({ error: 'Could not cancel appointment' });
+  }
+});
+
+// Swap the dashboard link for a new one (e.g. if it was shared by mistake)
+app.post('/api/dashboard/:token/rotate', loadDashboardClient, (req, res) => {
+  const token = rotateDashboardToken(req.client.id);
+  res.json({ success: true, token, dashboardUrl: dashboardUrl(token) });
+});
+
+
+// ─── ADMIN API ───
+
+// Every /api/admin route requires a logged-in operator; each route below
+// narrows it further to the roles allowed to use it.
+app.use('/api/admin', authenticate);
+
+// List all trial signups
+// ?status=, ?assigned_to= (user id or 'me'), ?follow_up_due=1
+app.get('/api/admin/trials', requireRole(READ_ROLES), (req, res) => {
+  const { status, assigned_to, follow_up_due } = req.query;
+  const conditions = [];
+  const values = [];
+  if (status) { conditions.push('status = ?'); values.push(status); }
+  if (assigned_to) { conditions.push('assigned_to = ?'); values.push(assigned_to === 'me' ? req.user.id : assigned_to); }
+  if (follow_up_due === '1') conditions.push('follow_up_date <= CURRENT_TIMESTAMP');
+
+  const trials = db.prepare(`
+    SELECT * FROM trial_signups ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY ${follow_up_due === '1' ? 'follow_up_date' : 'created_at DESC'}
+  `).all(...values);
+  res.json({ trials });
+});
+
+// Assign an owner, schedule a follow-up, or update notes
+app.patch('/api/admin/trials/:id', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const trial = db.prepare('SELECT * FROM trial_signups WHERE id = ?').get(req.params.id);
+    if (!trial) return res.status(404).json({ error: 'Trial not found' });
+
+    const { assigned_to, follow_up_date, notes } = req.body;
+    const updates = [];
+    const values = [];
+
+    if (assigned_to !== undefined) {
+      if (assigned_to !== null && !db.prepare("SELECT id FROM users WHERE id = ? AND status = 'active'").get(assigned_to)) {
+        return res.status(400).json({ error: 'assigned_to must be an active operator id (or null to unassign)' });
+      }
+      updates.push('assigned_to = ?'); values.push(assigned_to);
+    }
+    if (follow_up_date !== undefined) {
+      const when = follow_up_date === null ? null : new Date(follow_up_date);
+      if (when && isNaN(when)) return res.status(400).json({ error: 'follow_up_date must be a date/time (or null to clear)' });
+      updates.push('follow_up_date = ?'); values.push(when && toSqlDate(when));
+    }
+    if (notes !== undefined) { updates.push('notes = ?'); values.push(notes); }
+    if (!updates.length) return res.status(400).json({ error: 'Nothing to update' });
+
+    db.prepare(`UPDATE trial_signups SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...values, trial.id);
+    res.json({ success: true, trial: db.prepare('SELECT * FROM trial_signups WHERE id = ?').get(trial.id) });
+  } catch (err) {
+    console.error('Trial update error:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+// Move a trial along its lifecycle
+app.patch('/api/admin/trials/:id/status', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const trial = db.prepare('SELECT * FROM trial_signups WHERE id = ?').get(req.params.id);
+    if (!trial) return res.status(404).json({ error: 'Trial not found' });
+
+    const { status, lost_reason, client_id } = req.body;
+    if (client_id && !db.prepare('SELECT id FROM clients WHERE id = ?').get(client_id)) {
+      return res.status(400).json({ error: 'Client not found' });
+    }
+    const invalid = checkTrialTransition(trial, status, { lostReason: lost_reason, clientId: client_id });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const updated = changeTrialStatus(trial, status, { lostReason: lost_reason, clientId: client_id });
+    res.json({ success: true, trial: updated });
+  } catch (err) {
+    console.error('Trial status error:', err);
+    res.status(500).json({ error: 'Status update failed' });
+  }
+});
+
+// List subscribers, optionally by status or source
+app.get('/api/admin/subscribers', requireRole(READ_ROLES), (req, res) => {
+  const { conditions, values } = adminSubscriberFilters(req.query);
+  const subscribers = db.prepare(`SELECT * FROM subscribers${sqlWhere(conditions)} ORDER BY created_at DESC`).all(...values);
+  res.json({ subscribers, total: subscribers.length });
+});
+
+// Search, filter and sort leads, `limit` at a time. Pass nextCursor back as
+// ?cursor= (with the same filters and sort) for the next page.
+app.get('/api/admin/leads', requireRole(READ_ROLES), (req, res) => {
+  try {
+    const filters = adminLeadFilters(req.query);
+    const sort = leadSort(req.query);
+    const after = req.query.cursor ? leadCursorFilter(req.query.cursor, sort) : null;
+    const error = filters.error || sort.error || after?.error;
+    if (error) return res.status(400).json({ error });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || LEAD_PAGE_SIZE, 1), MAX_LEAD_PAGE_SIZE);
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM leads l${sqlWhere(filters.conditions)}`).get(...filters.values).count;
+    const conditions = after ? [...filters.conditions, after.condition] : filters.conditions;
+    const values = after ? [...filters.values, ...after.values] : filters.values;
+    const rows = db.prepare(`SELECT l.*, ${sort.expression} AS sort_value FROM leads l${sqlWhere(conditions)} ORDER BY ${sort.orderBy} LIMIT ?`)
+      .all(...values, limit + 1);
+
+    const page = rows.slice(0, limit);
+    const leads = page.map(({ sort_value, ...l }) => ({ ...l, custom_fields: parseCustomFields(l), routing_decision: parseRoutingDecision(l) }));
+    res.json({ leads, total, nextCursor: rows.length > limit ? encodeLeadCursor(sort, page[page.length - 1]) : null });
+  } catch (err) {
+    console.error('Admin leads error:', err);
+    res.status(500).json({ error: 'Could not load leads' });
+  }
+});
+
+// Suspected spam waiting for review
+const QUARANTINE_TABLES = { leads: 'leads', trials: 'trial_signups', subscribers: 'subscribers' };
+
+app.get('/api/admin/quarantine', requireRole(READ_ROLES), (req, res) => {
+  const result = {};
+  for (const [kind, table] of Object.entries(QUARANTINE_TABLES)) {
+    result[kind] = db.prepare(`SELECT * FROM ${table} WHERE status = 'quarantined' ORDER BY created_at DESC`).all()
+      .map(row => ({ ...row, spam_reasons: row.spam_reasons ? JSON.parse(row.spam_reasons) : [] }));
+  }
+  res.json(result);
+});
+
+// Not spam after all — restore it and send the notifications it skipped
+app.post('/api/admin/quarantine/:kind/:id/release', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const table = QUARANTINE_TABLES[req.params.kind];
+    if (!table) return res.status(404).json({ error: 'Unknown quarantine type' });
+    const row = db.prepare(`SELECT * FROM ${table} WHERE id = ? AND status = 'quarantined'`).get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Not found in quarantine' });
+
+    if (table === 'leads') {
+      // The page's client may have been suspended or their trial expired since
+      if (row.routed_via === 'capture_page') {
+        const routing = capturePageRouting(row.capture_page, row.client_id);
+        if (!routing.client_id) {
+          db.prepare('UPDATE leads SET client_id = NULL, routed_via = ?, routing_decision = ? WHERE id = ?').run(routing.via, JSON.stringify(routing), row.id);
+          noteRouting(row.id, routing, req.user.id);
+        }
+      }
+      // Routing was skipped while it sat in quarantine
+      if (!row.client_id && !row.routed_via) {
+        const routing = routeLead(row);
+        db.prepare('UPDATE leads SET client_id = ?, routed_via = ?, routing_decision = ? WHERE id = ?').run(routing.client_id, routing.via, JSON.stringify(routing), row.id);
+        noteRouting(row.id, routing, req.user.id);
+        applyLeadScore(row.id);
+      }
+
+      // The client may have hit their cap since — waitlist or pause it as createLead would
+      const { client_id: clientId } = db.prepare('SELECT client_id FROM leads WHERE id = ?').get(row.id);
+      const client = clientId ? db.prepare('SELECT * FROM clients WHERE id = ?').get(clientId) : null;
+      const overCapAction = overCapActionFor(client);
+      const deliverTo = overCapAction ? null : clientId;
+      db.prepare(`
+        UPDATE leads SET status = ?, client_id = ?, waitlist_client_id = ?, delivered_at = CASE WHEN ? IS NOT NULL THEN CURRENT_TIMESTAMP END,
+        status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(overCapAction === 'waitlist' ? 'waitlisted' : 'new', deliverTo, overCapAction === 'waitlist' ? clientId : null, deliverTo, row.id);
+      if (row.capture_page) db.prepare('UPDATE capture_pages SET submissions = submissions + 1 WHERE slug = ?').run(row.capture_page);
+      logLeadActivity(row.id, 'released', { reasons: JSON.parse(row.spam_reasons || '[]') }, req.user.id);
+      if (overCapAction) {
+        logLeadActivity(row.id, overCapAction === 'waitlist' ? 'waitlisted' : 'over_cap', { client_id: clientId, cap: clientLeadLimits(client).cap });
+        notifyCapReached(client, overCapAction);
+      }
+      const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(row.id);
+      // Waitlisted leads are announced when they're delivered
+      if (overCapAction !== 'waitlist') announceLead(lead);
+      sendHomeownerConfirmation(lead);
+    } else if (table === 'trial_signups') {
+      db.prepare("UPDATE trial_signups SET status = 'new', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(row.id);
+      announceTrialSignup(row);
+    } else {
+      db.prepare("UPDATE subscribers SET status = 'active', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(row.id);
+      announceSubscriber(row);
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Quarantine release error:', err);
+    res.status(500).json({ error: 'Release failed' });
+  }
+});
+
+// Confirmed spam — delete it
+app.delete('/api/admin/quarantine/:kind/:id', requireRole(WRITE_ROLES), (req, res) => {
+  const table = QUARANTINE_TABLES[req.params.kind];
+  if (!table) return res.status(404).json({ error: 'Unknown quarantine type' });
+  const row = db.prepare(`SELECT id FROM ${table} WHERE id = ? AND status = 'quarantined'`).get(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Not found in quarantine' });
+
+  db.transaction(() => {
+    if (table === 'leads') db.prepare('DELETE FROM lead_activity WHERE lead_id = ?').run(row.id);
+    db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(row.id);
+  })();
+  res.json({ success: true });
+});
+
+// Lead disputes (?status=pending|approved|denied, default pending)
+app.get('/api/admin/disputes', requireRole(READ_ROLES), (req, res) => {
+  const disputes = db.prepare(`
+    SELECT d.*, l.name as lead_name, l.phone as lead_phone, l.postal_code as lead_postal_code, l.city as lead_city,
+    l.message as lead_message, l.quality_score, l.quality_factors, l.created_at as lead_created_at, c.business_name
+    FROM lead_disputes d
+    JOIN leads l ON l.id = d.lead_id
+    JOIN clients c ON c.id = d.client_id
+    WHERE d.status = ?
+    ORDER BY d.created_at
+  `).all(req.query.status || 'pending')
+    .map(d => ({ ...d, quality_factors: d.quality_factors ? JSON.parse(d.quality_factors) : [] }));
+  res.json({ disputes, total: disputes.length });
+});
+
+// Approve (credit the lead) or deny a pending dispute
+app.post('/api/admin/disputes/:id/:decision(approve|deny)', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const dispute = db.prepare('SELECT * FROM lead_disputes WHERE id = ?').get(req.params.id);
+    if (!dispute) return res.status(404).json({ error: 'Dispute not found' });
+    if (dispute.status !== 'pending') return res.status(409).json({ error: `Dispute already ${dispute.status}` });
+
+    if (req.body.note != null && typeof req.body.note !== 'string') return res.status(400).json({ error: 'note must be text' });
+    const status = req.params.decision === 'approve' ? 'approved' : 'denied';
+    const note = req.body.note || null;
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE lead_disputes SET status = ?, resolution_note = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(status, note, req.user.id, dispute.id);
+      if (status === 'approved') {
+        db.prepare('UPDATE leads SET credited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(dispute.lead_id);
+      }
+      logLeadActivity(dispute.lead_id, status === 'approved' ? 'credited' : 'dispute_denied', { dispute_id: dispute.id, note }, req.user.id);
+    })();
+
+    res.json({ success: true, status });
+  } catch (err) {
+    console.error('Dispute resolution error:', err);
+    res.status(500).json({ error: 'Could not resolve dispute' });
+  }
+});
+
+// Merge a duplicate lead into this one (the duplicate is deleted, its history kept)
+app.post('/api/admin/leads/:id/merge', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const { duplicate_id } = req.body;
+    if (!duplicate_id) return res.status(400).json({ error: 'duplicate_id required' });
+    if (duplicate_id === req.params.id) return res.status(400).json({ error: 'Cannot merge a lead into itself' });
+
+    const primary = db.prepare('SELECT * FROM leads WHERE id = ?').get(req.params.id);
+    const duplicate = db.prepare('SELECT * FROM leads WHERE id = ?').get(duplicate_id);
+    if (!primary || !duplicate) return res.status(404).json({ error: 'Lead not found' });
+    if (primary.client_id !== duplicate.client_id) return res.status(409).json({ error: 'Leads belong to different clients' });
+
+    mergeLeads(primary, duplicate, req.user.id);
+
+    res.json({ success: true, lead: db.prepare('SELECT * FROM leads WHERE id = ?').get(primary.id) });
+  } catch (err) {
+    console.error('Lead merge error:', err);
+    res.status(500).json({ error: 'Merge failed' });
+  }
+});
+
+// Unassigned leads: nobody's territory matched, or the client was over their
+// cap with over_cap_action 'pause'. Oldest first.
+app.get('/api/admin/routing/queue', requireRole(READ_ROLES), (req, res) => {
+  const leads = db.prepare("SELECT * FROM leads WHERE client_id IS NULL AND status = 'new' ORDER BY created_at").all()
+    .map(l => ({ ...l, custom_fields: parseCustomFields(l), routing_decision: parseRoutingDecision(l) }));
+  res.json({ leads, total: leads.length });
+});
+
+// Who a lead would go to right now. ?industry=&postal_code=&city=
+app.get('/api/admin/routing/preview', requireRole(READ_ROLES), (req, res) => {
+  const { industry, postal_code, city } = req.query;
+  res.json({ decision: routeLead({ industry, postal_code, city }) });
+});
+
+// Route an unassigned lead: to { client_id }, or through the routing engine
+// again when no client is given (e.g. after adding a client in that area).
+// Going over the client's cap or into someone's exclusive territory needs
+// { override: true }, which is recorded on the decision and the activity log.
+app.post('/api/admin/leads/:id/route', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(req.params.id);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+    if (lead.client_id || lead.status !== 'new') return res.status(409).json({ error: 'Only unassigned new leads can be routed' });
+    if (req.body.override !== undefined && typeof req.body.override !== 'boolean') return res.status(400).json({ error: 'override must be true or false' });
+
+    let decision;
+    if (req.body.client_id) {
+      const client = db.prepare("SELECT id FROM clients WHERE id = ? AND status = 'active'").get(req.body.client_id);
+      if (!client) return res.status(404).json({ error: 'Active client not found' });
+      decision = { via: 'manual', client_id: client.id, previous: parseRoutingDecision(lead), decided_at: new Date().toISOString() };
+    } else {
+      decision = routeLead(lead);
+      if (!decision.client_id) return res.status(422).json({ error: `No client to route to (${decision.reason})`, decision });
+    }
+
+    const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(decision.client_id);
+    const conflicts = assignmentConflicts(lead, client);
+    if (conflicts.length && !req.body.override) {
+      return res.status(409).json({ error: `${conflicts.map(c => c.message).join('; ')}. Send override: true to route it anyway`, conflicts, decision });
+    }
+    if (conflicts.length) {
+      decision.override = conflicts.map(c => c.reason);
+      logLeadActivity(lead.id, 'routing_override', { client_id: client.id, overridden: decision.override }, req.user.id);
+    }
+
+    assignRoutedLead(lead, decision, req.user.id);
+    const updated = db.prepare('SELECT * FROM leads WHERE id = ?').get(lead.id);
+    res.json({ success: true, lead: { ...updated, custom_fields: parseCustomFields(updated), routing_decision: decision } });
+  } catch (err) {
+    console.error('Lead routing error:', err);
+    res.status(500).json({ error: 'Routing failed' });
+  }
+});
+
+// List clients, optionally by status, industry or plan
+app.get('/api/admin/clients', requireRole(READ_ROLES), (req, res) => {
+  const { conditions, values } = adminClientFilters(req.query);
+  const clients = db.prepare(`SELECT * FROM clients${sqlWhere(conditions)} ORDER BY created_at DESC`).all(...values);
+  res.json({ clients });
+});
+
+// Spreadsheet downloads: ?format=csv|xlsx plus the list endpoint's filters
+for (const [kind, { columns, query }] of Object.entries(EXPORTS)) {
+  app.get(`/api/admin/${kind}/export`, requireRole(READ_ROLES), async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    try {
+      const { error, ...source } = query(req.query);
+      if (error) return res.status(400).json({ error });
+      await streamExport(res, { format, name: kind, columns, ...source });
+    } catch (err) {
+      console.error('Export error:', err);
+      if (res.headersSent) res.destroy(err);
+      else res.status(500).json({ error: 'Export failed' });
+    }
+  });
+}
+
+// Bulk import from a spreadsheet. Send the file as the body (text/csv or the
+// XLSX content type) with options in the query string, or JSON { csv, ...options }.
+// Options: mapping, dry_run, duplicates (skip | update | create),
+// suppress_notifications (default true) and, for leads, client_id.
+for (const kind of Object.keys(IMPORTERS)) {
+  app.post(`/api/admin/${kind}/import`, requireRole(WRITE_ROLES),
+    express.text({ type: 'text/csv', limit: '5mb' }), express.raw({ type: XLSX_TYPE, limit: '10mb' }),
+    async (req, res) => {
+      try {
+        const json = !!req.is('application/json');
+        const options = json ? req.body : req.query;
+        const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === true || value === 'true');
+
+        let mapping = options.mapping || {};
+        if (typeof mapping === 'string') {
+          try { mapping = JSON.parse(mapping); } catch { mapping = null; }
+        }
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+          return res.status(400).json({ error: 'mapping must be a JSON object of column header → field' });
+        }
+
+        let rows;
+        let format = 'csv';
+        if (Buffer.isBuffer(req.body)) {
+          format = 'xlsx';
+          rows = await parseXlsx(req.body).catch(() => null);
+          if (!rows) return res.status(400).json({ error: 'Could not read the XLSX file' });
+        } else {
+          const csv = typeof req.body === 'string' ? req.body : json ? req.body.csv : null;
+          if (!csv) return res.status(400).json({ error: 'Send a CSV or XLSX file as the body, or JSON with a csv field' });
+          rows = parseCsv(csv.replace(/^\ufeff/, ''));
+        }
+
+        const report = runImport(kind, rows, {
+          mapping,
+          dryRun: flag(options.dry_run, false),
+          duplicates: options.duplicates || 'skip',
+          suppressNotifications: flag(options.suppress_notifications, true),
+          clientId: kind === 'leads' ? options.client_id || null : null,
+          filename: options.filename || null,
+          format,
+          actor: req.user.id,
+        });
+        if (report.error) return res.status(400).json({ error: report.error });
+        res.json(report);
+      } catch (err) {
+        console.error('Import error:', err);
+        res.status(500).json({ error: 'Import failed' });
+      }
+    });
+}
+
+// Past imports, newest first
+app.get('/api/admin/imports', requireRole(READ_ROLES), (req, res) => {
+  const imports = db.prepare('SELECT * FROM imports ORDER BY created_at DESC LIMIT 100').all()
+    .map(row => ({ ...row, mapping: row.mapping ? JSON.parse(row.mapping) : null, suppress_notifications: !!row.suppress_notifications }));
+  res.json({ imports });
+});
+
+// Create a new client (from trial conversion or manual)
+app.post('/api/admin/clients', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const { trial_id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan = 'starter', plan_price } = req.body;
+
+    const planRow = getPlan(plan);
+    if (!planRow) return res.status(400).json({ error: `Unknown plan '${plan}'` });
+
+    const id = uuidv4();
+    const dashboardToken = generateDashboardToken();
+
+    db.prepare(`
+      INSERT INTO clients (id, trial_id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan, plan_price, dashboard_token, dashboard_token_expires_at, onboarded_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?), CURRENT_TIMESTAMP)
+    `).run(id, trial_id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan, plan_price || planRow.monthly_price, dashboardToken, `+${DASHBOARD_TOKEN_TTL_DAYS} days`);
+
+    // The trial runs on this client record; payment (or an admin) converts it later
+    if (trial_id) {
+      db.prepare(`
+        UPDATE trial_signups SET client_id = ?,
+        status = CASE WHEN status IN ('new', 'contacted') THEN 'onboarding' ELSE status END,
+        status_changed_at = CASE WHEN status IN ('new', 'contacted') THEN CURRENT_TIMESTAMP ELSE status_changed_at END,
+        updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(id, trial_id);
+    }
+
+    res.json({
+      success: true,
+      client: { id, dashboardToken },
+      dashboardUrl: dashboardUrl(dashboardToken)
+    });
+  } catch (err) {
+    console.error('Client creation error:', err);
+    res.status(500).json({ error: 'Client creation failed' });
+  }
+});
+
+// Update a client's details and settings
+app.patch('/api/admin/clients/:id', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const editable = ['business_name', 'contact_name', 'email', 'phone', 'industry', 'city', 'service_area', 'services_offered', 'avg_job_value', 'plan', 'plan_price', 'status', 'duplicate_window_days', 'sla_minutes', 'monthly_lead_cap', 'over_cap_action', 'homeowner_follow_up_hours', 'routing_weight', 'exclusive_territory'];
+    const updates = [];
+    const values = [];
+
+    for (const field of editable) {
+      if (req.body[field] === undefined) continue;
+      updates.push(`${field} = ?`);
+      values.push(typeof req.body[field] === 'boolean' ? Number(req.body[field]) : req.body[field]);
+    }
+    if (req.body.duplicate_window_days != null && !(Number.isInteger(req.body.duplicate_window_days) && req.body.duplicate_window_days >= 0)) {
+      return res.status(400).json({ error: 'duplicate_window_days must be a whole number of days (0 disables duplicate detection)' });
+    }
+    if (req.body.sla_minutes != null && !(Number.isInteger(req.body.sla_minutes) && req.body.sla_minutes > 0)) {
+      return res.status(400).json({ error: 'sla_minutes must be a positive whole number' });
+    }
+    if (req.body.plan !== undefined && !getPlan(req.body.plan)) {
+      return res.status(400).json({ error: `Unknown plan '${req.body.plan}'` });
+    }
+    if (req.body.monthly_lead_cap != null && !(Number.isInteger(req.body.monthly_lead_cap) && req.body.monthly_lead_cap >= 0)) {
+      return res.status(400).json({ error: 'monthly_lead_cap must be a whole number (null uses the plan cap)' });
+    }
+    if (req.body.over_cap_action != null && !OVER_CAP_ACTIONS.includes(req.body.over_cap_action)) {
+      return res.status(400).json({ error: `over_cap_action must be one of: ${OVER_CAP_ACTIONS.join(', ')}` });
+    }
+    if (req.body.homeowner_follow_up_hours != null && !(Number.isInteger(req.body.homeowner_follow_up_hours) && req.body.homeowner_follow_up_hours >= 0)) {
+      return res.status(400).json({ error: 'homeowner_follow_up_hours must be a whole number (0 turns follow-ups off)' });
+    }
+    if (req.body.routing_weight !== undefined && !(Number.isInteger(req.body.routing_weight) && req.body.routing_weight >= 0)) {
+      return res.status(400).json({ error: 'routing_weight must be a whole number (0 takes the client out of routing)' });
+    }
+    if (req.body.exclusive_territory !== undefined && ![true, false, 0, 1].includes(req.body.exclusive_territory)) {
+      return res.status(400).json({ error: 'exclusive_territory must be true or false' });
+    }
+    const merged = { ...client, ...Object.fromEntries(editable.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]])) };
+    if (merged.exclusive_territory && merged.status === 'active') {
+      const clash = exclusiveTerritoryClash(merged);
+      if (clash) {
+        return res.status(409).json({ error: `${clash.client.business_name} already has an exclusive territory covering ${clash.areas.join(', ')}` });
+      }
+    }
+    if (!updates.length) return res.status(400).json({ error: 'Nothing to update' });
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+
+    db.prepare(`UPDATE clients SET ${updates.join(', ')} WHERE id = ?`).run(...values, client.id);
+
+    // A bigger allowance frees up waitlisted leads straight away
+    if (req.body.plan !== undefined || req.body.monthly_lead_cap !== undefined) releaseWaitlistedLeads();
+
+    res.json({ success: true, message: 'Client updated' });
+  } catch (err) {
+    if (err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'Another client already uses that email' });
+    }
+    console.error('Client update error:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+// Plans and what they include
+app.get('/api/admin/plans', requireRole(READ_ROLES), (req, res) => {
+  const plans = db.prepare('SELECT * FROM plans ORDER BY monthly_price').all()
+    .map(plan => ({ ...plan, features: JSON.parse(plan.features || '{}') }));
+  res.json({ plans });
+});
+
+const PLAN_FIELDS = ['name', 'monthly_price', 'setup_fee', 'promised_leads', 'monthly_lead_cap', 'over_cap_action', 'trial_days', 'trial_leads', 'features', 'active', 'whop_plan_id', 'stripe_price_id'];
+
+// Reasons a plan body is invalid, or null
+function checkPlanFields(body) {
+  for (const field of ['promised_leads', 'monthly_lead_cap', 'trial_days', 'trial_leads']) {
+    if (body[field] != null && !(Number.isInteger(body[field]) && body[field] >= 0)) return `${field} must be a whole number`;
+  }
+  if (body.monthly_price != null && !(typeof body.monthly_price === 'number' && body.monthly_price >= 0)) return 'monthly_price must be a number';
+  if (body.over_cap_action != null && !OVER_CAP_ACTIONS.includes(body.over_cap_action)) {
+    return `over_cap_action must be one of: ${OVER_CAP_ACTIONS.join(', ')}`;
+  }
+  if (body.features != null && (typeof body.features !== 'object' || Array.isArray(body.features))) return 'features must be an object';
+  return null;
+}
+
+// Add a plan tier
+app.post('/api/admin/plans', requireRole(['owner']), (req, res) => {
+  try {
+    const { id, name, monthly_price, promised_leads } = req.body;
+    if (!id || !SLUG_PATTERN.test(id)) return res.status(400).json({ error: 'id must be lowercase letters, numbers and dashes' });
+    if (!name || monthly_price == null || promised_leads == null) {
+      return res.status(400).json({ error: 'name, monthly_price and promised_leads required' });
+    }
+    const invalid = checkPlanFields(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const fields = PLAN_FIELDS.filter(f => req.body[f] !== undefined);
+    const values = fields.map(f => (f === 'features' ? JSON.stringify(req.body[f]) : req.body[f]));
+    db.prepare(`INSERT INTO plans (id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`).run(id, ...values);
+
+    res.json({ success: true, plan: getPlan(id) });
+  } catch (err) {
+    if (err.message.includes('UNIQUE') || err.message.includes('PRIMARY KEY')) {
+      return res.status(409).json({ error: 'A plan with that id already exists' });
+    }
+    console.error('Plan create error:', err);
+    res.status(500).json({ error: 'Plan create failed' });
+  }
+});
+
+// Change a plan — applies to every client on it from their next lead
+app.patch('/api/admin/plans/:id', requireRole(['owner']), (req, res) => {
+  try {
+    if (!getPlan(req.params.id)) return res.status(404).json({ error: 'Plan not found' });
+    const invalid = checkPlanFields(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const fields = PLAN_FIELDS.filter(f => req.body[f] !== undefined);
+    if (!fields.length) return res.status(400).json({ error: 'Nothing to update' });
+    const values = fields.map(f => (f === 'features' ? JSON.stringify(req.body[f]) : req.body[f]));
+    db.prepare(`UPDATE plans SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+      .run(...values, req.params.id);
+
+    releaseWaitlistedLeads();
+    res.json({ success: true, plan: getPlan(req.params.id) });
+  } catch (err) {
+    console.error('Plan update error:', err);
+    res.status(500).json({ error: 'Plan update failed' });
+  }
+});
+
+// Delivery pacing: which active clients are behind or over their promised
+// volume for the current billing period. ?pace=under|on_track|over filters.
+app.get('/api/admin/reports/pacing', requireRole(READ_ROLES), (req, res) => {
+  const clients = db.prepare("SELECT * FROM clients WHERE status = 'active' ORDER BY business_name").all();
+  let pacing = clients.map(client => clientPacing(client));
+  if (req.query.pace) pacing = pacing.filter(p => p.pace === req.query.pace);
+
+  res.json({
+    clients: pacing,
+    summary: {
+      under: pacing.filter(p => p.pace === 'under').length,
+      onTrack: pacing.filter(p => p.pace === 'on_track').length,
+      over: pacing.filter(p => p.pace === 'over').length,
+      waitlisted: pacing.reduce((sum, p) => sum + p.waitlisted, 0),
+    },
+  });
+});
+
+// Recurring revenue and churn by month (?months=1-24, default 6), and who's in dunning
+app.get('/api/admin/reports/revenue', requireRole(READ_ROLES), (req, res) => {
+  const months = Math.min(24, Math.max(1, parseInt(req.query.months) || 6));
+  const series = revenueReport(months);
+  const pastDue = db.prepare(`
+    SELECT id, business_name, status, past_due_at, grace_period_ends_at FROM clients WHERE past_due_at IS NOT NULL ORDER BY past_due_at
+  `).all();
+
+  res.json({
+    months: series,
+    summary: { mrr: series[series.length - 1].mrr, paying: series[series.length - 1].paying, pastDue: pastDue.length },
+    pastDue: pastDue.map(c => ({
+      clientId: c.id, businessName: c.business_name, status: c.status, pastDueAt: c.past_due_at, gracePeriodEndsAt: c.grace_period_ends_at,
+    })),
+  });
+});
+
+// Payment history, newest first (?client_id=, ?status=succeeded|failed, ?limit=)
+app.get('/api/admin/payments', requireRole(READ_ROLES), (req, res) => {
+  const { client_id, status } = req.query;
+  const conditions = [];
+  const values = [];
+  if (client_id) { conditions.push('p.client_id = ?'); values.push(client_id); }
+  if (status) { conditions.push('p.status = ?'); values.push(status); }
+
+  const payments = db.prepare(`
+    SELECT p.*, c.business_name FROM payments p LEFT JOIN clients c ON c.id = p.client_id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY p.paid_at DESC LIMIT ?
+  `).all(...values, Math.min(500, parseInt(req.query.limit) || 100));
+  res.json({ payments, total: payments.length });
+});
+
+// Hosted checkout link for a client's plan. Body (all optional): { provider:
+// 'whop' | 'stripe', plan } — defaults to the client's provider and plan.
+app.post('/api/admin/clients/:id/checkout-link', requireRole(WRITE_ROLES), async (req, res) => {
+  try {
+    const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const providerName = req.body.provider || defaultBillingProvider(client);
+    const provider = BILLING_PROVIDERS[providerName];
+    if (!provider) return res.status(400).json({ error: `provider must be one of: ${Object.keys(BILLING_PROVIDERS).join(', ')}` });
+    const plan = getPlan(req.body.plan || client.plan);
+    if (!plan) return res.status(400).json({ error: `Unknown plan '${req.body.plan || client.plan}'` });
+    if (!plan[provider.planColumn]) {
+      return res.status(400).json({ error: `Set ${provider.planColumn} on the '${plan.id}' plan first` });
+    }
+
+    const url = await provider.checkoutUrl(client, plan);
+    res.json({ provider: providerName, plan: plan.id, url });
+  } catch (err) {
+    console.error('Checkout link error:', err);
+    res.status(502).json({ error: 'Could not create a checkout link' });
+  }
+});
+
+// Import daily ad spend. Send the CSV as the body (Content-Type: text/csv)
+// or as JSON { csv }. Columns: date, campaign, spend, and optionally
+// platform, capture_page, client_id, impressions, clicks.
+app.post('/api/admin/ad-spend/import', requireRole(WRITE_ROLES), express.text({ type: 'text/csv', limit: '5mb' }), (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+    if (!csv) return res.status(400).json({ error: 'CSV body required' });
+
+    const result = importAdSpendCsv(csv);
+    res.status(result.imported || !result.errors.length ? 200 : 400).json({ success: result.imported > 0, ...result });
+  } catch (err) {
+    console.error('Ad spend import error:', err);
+    res.status(500).json({ error: 'Import failed' });
+  }
+});
+
+// Pull spend from the Facebook Marketing API for a date range (default: last 7 days)
+app.post('/api/admin/ad-spend/sync', requireRole(WRITE_ROLES), async (req, res) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const { since = addDays(today, -7), until = today } = req.body;
+    if (!isCalendarDate(since) || !isCalendarDate(until)) return res.status(400).json({ error: 'since and until must be YYYY-MM-DD' });
+    if (since > until) return res.status(400).json({ error: 'since must not be after until' });
+
+    res.json({ success: true, since, until, ...(await syncAdSpend(since, until)) });
+  } catch (err) {
+    console.error('Ad spend sync error:', err);
+    res.status(502).json({ error: `Sync failed: ${err.message}` });
+  }
+});
+
+// Resolve ?from=&to= (YYYY-MM-DD, default last 90 days); sends a 400 and returns null if invalid
+function reportRange(req, res) {
+  const today = new Date().toISOString().slice(0, 10);
+  const { from = addDays(today, -90), to = today } = req.query;
+  if (!isCalendarDate(from) || !isCalendarDate(to)) {
+    res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    return null;
+  }
+  if (from > to) {
+    res.status(400).json({ error: 'from must not be after to' });
+    return null;
+  }
+  return { from, to };
+}
+
+// Imported spend rows, ?client_id=&from=&to=
+app.get('/api/admin/ad-spend', requireRole(READ_ROLES), (req, res) => {
+  try {
+    const range = reportRange(req, res);
+    if (!range) return;
+    const clientId = req.query.client_id || null;
+    const rows = db.prepare(`
+      SELECT * FROM ad_spend WHERE date >= ? AND date <= ? AND (? IS NULL OR client_id = ?) ORDER BY date DESC, campaign
+    `).all(range.from, range.to, clientId, clientId);
+    res.json({ rows, total: round2(rows.reduce((sum, r) => sum + r.spend, 0)) });
+  } catch (err) {
+    console.error('Ad spend list error:', err);
+    res.status(500).json({ error: 'Could not load ad spend' });
+  }
+});
+
+// Cost per lead, cost per booked job and ROAS for one client (?client_id=)
+// or the agency. ?group_by=campaign|capture_page|week, ?model=first_touch|last_touch|linear
+app.get('/api/admin/reports/attribution', requireRole(READ_ROLES), (req, res) => {
+  try {
+    const range = reportRange(req, res);
+    if (!range) return;
+    const { client_id: clientId, group_by: groupBy = 'campaign', model = 'first_touch' } = req.query;
+    if (!ATTRIBUTION_GROUPS.includes(groupBy)) return res.status(400).json({ error: `group_by must be one of: ${ATTRIBUTION_GROUPS.join(', ')}` });
+    if (!ATTRIBUTION_MODELS.includes(model)) return res.status(400).json({ error: `model must be one of: ${ATTRIBUTION_MODELS.join(', ')}` });
+
+    let client = null;
+    if (clientId) {
+      client = db.prepare('SELECT id, business_name, plan, plan_price FROM clients WHERE id = ?').get(clientId);
+      if (!client) return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const report = buildAttributionReport({ clientId: client?.id, ...range, groupBy, model });
+    if (client) {
+      // What the contractor paid us over the range vs. the revenue they booked
+      const days = (new Date(`${range.to}T00:00:00Z`) - new Date(`${range.from}T00:00:00Z`)) / DAY_MS + 1;
+      const fees = round2((client.plan_price || 0) * days / 30);
+      report.client = { id: client.id, businessName: client.business_name, plan: client.plan, fees, returnOnFees: fees ? round2(report.totals.revenue / fees) : null };
+    }
+    res.json(report);
+  } catch (err) {
+    console.error('Attribution report error:', err);
+    res.status(500).json({ error: 'Report failed' });
+  }
+});
+
+// Issue a client a new dashboard link (the old one stops working)
+app.post('/api/admin/clients/:id/rotate-token', requireRole(WRITE_ROLES), (req, res) => {
+  const client = db.prepare('SELECT id FROM clients WHERE id = ?').get(req.params.id);
+  if (!client) return res.status(404).json({ error: 'Client not found' });
+
+  const token = rotateDashboardToken(client.id);
+  res.json({ success: true, token, dashboardUrl: dashboardUrl(token) });
+});
+
+// Create a capture page for a client — live at /quote/:slug straight away
+app.post('/api/admin/capture-pages', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const { client_id, slug } = req.body;
+    if (!slug || !SLUG_PATTERN.test(slug)) return res.status(400).json({ error: 'slug must be lowercase letters, numbers and dashes (e.g. hvac-calgary)' });
+    if (!req.body.title) return res.status(400).json({ error: 'title required' });
+    if (client_id && !db.prepare('SELECT id FROM clients WHERE id = ?').get(client_id)) {
+      return res.status(400).json({ error: 'Client not found' });
+    }
+    if (db.prepare('SELECT id FROM capture_pages WHERE slug = ?').get(slug)) {
+      return res.status(409).json({ error: 'A capture page with that slug already exists' });
+    }
+
+    const { fields, error } = parseCapturePageFields(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const id = uuidv4();
+    const columns = ['id', 'client_id', 'slug', ...Object.keys(fields)];
+    db.prepare(`INSERT INTO capture_pages (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+      .run(id, client_id || null, slug, ...Object.values(fields));
+
+    res.json({ success: true, id, url: `${process.env.BASE_URL || 'https://leadflow24.com'}/quote/${slug}` });
+  } catch (err) {
+    console.error('Capture page creation error:', err);
+    res.status(500).json({ error: 'Creation failed' });
+  }
+});
+
+// Update a capture page's copy, services, phone, colours or hero image
+app.patch('/api/admin/capture-pages/:id', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const page = db.prepare('SELECT * FROM capture_pages WHERE id = ?').get(req.params.id);
+    if (!page) return res.status(404).json({ error: 'Capture page not found' });
+
+    const { fields, error } = parseCapturePageFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (req.body.status !== undefined) {
+      if (!['active', 'paused'].includes(req.body.status)) return res.status(400).json({ error: 'status must be active or paused' });
+      fields.status = req.body.status;
+    }
+    if (!Object.keys(fields).length) return res.status(400).json({ error: 'No editable fields provided' });
+
+    const sets = Object.keys(fields).map(k => `${k} = ?`).join(', ');
+    db.prepare(`UPDATE capture_pages SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...Object.values(fields), page.id);
+
+    res.json({ success: true, page: db.prepare('SELECT * FROM capture_pages WHERE id = ?').get(page.id) });
+  } catch (err) {
+    console.error('Capture page update error:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+// Track capture page view (once per visitor)
+app.post('/api/capture-pages/:slug/view', (req, res) => {
+  recordCaptureView(req.params.slug, visitorId(req, res));
+  res.json({ success: true });
+});
+
+// A/B test results for a capture page
+app.get('/api/admin/capture-pages/:id/experiment', requireRole(READ_ROLES), (req, res) => {
+  const page = db.prepare('SELECT * FROM capture_pages WHERE id = ?').get(req.params.id);
+  if (!page) return res.status(404).json({ error: 'Capture page not found' });
+  res.json({ page: { id: page.id, slug: page.slug, views: page.views, submissions: page.submissions }, ...experimentStats(page) });
+});
+
+// Add a variant — it starts receiving traffic straight away
+app.post('/api/admin/capture-pages/:id/variants', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const page = db.prepare('SELECT id FROM capture_pages WHERE id = ?').get(req.params.id);
+    if (!page) return res.status(404).json({ error: 'Capture page not found' });
+    if (!req.body.name) return res.status(400).json({ error: 'name required' });
+
+    const { fields, error } = parseVariantFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!VARIANT_CONTENT_FIELDS.some(key => fields[key])) {
+      return res.status(400).json({ error: `A variant needs at least one of: ${VARIANT_CONTENT_FIELDS.join(', ')}` });
+    }
+
+    const id = uuidv4();
+    const columns = ['id', 'capture_page_id', ...Object.keys(fields)];
+    db.prepare(`INSERT INTO capture_page_variants (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+      .run(id, page.id, ...Object.values(fields));
+
+    res.json({ success: true, variant: db.prepare('SELECT * FROM capture_page_variants WHERE id = ?').get(id) });
+  } catch (err) {
+    console.error('Variant creation error:', err);
+    res.status(500).json({ error: 'Creation failed' });
+  }
+});
+
+// Edit a running variant, change its weight, or pause/resume it
+app.patch('/api/admin/capture-page-variants/:id', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const variant = db.prepare('SELECT * FROM capture_page_variants WHERE id = ?').get(req.params.id);
+    if (!variant) return res.status(404).json({ error: 'Variant not found' });
+    if (!['active', 'paused'].includes(variant.status)) return res.status(409).json({ error: `Variant is ${variant.status}` });
+
+    const { fields, error } = parseVariantFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (req.body.status !== undefined) {
+      if (!['active', 'paused'].includes(req.body.status)) return res.status(400).json({ error: 'status must be active or paused' });
+      fields.status = req.body.status;
+    }
+    if (!Object.keys(fields).length) return res.status(400).json({ error: 'No editable fields provided' });
 
-  return templates[type] || null;
-}
+    const sets = Object.keys(fields).map(k => `${k} = ?`).join(', ');
+    db.prepare(`UPDATE capture_page_variants SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...Object.values(fields), variant.id);
 
+    res.json({ success: true, variant: db.prepare('SELECT * FROM capture_page_variants WHERE id = ?').get(variant.id) });
+  } catch (err) {
+    console.error('Variant update error:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
 
-// ═══════════════════════════════════════════════════════════════
-// API ROUTES
-// ═══════════════════════════════════════════════════════════════
+// Make the winner the page's copy for everyone and end the test
+app.post('/api/admin/capture-page-variants/:id/promote', requireRole(WRITE_ROLES), (req, res) => {
+  const variant = db.prepare('SELECT * FROM capture_page_variants WHERE id = ?').get(req.params.id);
+  if (!variant) return res.status(404).json({ error: 'Variant not found' });
+  if (!['active', 'paused'].includes(variant.status)) return res.status(409).json({ error: `Variant is ${variant.status}` });
 
-// ─── HEALTH CHECK ───
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', version: '1.0.0', timestamp: new Date().toISOString() });
+  const page = db.prepare('SELECT * FROM capture_pages WHERE id = ?').get(variant.capture_page_id);
+  promoteVariant(page, variant);
+  res.json({ success: true, page: db.prepare('SELECT * FROM capture_pages WHERE id = ?').get(page.id) });
 });
 
+// Client webhook subscriptions
+app.get('/api/admin/clients/:id/webhooks', requireRole(READ_ROLES), (req, res) => {
+  const subscriptions = db.prepare(`
+    SELECT id, client_id, url, events, active, created_at, updated_at FROM webhook_subscriptions
+    WHERE client_id = ? ORDER BY created_at
+  `).all(req.params.id).map(s => ({ ...s, events: JSON.parse(s.events), active: !!s.active }));
+  res.json({ subscriptions, events: WEBHOOK_EVENTS });
+});
 
-// ─── EMAIL SUBSCRIPTION ───
-app.post('/api/subscribe', async (req, res) => {
+function parseWebhookEvents(events) {
+  if (!Array.isArray(events) || !events.length) return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` };
+  const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) return { error: `Unknown events: ${unknown.join(', ')}` };
+  return { events: [...new Set(events)] };
+}
+
+// https (or http outside production) to a host that isn't obviously local;
+// names are resolved and checked again on every delivery
+function isWebhookUrl(url) {
   try {
-    const { email, source } = req.body;
-    if (!email) return res.status(400).json({ error: 'Email required' });
+    const { protocol } = new URL(url);
+    if (protocol !== 'https:' && !(protocol === 'http:' && process.env.NODE_ENV !== 'production')) return false;
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true') return true;
+    const host = webhookHostname(url).toLowerCase();
+    return host !== 'localhost' && !host.endsWith('.localhost') && !isPrivateAddress(host);
+  } catch {
+    return false;
+  }
+}
 
-    const id = uuidv4();
-    const stmt = db.prepare('INSERT OR IGNORE INTO subscribers (id, email, source) VALUES (?, ?, ?)');
-    stmt.run(id, email.toLowerCase().trim(), source || 'website');
+// Subscribe a URL — the signing secret is only returned here
+app.post('/api/admin/clients/:id/webhooks', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const client = db.prepare('SELECT id FROM clients WHERE id = ?').get(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
 
-    // Send internal notification
-    await sendEmail(
-      process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
-      `[LeadFlow24] New subscriber: ${email}`,
-      getEmailTemplate('internal_notification', {
-        type: 'New Subscriber',
-        summary: email,
-        details: { email, source, timestamp: new Date().toISOString() }
-      }).html
-    );
+    const { url } = req.body;
+    if (!isWebhookUrl(url)) return res.status(400).json({ error: 'url must be a public https:// URL' });
+    const { events, error } = parseWebhookEvents(req.body.events);
+    if (error) return res.status(400).json({ error });
 
-    res.json({ success: true, message: 'Subscribed successfully' });
+    const id = uuidv4();
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    db.prepare('INSERT INTO webhook_subscriptions (id, client_id, url, events, secret) VALUES (?, ?, ?, ?, ?)')
+      .run(id, client.id, url, JSON.stringify(events), secret);
+
+    res.json({ success: true, id, url, events, secret });
   } catch (err) {
-    console.error('Subscribe error:', err);
-    res.status(500).json({ error: 'Subscription failed' });
+    console.error('Webhook subscription error:', err);
+    res.status(500).json({ error: 'Could not create webhook' });
   }
 });
 
+// Change a subscription's URL, events or active flag
+app.patch('/api/admin/webhooks/:id', requireRole(WRITE_ROLES), (req, res) => {
+  const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
+  if (!subscription) return res.status(404).json({ error: 'Webhook not found' });
 
-// ─── TRIAL SIGNUP ───
-app.post('/api/trial-signup', async (req, res) => {
-  try {
-    const { firstName, lastName, businessName, email, phone, industry, city, source } = req.body;
+  const updates = {};
+  if (req.body.url !== undefined) {
+    if (!isWebhookUrl(req.body.url)) return res.status(400).json({ error: 'url must be a public https:// URL' });
+    updates.url = req.body.url;
+  }
+  if (req.body.events !== undefined) {
+    const { events, error } = parseWebhookEvents(req.body.events);
+    if (error) return res.status(400).json({ error });
+    updates.events = JSON.stringify(events);
+  }
+  if (req.body.active !== undefined) updates.active = req.body.active ? 1 : 0;
+  if (!Object.keys(updates).length) return res.status(400).json({ error: 'No editable fields provided' });
 
-    if (!firstName || !email || !phone) {
-      return res.status(400).json({ error: 'First name, email, and phone required' });
-    }
+  const sets = Object.keys(updates).map(k => `${k} = ?`).join(', ');
+  db.prepare(`UPDATE webhook_subscriptions SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...Object.values(updates), subscription.id);
+  res.json({ success: true });
+});
 
-    const id = uuidv4();
-    const stmt = db.prepare(`
-      INSERT INTO trial_signups (id, first_name, last_name, business_name, email, phone, industry, city, source, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'new')
-    `);
-    stmt.run(id, firstName, lastName, businessName, email.toLowerCase().trim(), phone, industry, city, source || 'free_trial_page');
+app.delete('/api/admin/webhooks/:id', requireRole(WRITE_ROLES), (req, res) => {
+  const subscription = db.prepare('SELECT id FROM webhook_subscriptions WHERE id = ?').get(req.params.id);
+  if (!subscription) return res.status(404).json({ error: 'Webhook not found' });
 
-    // Also add as subscriber
-    db.prepare('INSERT OR IGNORE INTO subscribers (id, email, source) VALUES (?, ?, ?)').run(
-      uuidv4(), email.toLowerCase().trim(), 'trial_signup'
-    );
+  // Keep the delivery log; pending deliveries are cancelled when they next run
+  db.prepare('UPDATE webhook_subscriptions SET active = 0, deleted_at = CURRENT_TIMESTAMP WHERE id = ?').run(subscription.id);
+  res.json({ success: true });
+});
 
-    // Send welcome email to prospect
-    const welcomeEmail = getEmailTemplate('trial_welcome', { firstName });
-    if (welcomeEmail) {
-      await sendEmail(email, welcomeEmail.subject, welcomeEmail.html);
-    }
+// Send a webhook.test event to one subscription
+app.post('/api/admin/webhooks/:id/test', requireRole(WRITE_ROLES), (req, res) => {
+  const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
+  if (!subscription) return res.status(404).json({ error: 'Webhook not found' });
 
-    // Send internal notification
-    await sendEmail(
-      process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
-      `🚀 NEW TRIAL SIGNUP: ${businessName} (${industry}) — ${city}`,
-      getEmailTemplate('internal_notification', {
-        type: 'Trial Signup',
-        summary: `${firstName} ${lastName} — ${businessName}`,
-        details: { firstName, lastName, businessName, email, phone, industry, city, source, timestamp: new Date().toISOString() }
-      }).html
-    );
+  const envelope = {
+    id: uuidv4(),
+    type: 'webhook.test',
+    created_at: new Date().toISOString(),
+    client_id: subscription.client_id,
+    data: { message: 'Test event from LeadFlow24' },
+  };
+  const deliveryId = queueWebhookDelivery(subscription, 'webhook.test', envelope);
+  processJobs();
 
-    res.json({ success: true, id, message: 'Trial signup successful' });
-  } catch (err) {
-    if (err.message.includes('UNIQUE')) {
-      return res.status(409).json({ error: 'Email already registered for a trial' });
-    }
-    console.error('Trial signup error:', err);
-    res.status(500).json({ error: 'Signup failed' });
-  }
+  res.json({ success: true, deliveryId });
 });
 
+// Delivery log for a subscription (?status=failed etc.)
+app.get('/api/admin/webhooks/:id/deliveries', requireRole(READ_ROLES), (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  let query = 'SELECT * FROM webhook_deliveries WHERE subscription_id = ?';
+  const params = [req.params.id];
+  if (status) { query += ' AND status = ?'; params.push(status); }
+  query += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(limit);
 
-// ─── LEAD CAPTURE (from landing pages) ───
-app.post('/api/leads', async (req, res) => {
-  try {
-    const { name, email, phone, service_needed, address, city, postal_code, message, source, utm_source, utm_medium, utm_campaign, capture_page } = req.body;
+  const deliveries = db.prepare(query).all(...params).map(d => ({ ...d, payload: JSON.parse(d.payload) }));
+  res.json({ deliveries });
+});
 
-    if (!name || !phone) {
-      return res.status(400).json({ error: 'Name and phone required' });
-    }
+// Send a delivery again (same event id and payload, new delivery id)
+app.post('/api/admin/webhook-deliveries/:id/redeliver', requireRole(WRITE_ROLES), (req, res) => {
+  const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(req.params.id);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+  const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ? AND deleted_at IS NULL').get(delivery.subscription_id);
+  if (!subscription) return res.status(404).json({ error: 'Webhook not found' });
 
-    // Find the client associated with this capture page
-    let clientId = null;
-    if (capture_page) {
-      const page = db.prepare('SELECT client_id FROM capture_pages WHERE slug = ?').get(capture_page);
-      if (page) clientId = page.client_id;
-    }
+  const deliveryId = queueWebhookDelivery(subscription, delivery.event, JSON.parse(delivery.payload));
+  res.json({ success: true, deliveryId });
+});
 
-    const id = uuidv4();
-    const stmt = db.prepare(`
-      INSERT INTO leads (id, client_id, capture_page, name, email, phone, service_needed, address, city, postal_code, message, source, utm_source, utm_medium, utm_campaign, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'new')
-    `);
-    stmt.run(id, clientId, capture_page, name, email, phone, service_needed, address, city, postal_code, message, source || 'facebook', utm_source, utm_medium, utm_campaign);
+// Get dashboard overview (admin)
+app.get('/api/admin/overview', requireRole(READ_ROLES), (req, res) => {
+  const totalSubscribers = db.prepare("SELECT COUNT(*) as count FROM subscribers WHERE status != 'quarantined'").get().count;
+  const totalTrials = db.prepare("SELECT COUNT(*) as count FROM trial_signups WHERE status != 'quarantined'").get().count;
+  const activeTrials = db.prepare(`SELECT COUNT(*) as count FROM trial_signups WHERE status IN (${OPEN_TRIAL_STATUSES.map(() => '?').join(', ')})`).get(...OPEN_TRIAL_STATUSES).count;
+  const totalClients = db.prepare('SELECT COUNT(*) as count FROM clients').get().count;
+  const totalLeads = db.prepare("SELECT COUNT(*) as count FROM leads WHERE status != 'quarantined'").get().count;
+  const totalRevenue = db.prepare('SELECT SUM(job_value) as total FROM leads WHERE job_value IS NOT NULL').get().total || 0;
+  const todayLeads = db.prepare("SELECT COUNT(*) as count FROM leads WHERE status != 'quarantined' AND date(created_at) = date('now')").get().count;
+  const creditedLeads = db.prepare('SELECT COUNT(*) as count FROM leads WHERE credited_at IS NOT NULL').get().count;
+  const waitlistedLeads = db.prepare("SELECT COUNT(*) as count FROM leads WHERE status = 'waitlisted'").get().count;
+  const pendingDisputes = db.prepare("SELECT COUNT(*) as count FROM lead_disputes WHERE status = 'pending'").get().count;
+  const quarantined = ['leads', 'trial_signups', 'subscribers'].reduce((sum, table) =>
+    sum + db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE status = 'quarantined'`).get().count, 0);
 
-    // Update capture page stats
-    if (capture_page) {
-      db.prepare('UPDATE capture_pages SET submissions = submissions + 1 WHERE slug = ?').run(capture_page);
-    }
+  res.json({
+    subscribers: totalSubscribers,
+    trials: { total: totalTrials, active: activeTrials },
+    clients: totalClients,
+    leads: { total: totalLeads, today: todayLeads, credited: creditedLeads, waitlisted: waitlistedLeads },
+    pendingDisputes,
+    revenue: totalRevenue,
+    quarantined,
+  });
+});
 
-    // Log activity
-    db.prepare('INSERT INTO lead_activity (id, lead_id, action, details) VALUES (?, ?, ?, ?)').run(
-      uuidv4(), id, 'created', JSON.stringify({ source, capture_page })
-    );
 
-    // Notify client if assigned
-    if (clientId) {
-      const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(clientId);
-      if (client) {
-        const leadEmail = getEmailTemplate('new_lead_notification', {
-          leadName: name,
-          phone,
-          serviceNeeded: service_needed || 'Service request',
-          city: city || 'Local area',
-          message
-        });
-        await sendEmail(client.email, leadEmail.subject, leadEmail.html);
-      }
+// List operator accounts
+app.get('/api/admin/users', requireRole(['owner']), (req, res) => {
+  const users = db.prepare('SELECT id, email, name, role, status, last_login_at, created_at FROM users ORDER BY created_at').all();
+  res.json({ users });
+});
+
+// Create an operator account
+app.post('/api/admin/users', requireRole(['owner']), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+    if (![email, name, password].every(value => typeof value === 'string' && value)) {
+      return res.status(400).json({ error: 'Email, name, and password required' });
     }
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    if (password.length < 10) return res.status(400).json({ error: 'Password must be at least 10 characters' });
 
-    // Always notify operator
-    await sendEmail(
-      process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
-      `⚡ NEW LEAD: ${name} — ${service_needed || 'Service request'} (${capture_page || 'direct'})`,
-      getEmailTemplate('internal_notification', {
-        type: 'New Lead',
-        summary: `${name} — ${phone}`,
-        details: { id, name, email, phone, service_needed, city, capture_page, source, timestamp: new Date().toISOString() }
-      }).html
+    const id = uuidv4();
+    db.prepare('INSERT INTO users (id, email, name, password_hash, role) VALUES (?, ?, ?, ?, ?)').run(
+      id, email.toLowerCase().trim(), name, await bcrypt.hash(password, 12), role
     );
 
-    res.json({ success: true, id, message: 'Lead captured successfully' });
+    res.json({ success: true, id });
   } catch (err) {
-    console.error('Lead capture error:', err);
-    res.status(500).json({ error: 'Lead capture failed' });
+    if (err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'A user with that email already exists' });
+    }
+    console.error('User creation error:', err);
+    res.status(500).json({ error: 'User creation failed' });
   }
 });
 
-
-// ─── LEAD STATUS UPDATE ───
-app.patch('/api/leads/:id', (req, res) => {
+// Update an operator's role, status, name or password
+app.patch('/api/admin/users/:id', requireRole(['owner']), async (req, res) => {
   try {
-    const { status, notes, job_value, contacted_at, booked_at } = req.body;
-    const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(req.params.id);
-    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+    const { name, role, status, password } = req.body;
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (status !== undefined && !['active', 'disabled'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be active or disabled' });
+    }
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({ error: 'Name must be text' });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < 10)) {
+      return res.status(400).json({ error: 'Password must be at least 10 characters' });
+    }
+    if (user.id === req.user.id && ((role && role !== 'owner') || status === 'disabled')) {
+      return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+    }
 
     const updates = [];
     const values = [];
 
+    if (name) { updates.push('name = ?'); values.push(name); }
+    if (role) { updates.push('role = ?'); values.push(role); }
     if (status) { updates.push('status = ?'); values.push(status); }
-    if (notes !== undefined) { updates.push('notes = ?'); values.push(notes); }
-    if (job_value !== undefined) { updates.push('job_value = ?'); values.push(job_value); }
-    if (contacted_at) { updates.push('contacted_at = ?'); values.push(contacted_at); }
-    if (booked_at) { updates.push('booked_at = ?'); values.push(booked_at); }
+    if (password) { updates.push('password_hash = ?'); values.push(await bcrypt.hash(password, 12)); }
     updates.push('updated_at = CURRENT_TIMESTAMP');
 
-    db.prepare(`UPDATE leads SET ${updates.join(', ')} WHERE id = ?`).run(...values, req.params.id);
+    db.prepare(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`).run(...values, user.id);
 
-    // Log activity
-    db.prepare('INSERT INTO lead_activity (id, lead_id, action, details) VALUES (?, ?, ?, ?)').run(
-      uuidv4(), req.params.id, 'status_updated', JSON.stringify({ status, notes, job_value })
-    );
+    // Force a fresh login after a password change or when disabling the account
+    if (password || status === 'disabled') {
+      db.prepare('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL').run(user.id);
+    }
 
-    res.json({ success: true, message: 'Lead updated' });
+    res.json({ success: true, message: 'User updated' });
   } catch (err) {
-    console.error('Lead update error:', err);
+    console.error('User update error:', err);
     res.status(500).json({ error: 'Update failed' });
   }
 });
 
 
-// ─── DASHBOARD API ───
-
-// Get dashboard stats for a client
-app.get('/api/dashboard/:token', (req, res) => {
+// Set how and when a client gets new-lead alerts
+app.put('/api/admin/clients/:id/notifications', requireRole(WRITE_ROLES), (req, res) => {
   try {
-    const client = db.prepare('SELECT * FROM clients WHERE dashboard_token = ?').get(req.params.token);
-    if (!client) return res.status(404).json({ error: 'Dashboard not found' });
-
-    const leads = db.prepare('SELECT * FROM leads WHERE client_id = ? ORDER BY created_at DESC').all(client.id);
-    const totalLeads = leads.length;
-    const newLeads = leads.filter(l => l.status === 'new').length;
-    const contactedLeads = leads.filter(l => l.status === 'contacted').length;
-    const bookedLeads = leads.filter(l => l.status === 'booked').length;
-    const totalRevenue = leads.reduce((sum, l) => sum + (l.job_value || 0), 0);
-    const closeRate = totalLeads > 0 ? ((bookedLeads / totalLeads) * 100).toFixed(1) : 0;
+    const { channels, phone, quiet_hours_start, quiet_hours_end, timezone } = req.body;
+    const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
 
-    // Weekly breakdown
-    const now = new Date();
-    const weeklyLeads = [];
-    for (let i = 3; i >= 0; i--) {
-      const weekStart = new Date(now);
-      weekStart.setDate(weekStart.getDate() - (i * 7));
-      const weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekEnd.getDate() + 7);
-      const count = leads.filter(l => {
-        const d = new Date(l.created_at);
-        return d >= weekStart && d < weekEnd;
-      }).length;
-      weeklyLeads.push({ week: `W${4 - i}`, count });
+    if (!Array.isArray(channels) || !channels.length || channels.some(c => !NOTIFICATION_CHANNELS.includes(c))) {
+      return res.status(400).json({ error: `Channels must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}` });
+    }
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if ((quiet_hours_start || quiet_hours_end) && !(timePattern.test(quiet_hours_start) && timePattern.test(quiet_hours_end))) {
+      return res.status(400).json({ error: 'Quiet hours need both start and end as HH:MM' });
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Unknown timezone' });
     }
 
-    res.json({
-      client: {
-        businessName: client.business_name,
-        plan: client.plan,
-        industry: client.industry,
-        city: client.city,
-      },
-      stats: {
-        totalLeads,
-        newLeads,
-        contactedLeads,
-        bookedLeads,
-        totalRevenue,
-        closeRate,
-        costPerLead: totalLeads > 0 ? (client.plan_price / totalLeads).toFixed(0) : 0,
-      },
-      weeklyLeads,
-      recentLeads: leads.slice(0, 20).map(l => ({
-        id: l.id,
-        name: l.name,
-        phone: l.phone,
-        serviceNeeded: l.service_needed,
-        city: l.city,
-        status: l.status,
-        jobValue: l.job_value,
-        createdAt: l.created_at,
-      })),
-    });
+    db.prepare(`
+      UPDATE clients SET notify_channels = ?, notify_phone = ?, quiet_hours_start = ?, quiet_hours_end = ?,
+      timezone = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      [...new Set(channels)].join(','), phone || null, quiet_hours_start || null, quiet_hours_end || null,
+      timezone || client.timezone || 'America/Edmonton', client.id
+    );
+
+    res.json({ success: true, message: 'Notification settings updated' });
   } catch (err) {
-    console.error('Dashboard error:', err);
-    res.status(500).json({ error: 'Dashboard load failed' });
+    console.error('Notification settings error:', err);
+    res.status(500).json({ error: 'Update failed' });
   }
 });
 
+// A client's booking hours, slot length and blackout dates
+app.get('/api/admin/clients/:id/availability', requireRole(READ_ROLES), (req, res) => {
+  const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(req.params.id);
+  if (!client) return res.status(404).json({ error: 'Client not found' });
+  res.json(clientAvailability(client));
+});
 
-// ─── ADMIN API ───
+app.put('/api/admin/clients/:id/availability', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
 
-// List all trial signups
-app.get('/api/admin/trials', (req, res) => {
-  const trials = db.prepare('SELECT * FROM trial_signups ORDER BY created_at DESC').all();
-  res.json({ trials });
+    const parsed = parseAvailability(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    saveAvailability(client, parsed);
+    res.json({ success: true, availability: clientAvailability(db.prepare('SELECT * FROM clients WHERE id = ?').get(client.id)) });
+  } catch (err) {
+    console.error('Availability update error:', err);
+    res.status(500).json({ error: 'Could not save availability' });
+  }
 });
 
-// List all subscribers
-app.get('/api/admin/subscribers', (req, res) => {
-  const subscribers = db.prepare('SELECT * FROM subscribers ORDER BY created_at DESC').all();
-  res.json({ subscribers, total: subscribers.length });
+// Upcoming appointments across clients, or ?from=/?to= (YYYY-MM-DD)
+app.get('/api/admin/appointments', requireRole(READ_ROLES), (req, res) => {
+  const { client_id, status, from, to } = req.query;
+  const rangeError = dateRangeError(from, to);
+  if (rangeError) return res.status(400).json({ error: rangeError });
+  res.json({ appointments: listAppointments({ clientId: client_id, status, from, to }) });
+});
+
+app.post('/api/admin/appointments/:id/cancel', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const appointment = db.prepare("SELECT * FROM appointments WHERE id = ? AND status = 'booked'").get(req.params.id);
+    if (!appointment) return res.status(404).json({ error: 'Appointment not found' });
+    res.json({ success: true, appointment: toAppointment(cancelAppointment(appointment, { reason: req.body.reason, actor: req.user.id })) });
+  } catch (err) {
+    console.error('Appointment cancel error:', err);
+    res.status(500).json({ error: 'Could not cancel appointment' });
+  }
 });
 
-// List all leads with optional filters
-app.get('/api/admin/leads', (req, res) => {
-  const { client_id, status, limit } = req.query;
-  let query = 'SELECT * FROM leads';
+// Notification attempts, newest first
+app.get('/api/admin/notifications', requireRole(READ_ROLES), (req, res) => {
+  const { client_id, lead_id, channel, status } = req.query;
   const conditions = [];
   const values = [];
 
   if (client_id) { conditions.push('client_id = ?'); values.push(client_id); }
+  if (lead_id) { conditions.push('lead_id = ?'); values.push(lead_id); }
+  if (channel) { conditions.push('channel = ?'); values.push(channel); }
   if (status) { conditions.push('status = ?'); values.push(status); }
+
+  let query = 'SELECT * FROM notification_log';
   if (conditions.length) query += ' WHERE ' + conditions.join(' AND ');
-  query += ' ORDER BY created_at DESC';
-  if (limit) query += ` LIMIT ${parseInt(limit)}`;
+  query += ' ORDER BY created_at DESC LIMIT 500';
 
-  const leads = db.prepare(query).all(...values);
-  res.json({ leads, total: leads.length });
+  res.json({ notifications: db.prepare(query).all(...values) });
 });
 
-// List all clients
-app.get('/api/admin/clients', (req, res) => {
-  const clients = db.prepare('SELECT * FROM clients ORDER BY created_at DESC').all();
-  res.json({ clients });
+// Background jobs — filter by status (queued, running, failed, dead, completed) and type
+app.get('/api/admin/jobs', requireRole(READ_ROLES), (req, res) => {
+  const { status, type, limit } = req.query;
+  const conditions = [];
+  const values = [];
+
+  if (status) { conditions.push('status = ?'); values.push(status); }
+  if (type) { conditions.push('type = ?'); values.push(type); }
+
+  let query = 'SELECT * FROM jobs';
+  if (conditions.length) query += ' WHERE ' + conditions.join(' AND ');
+  query += ' ORDER BY created_at DESC LIMIT ?';
+  values.push(Math.min(parseInt(limit) || 100, 1000));
+
+  const jobs = db.prepare(query).all(...values).map(job => ({ ...job, payload: JSON.parse(job.payload) }));
+  const counts = db.prepare('SELECT status, COUNT(*) as count FROM jobs GROUP BY status').all()
+    .reduce((acc, row) => ({ ...acc, [row.status]: row.count }), {});
+
+  res.json({ jobs, counts });
 });
 
-// Create a new client (from trial conversion or manual)
-app.post('/api/admin/clients', (req, res) => {
-  try {
-    const { trial_id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan, plan_price } = req.body;
+// Put a failed or dead job back on the queue with a fresh set of attempts
+app.post('/api/admin/jobs/:id/retry', requireRole(WRITE_ROLES), (req, res) => {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (!['failed', 'dead'].includes(job.status)) {
+    return res.status(400).json({ error: `Only failed or dead jobs can be retried (job is ${job.status})` });
+  }
 
-    const id = uuidv4();
-    const dashboardToken = uuidv4().replace(/-/g, '').substring(0, 24);
+  db.prepare(`
+    UPDATE jobs SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(job.id);
 
-    db.prepare(`
-      INSERT INTO clients (id, trial_id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan, plan_price, dashboard_token, onboarded_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `).run(id, trial_id, business_name, contact_name, email, phone, industry, city, service_area, services_offered, avg_job_value, plan || 'starter', plan_price || 397, dashboardToken);
+  res.json({ success: true, message: 'Job queued for retry' });
+});
 
-    // Update trial status if converting
-    if (trial_id) {
-      db.prepare('UPDATE trial_signups SET status = ? WHERE id = ?').run('converted', trial_id);
-    }
+// Preview a client's weekly report. ?week= is any date in the week (defaults
+// to last week); ?format=html returns the email itself.
+app.get('/api/admin/clients/:id/weekly-report', requireRole(READ_ROLES), (req, res) => {
+  try {
+    const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
 
-    res.json({
-      success: true,
-      client: { id, dashboardToken },
-      dashboardUrl: `${process.env.BASE_URL || 'https://leadflow24.com'}/dashboard?token=${dashboardToken}`
-    });
+    const { week, format } = req.query;
+    if (week && !isCalendarDate(week)) return res.status(400).json({ error: 'week must be YYYY-MM-DD' });
+
+    const timeZone = client.timezone || 'America/Edmonton';
+    const weekStart = week ? mondayOf(week) : addDays(mondayOf(localDateString(new Date(), timeZone)), -7);
+    const report = buildWeeklyReport(client, weekStart);
+    if (format === 'html') return res.type('html').send(report.html);
+
+    const sent = db.prepare('SELECT * FROM weekly_reports WHERE client_id = ? AND week_start = ?').get(client.id, weekStart);
+    res.json({ ...report, sent: sent || null });
   } catch (err) {
-    console.error('Client creation error:', err);
-    res.status(500).json({ error: 'Client creation failed' });
+    console.error('Weekly report preview error:', err);
+    res.status(500).json({ error: 'Report preview failed' });
   }
 });
 
-// Create a capture page for a client
-app.post('/api/admin/capture-pages', (req, res) => {
+// Send (or resend) a client's weekly report
+app.post('/api/admin/clients/:id/weekly-report/send', requireRole(WRITE_ROLES), (req, res) => {
   try {
-    const { client_id, slug, title, industry, city } = req.body;
-    const id = uuidv4();
+    const client = db.prepare('SELECT * FROM clients WHERE id = ?').get(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
 
-    db.prepare(`
-      INSERT INTO capture_pages (id, client_id, slug, title, industry, city)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(id, client_id, slug, title, industry, city);
+    const { week } = req.body;
+    if (week && !isCalendarDate(week)) return res.status(400).json({ error: 'week must be YYYY-MM-DD' });
 
-    res.json({ success: true, id, url: `${process.env.BASE_URL || 'https://leadflow24.com'}/quote/${slug}` });
+    const timeZone = client.timezone || 'America/Edmonton';
+    const weekStart = week ? mondayOf(week) : addDays(mondayOf(localDateString(new Date(), timeZone)), -7);
+    const report = sendWeeklyReport(client, weekStart, { resend: true });
+
+    res.json({ success: true, weekStart, stats: report.stats, jobId: report.jobId });
   } catch (err) {
-    console.error('Capture page creation error:', err);
-    res.status(500).json({ error: 'Creation failed' });
+    console.error('Weekly report send error:', err);
+    res.status(500).json({ error: 'Report send failed' });
   }
 });
 
-// Track capture page view
-app.post('/api/capture-pages/:slug/view', (req, res) => {
-  db.prepare('UPDATE capture_pages SET views = views + 1 WHERE slug = ?').run(req.params.slug);
-  res.json({ success: true });
+// List Facebook page/form → capture page mappings
+app.get('/api/admin/facebook-forms', requireRole(READ_ROLES), (req, res) => {
+  const mappings = db.prepare('SELECT * FROM facebook_form_mappings ORDER BY created_at DESC').all();
+  res.json({ mappings });
 });
 
-// Get dashboard overview (admin)
-app.get('/api/admin/overview', (req, res) => {
-  const totalSubscribers = db.prepare('SELECT COUNT(*) as count FROM subscribers').get().count;
-  const totalTrials = db.prepare('SELECT COUNT(*) as count FROM trial_signups').get().count;
-  const activeTrials = db.prepare("SELECT COUNT(*) as count FROM trial_signups WHERE status = 'new' OR status = 'active'").get().count;
-  const totalClients = db.prepare('SELECT COUNT(*) as count FROM clients').get().count;
-  const totalLeads = db.prepare('SELECT COUNT(*) as count FROM leads').get().count;
-  const totalRevenue = db.prepare('SELECT SUM(job_value) as total FROM leads WHERE job_value IS NOT NULL').get().total || 0;
-  const todayLeads = db.prepare("SELECT COUNT(*) as count FROM leads WHERE date(created_at) = date('now')").get().count;
+// Route a Facebook page (or one lead form on it) to a capture page
+app.post('/api/admin/facebook-forms', requireRole(WRITE_ROLES), (req, res) => {
+  try {
+    const { page_id, form_id, capture_page } = req.body;
+    if (!page_id || !capture_page) return res.status(400).json({ error: 'page_id and capture_page required' });
 
-  res.json({
-    subscribers: totalSubscribers,
-    trials: { total: totalTrials, active: activeTrials },
-    clients: totalClients,
-    leads: { total: totalLeads, today: todayLeads },
-    revenue: totalRevenue,
-  });
+    const page = db.prepare('SELECT id FROM capture_pages WHERE slug = ?').get(capture_page);
+    if (!page) return res.status(404).json({ error: 'Capture page not found' });
+
+    const existing = db.prepare('SELECT id FROM facebook_form_mappings WHERE page_id = ? AND form_id IS ?').get(
+      String(page_id), form_id ? String(form_id) : null
+    );
+    if (existing) return res.status(409).json({ error: 'That page/form is already mapped', id: existing.id });
+
+    const id = uuidv4();
+    db.prepare('INSERT INTO facebook_form_mappings (id, page_id, form_id, capture_page) VALUES (?, ?, ?, ?)').run(
+      id, String(page_id), form_id ? String(form_id) : null, capture_page
+    );
+
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Facebook mapping error:', err);
+    res.status(500).json({ error: 'Mapping creation failed' });
+  }
+});
+
+// Remove a Facebook form mapping
+app.delete('/api/admin/facebook-forms/:id', requireRole(WRITE_ROLES), (req, res) => {
+  const result = db.prepare('DELETE FROM facebook_form_mappings WHERE id = ?').run(req.params.id);
+  if (!result.changes) return res.status(404).json({ error: 'Mapping not found' });
+  res.json({ success: true });
 });
 
 
@@ -697,19 +6554,30 @@ app.get('/api/admin/overview', (req, res) => {
 
 // Facebook Lead Ads webhook
 app.post('/api/webhooks/facebook', async (req, res) => {
-  try {
-    const { entry } = req.body;
-    if (!entry) return res.status(400).json({ error: 'Invalid webhook data' });
+  if (!verifyFacebookSignature(req)) {
+    console.warn('Invalid Facebook webhook signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const { entry } = req.body;
+  if (!Array.isArray(entry)) return res.status(400).json({ error: 'Invalid webhook data' });
 
+  try {
+    let failed = 0;
     for (const e of entry) {
-      for (const change of (e.changes || [])) {
-        if (change.field === 'leadgen') {
-          const leadData = change.value;
-          // Process Facebook lead — you'd normally fetch full details from FB API here
-          console.log('Facebook lead webhook:', leadData);
+      for (const change of (Array.isArray(e?.changes) ? e.changes : [])) {
+        if (change?.field !== 'leadgen') continue;
+        try {
+          await ingestFacebookLead(change.value);
+        } catch (err) {
+          failed++;
+          console.error(`Facebook lead ${change.value?.leadgen_id} failed:`, err.message);
         }
       }
     }
+
+    // A non-200 makes Facebook redeliver; already-ingested leads are skipped by external_id
+    if (failed) return res.status(500).json({ error: 'Webhook processing failed', failed });
     res.json({ success: true });
   } catch (err) {
     console.error('Facebook webhook error:', err);
@@ -730,20 +6598,54 @@ app.get('/api/webhooks/facebook', (req, res) => {
   }
 });
 
+// Voice alert keypress (Twilio <Gather> callback) — press 1 bridges the contractor to the homeowner
+app.post('/api/voice/leads/:id/connect', (req, res) => {
+  if (!verifyTwilioSignature(req)) return res.status(403).send('Invalid signature');
+
+  const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(req.params.id);
+  res.type('text/xml');
+
+  if (!lead || req.body.Digits !== '1') {
+    return res.send('<Response><Say>Okay. The lead details are in your email. Goodbye.</Say></Response>');
+  }
+
+  logLeadActivity(lead.id, 'voice_bridge_connected', { call_sid: req.body.CallSid });
+  res.send(
+    `<Response><Say>Connecting you to ${escapeXml(lead.name)} now.</Say>` +
+    `<Dial callerId="${escapeXml(process.env.TWILIO_FROM_NUMBER)}">${escapeXml(toE164(lead.phone))}</Dial></Response>`
+  );
+});
+
+// Zaps send ZAPIER_WEBHOOK_SECRET in X-Zapier-Secret; nothing gets in until it's set
+function verifyZapierSecret(req) {
+  const secret = process.env.ZAPIER_WEBHOOK_SECRET;
+  const provided = req.headers['x-zapier-secret'];
+  if (!secret || !provided) return false;
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(provided);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
 // Zapier webhook (for integrations)
-app.post('/api/webhooks/zapier', async (req, res) => {
+app.post('/api/webhooks/zapier', formRateLimit, (req, res) => {
+  if (!verifyZapierSecret(req)) return res.status(401).json({ error: 'Invalid Zapier secret' });
   try {
     const data = req.body;
-    console.log('Zapier webhook received:', data);
 
     // Process based on event type
     if (data.event === 'new_lead') {
-      // Forward to lead capture
-      const response = await fetch(`http://localhost:${PORT}/api/leads`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data.lead),
-      });
+      // Same validation as the landing page form, then straight into createLead
+      const body = data.lead && typeof data.lead === 'object' ? data.lead : {};
+      const { errors, lead, customFields } = validateFormSubmission(API_FORM_SCHEMA, body);
+      if (Object.keys(errors).length) {
+        return res.status(400).json({ error: Object.values(errors)[0], fields: errors });
+      }
+      const { source, utm_source, utm_medium, utm_campaign, capture_page, industry } = body;
+      const spamReasons = spamSignals(body, { phone: lead.phone, email: lead.email });
+      const { id, duplicate } = createLead({
+        ...lead, custom_fields: customFields, source: source || 'zapier', utm_source, utm_medium, utm_campaign, capture_page, industry,
+      }, { spamReasons });
+      return res.json({ success: true, received: true, id, duplicate });
     }
 
     res.json({ success: true, received: true });
@@ -753,121 +6655,16 @@ app.post('/api/webhooks/zapier', async (req, res) => {
   }
 });
 
-// Whop webhook (payment & membership events)
-app.post('/api/webhooks/whop', express.json(), async (req, res) => {
-  try {
-    const { action, data } = req.body;
-    console.log(`Whop webhook: ${action}`);
-
-    // Verify webhook secret if configured
-    const whopSecret = process.env.WHOP_WEBHOOK_SECRET;
-    if (whopSecret && req.headers['whop-signature'] !== whopSecret) {
-      console.warn('Invalid Whop webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-
-    switch (action) {
-      case 'payment.succeeded': {
-        const email = data.user?.email;
-        const planId = data.plan?.id;
-        const amount = data.plan?.initial_price || data.plan?.renewal_price;
-        console.log(`Payment succeeded: ${email}, plan: ${planId}, amount: $${amount}`);
-
-        // Update client status if they exist
-        if (email) {
-          db.prepare(`
-            UPDATE clients SET status = 'active', 
-            whop_membership_id = ?, whop_user_id = ?,
-            updated_at = CURRENT_TIMESTAMP 
-            WHERE email = ?
-          `).run(data.membership || null, data.user?.id || null, email);
-        }
-
-        // Send notification
-        await sendEmail(
-          process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
-          `💰 New Payment: $${amount} from ${email}`,
-          `<h2>Payment Received!</h2>
-           <p><strong>Customer:</strong> ${data.user?.username || email}</p>
-           <p><strong>Email:</strong> ${email}</p>
-           <p><strong>Amount:</strong> $${amount}</p>
-           <p><strong>Plan:</strong> ${data.plan?.plan_type || 'N/A'}</p>
-           <p><strong>Membership:</strong> ${data.membership || 'N/A'}</p>`
-        );
-        break;
-      }
-
-      case 'membership.went_valid': {
-        const email = data.user?.email;
-        console.log(`Membership valid: ${email}`);
-        if (email) {
-          db.prepare(`
-            UPDATE clients SET status = 'active',
-            whop_membership_id = ?, whop_user_id = ?,
-            updated_at = CURRENT_TIMESTAMP 
-            WHERE email = ?
-          `).run(data.id || null, data.user?.id || null, email);
-        }
-        break;
-      }
-
-      case 'membership.went_invalid': {
-        const email = data.user?.email;
-        console.log(`Membership invalid: ${email}`);
-        if (email) {
-          db.prepare(`
-            UPDATE clients SET status = 'churned', updated_at = CURRENT_TIMESTAMP WHERE email = ?
-          `).run(email);
-        }
-
-        await sendEmail(
-          process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
-          `⚠️ Membership Cancelled: ${email}`,
-          `<h2>Client Membership Ended</h2>
-           <p><strong>Email:</strong> ${email}</p>
-           <p><strong>Membership:</strong> ${data.id || 'N/A'}</p>
-           <p>Check Whop dashboard for details.</p>`
-        );
-        break;
-      }
-
-      case 'payment.failed': {
-        const email = data.user?.email;
-        console.log(`Payment failed: ${email}`);
-        await sendEmail(
-          process.env.NOTIFICATION_EMAIL || 'luke@leadflow24.com',
-          `❌ Payment Failed: ${email}`,
-          `<h2>Payment Failed</h2>
-           <p><strong>Email:</strong> ${email}</p>
-           <p>Whop will retry automatically. Monitor in your Whop dashboard.</p>`
-        );
-        break;
-      }
-
-      default:
-        console.log(`Unhandled Whop event: ${action}`);
-    }
-
-    res.json({ received: true });
-  } catch (err) {
-    console.error('Whop webhook error:', err);
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-});
+// Billing webhooks (payments & subscriptions) — see BILLING
+app.post('/api/webhooks/whop', billingWebhook('whop'));
+app.post('/api/webhooks/stripe', billingWebhook('stripe'));
 
 
 // ─── SERVE STATIC PAGES ───
 
-// Serve capture pages dynamically
+// Serve capture pages dynamically (the page itself reports the view)
 app.get('/quote/:slug', (req, res) => {
-  const page = db.prepare('SELECT * FROM capture_pages WHERE slug = ? AND status = ?').get(req.params.slug, 'active');
-  if (!page) return res.status(404).send('Page not found');
-
-  // Increment view count
-  db.prepare('UPDATE capture_pages SET views = views + 1 WHERE slug = ?').run(req.params.slug);
-
-  // Serve the capture page template
-  res.sendFile(path.join(__dirname, 'public', 'capture-page.html'));
+  serveCapturePage(req.params.slug, req, res, () => res.status(404).send('Page not found'));
 });
 
 // Serve main pages
@@ -882,13 +6679,10 @@ app.get('/trial', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'trial.html'));
 });
 
-// Serve capture pages: /quote/:industry/:city
+// Legacy capture page URLs: /quote/:industry/:city → slug "<industry>-<city>"
 app.get('/quote/:industry/:city', (req, res) => {
-  const { industry, city } = req.params;
-  const filePath = path.join(__dirname, 'public', 'quote', industry, `${city}.html`);
-  res.sendFile(filePath, (err) => {
-    if (err) res.status(404).sendFile(path.join(__dirname, 'public', 'index.html'));
-  });
+  const slug = `${req.params.industry}-${req.params.city.replace(/\.html$/, '')}`.toLowerCase();
+  serveCapturePage(slug, req, res, () => res.status(404).sendFile(path.join(__dirname, 'public', 'index.html')));
 });
 
 // Catch-all: serve main site
@@ -900,29 +6694,110 @@ app.get('*', (req, res) => {
 
 // ─── START SERVER ───
 app.listen(PORT, () => {
+  startJobWorker();
+  startScheduler();
+
   console.log(`
   ═══════════════════════════════════════════
    LeadFlow24 API Server
    Running on port ${PORT}
-   Database: leadflow24.db
+   Database: ${DB_PATH}
   ═══════════════════════════════════════════
   
   Endpoints:
+    POST /api/auth/login         — Operator login
+    POST /api/auth/refresh       — Rotate session tokens
+    POST /api/auth/logout        — End session
+    GET  /api/auth/me            — Current operator
     POST /api/subscribe          — Email opt-in
     POST /api/trial-signup       — Free trial form
     POST /api/leads              — Lead capture
+    GET  /api/capture-pages/:slug/availability — Open booking slots
+    POST /api/leads/:id/appointment — Homeowner books a slot
+    GET  /api/unsubscribe/:leadId — Homeowner unsubscribe confirmation page
+    POST /api/unsubscribe/:leadId — Homeowner unsubscribe (button or one-click)
     PATCH /api/leads/:id         — Update lead status
     GET  /api/dashboard/:token   — Client dashboard data
+    GET  /api/dashboard/:token/leads — Client lead list (filter/search/paginate)
+    GET  /api/dashboard/:token/leads/export — Client leads as CSV/XLSX
+    GET  /api/dashboard/:token/leads/:id — Client lead + timeline
+    PATCH /api/dashboard/:token/leads/:id/status — Client status update
+    POST /api/dashboard/:token/leads/:id/notes — Client note
+    PUT  /api/dashboard/:token/leads/:id/job-value — Client job value
+    POST /api/dashboard/:token/leads/:id/dispute — Client disputes a lead
+    GET  /api/dashboard/:token/availability — Client booking hours
+    PUT  /api/dashboard/:token/availability — Set booking hours / blackouts
+    GET  /api/dashboard/:token/appointments — Client appointments
+    POST /api/dashboard/:token/appointments/:id/cancel — Client cancels
+    POST /api/dashboard/:token/rotate — Client rotates own link
     GET  /api/admin/overview     — Admin stats
     GET  /api/admin/trials       — List trial signups
+    PATCH /api/admin/trials/:id  — Assign owner / schedule follow-up
+    PATCH /api/admin/trials/:id/status — Trial lifecycle transition
     GET  /api/admin/subscribers  — List subscribers
-    GET  /api/admin/leads        — List leads
+    GET  /api/admin/leads        — Search/filter/sort leads (cursor paging)
+    GET  /api/admin/{leads,clients,subscribers}/export — CSV/XLSX download
+    POST /api/admin/{leads,clients,subscribers}/import — Bulk import (dry run, mapping)
+    GET  /api/admin/imports      — Import history
+    POST /api/admin/leads/:id/merge — Merge duplicate lead
+    GET  /api/admin/payments     — Payment history
+    POST /api/admin/clients/:id/checkout-link — Hosted checkout link for a plan
+    GET  /api/admin/reports/revenue — MRR and churn by month
+    GET  /api/admin/routing/queue — Unassigned leads waiting for a client
+    GET  /api/admin/routing/preview — Who a lead would be routed to
+    POST /api/admin/leads/:id/route — Route an unassigned lead
+    GET  /api/admin/disputes     — Lead dispute queue
+    POST /api/admin/disputes/:id/approve — Credit a disputed lead
+    POST /api/admin/disputes/:id/deny — Deny a dispute
+    GET  /api/admin/quarantine   — Suspected spam for review
+    POST /api/admin/quarantine/:kind/:id/release — Release from quarantine
+    DELETE /api/admin/quarantine/:kind/:id — Delete confirmed spam
     GET  /api/admin/clients      — List clients
     POST /api/admin/clients      — Create client
+    PATCH /api/admin/clients/:id — Update client settings
+    POST /api/admin/clients/:id/rotate-token — New dashboard link
+    GET  /api/admin/plans        — List plans
+    POST /api/admin/plans        — Add plan (owner)
+    PATCH /api/admin/plans/:id   — Update plan (owner)
+    GET  /api/admin/reports/pacing — Lead delivery pacing per client
+    GET  /api/admin/reports/attribution — CPL / cost per job / ROAS
+    GET  /api/admin/ad-spend     — Imported ad spend
+    POST /api/admin/ad-spend/import — Upload ad spend CSV
+    POST /api/admin/ad-spend/sync — Pull spend from Facebook Ads
     POST /api/admin/capture-pages — Create capture page
+    PATCH /api/admin/capture-pages/:id — Edit capture page
+    GET  /api/admin/capture-pages/:id/experiment — A/B test results
+    POST /api/admin/capture-pages/:id/variants — Add A/B variant
+    PATCH /api/admin/capture-page-variants/:id — Edit/pause variant
+    POST /api/admin/capture-page-variants/:id/promote — Promote winner
+    PUT  /api/admin/clients/:id/notifications — Client alert channels
+    GET  /api/admin/clients/:id/availability — Client booking hours
+    PUT  /api/admin/clients/:id/availability — Set booking hours / blackouts
+    GET  /api/admin/appointments — Appointments
+    POST /api/admin/appointments/:id/cancel — Cancel appointment
+    GET  /api/admin/notifications — Notification log
+    GET  /api/admin/clients/:id/weekly-report — Preview weekly report
+    POST /api/admin/clients/:id/weekly-report/send — Send/resend weekly report
+    GET  /api/admin/clients/:id/webhooks — List client webhooks
+    POST /api/admin/clients/:id/webhooks — Subscribe client webhook
+    PATCH /api/admin/webhooks/:id — Update webhook
+    DELETE /api/admin/webhooks/:id — Remove webhook
+    POST /api/admin/webhooks/:id/test — Send test event
+    GET  /api/admin/webhooks/:id/deliveries — Webhook delivery log
+    POST /api/admin/webhook-deliveries/:id/redeliver — Resend delivery
+    GET  /api/admin/jobs         — Background job queue
+    POST /api/admin/jobs/:id/retry — Retry failed/dead job
+    GET  /api/admin/facebook-forms — List FB form mappings
+    POST /api/admin/facebook-forms — Map FB page/form to capture page
+    DELETE /api/admin/facebook-forms/:id — Remove FB form mapping
+    GET  /api/admin/users        — List operators (owner)
+    POST /api/admin/users        — Create operator (owner)
+    PATCH /api/admin/users/:id   — Update operator (owner)
     POST /api/webhooks/facebook  — FB Lead Ads webhook
     POST /api/webhooks/zapier    — Zapier integration
+    POST /api/voice/leads/:id/connect — Voice alert keypress (Twilio)
     POST /api/webhooks/whop      — Whop payments & memberships
+    POST /api/webhooks/stripe    — Stripe invoices & subscriptions
   `);
 });
 
@@ -0,0 +1,104 @@
+// The admin lead list: date and value filters, search, sorting and cursor
+// paging, and the export that shares its filters
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./harness');
+
+let server;
+let client;
+
+const LEADS = [
+  // name, phone, created, job value, message
+  ['Alice Archer', '780-555-0101', '2024-01-05', '1500', 'Hail damage on the north slope'],
+  ['Bob Baker', '(780) 555-0102', '2024-01-20', '800', 'Eavestrough replacement'],
+  ['Carmen Cruz', '7805550103', '2024-02-01', '800', 'Skylight leak'],
+  ['Dmitri Dahl', '780.555.0104', '2024-02-14', '', 'Full re-roof quote'],
+  ['Élodie Éclair', '780 555 0105', '2024-02-29', '2500', 'Ice dam damage'],
+  ['Farid Faraj', '+1 780 555 0106', '2024-03-10', '800', 'Missing shingles after wind'],
+];
+
+async function listLeads(query) {
+  return server.api('GET', `/api/admin/leads?client_id=${client.id}&${query}`);
+}
+
+const names = leads => leads.map(lead => lead.name);
+
+before(async () => {
+  server = await startTestServer();
+  client = await server.createClient();
+  const csv = ['name,phone,created_at,job_value,message', ...LEADS.map(row => row.map(value => `"${value}"`).join(','))].join('\n');
+  const { body } = await server.api('POST', '/api/admin/leads/import', { csv, client_id: client.id });
+  assert.equal(body.created, LEADS.length, JSON.stringify(body.errors));
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('impossible, malformed and reversed dates are a 400 on the list and the export', async () => {
+  for (const query of ['from=2024-02-31', 'to=2023-13-01', 'from=garbage', 'from=2024-03-01&to=2024-02-01']) {
+    const list = await listLeads(query);
+    assert.equal(list.status, 400, query);
+    const exported = await server.api('GET', `/api/admin/leads/export?${query}`);
+    assert.equal(exported.status, 400, query);
+  }
+});
+
+test('from and to include both days', async () => {
+  const { status, body } = await listLeads('from=2024-01-20&to=2024-02-29&sort=created_at&order=asc');
+  assert.equal(status, 200);
+  assert.deepEqual(names(body.leads), ['Bob Baker', 'Carmen Cruz', 'Dmitri Dahl', 'Élodie Éclair']);
+  assert.equal(body.total, 4);
+});
+
+test('job value bounds', async () => {
+  const { body } = await listLeads('min_job_value=800&max_job_value=1500&sort=name');
+  assert.deepEqual(names(body.leads), ['Alice Archer', 'Bob Baker', 'Carmen Cruz', 'Farid Faraj']);
+  assert.equal((await listLeads('min_job_value=lots')).status, 400);
+});
+
+test('search matches words in any order, accents and phone numbers however they are written', async () => {
+  const search = async q => names((await listLeads(`q=${encodeURIComponent(q)}&sort=name`)).body.leads);
+  assert.deepEqual(await search('damage'), ['Alice Archer', 'Élodie Éclair']);
+  assert.deepEqual(await search('slope hail'), ['Alice Archer']);
+  assert.deepEqual(await search('elodie'), ['Élodie Éclair']);
+  assert.deepEqual(await search('shing'), ['Farid Faraj']);
+  for (const phone of ['7805550102', '780-555-0102', '(780) 555-0102', '555-0102']) {
+    assert.deepEqual(await search(phone), ['Bob Baker'], phone);
+  }
+});
+
+test('cursor paging visits every lead once, in order, through ties in the sort value', async () => {
+  for (const [sort, order] of [['job_value', 'desc'], ['job_value', 'asc'], ['name', 'asc'], ['created_at', 'desc']]) {
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const { status, body } = await listLeads(`sort=${sort}&order=${order}&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.equal(status, 200);
+      seen.push(...body.leads);
+      cursor = body.nextCursor;
+      pages++;
+    } while (cursor && pages < 10);
+
+    const { body: all } = await listLeads(`sort=${sort}&order=${order}&limit=200`);
+    assert.deepEqual(seen.map(lead => lead.id), all.leads.map(lead => lead.id), `${sort} ${order}`);
+    assert.equal(new Set(seen.map(lead => lead.id)).size, LEADS.length);
+    assert.equal(pages, 3);
+  }
+});
+
+test('a cursor only works with the sort it came from', async () => {
+  const { body } = await listLeads('sort=name&limit=2');
+  assert.equal((await listLeads(`sort=job_value&limit=2&cursor=${body.nextCursor}`)).status, 400);
+  assert.equal((await listLeads('cursor=not-a-cursor')).status, 400);
+});
+
+test('the export applies the same filters', async () => {
+  const { status, body } = await server.api('GET', `/api/admin/leads/export?client_id=${client.id}&from=2024-02-01&to=2024-02-29`);
+  assert.equal(status, 200);
+  const rows = body.trim().split('\n').slice(1);
+  assert.equal(rows.length, 3);
+  assert.ok(rows.some(row => row.includes('Carmen Cruz')));
+  assert.ok(!rows.some(row => row.includes('Farid Faraj')));
+});
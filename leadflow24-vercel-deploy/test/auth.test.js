@@ -0,0 +1,79 @@
+// Operator login and user management input checks, and the login throttles
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, ADMIN } = require('./harness');
+
+let server;
+let ipCount = 0;
+
+const nextIp = () => `198.51.100.${++ipCount}`;
+
+function login(body, ip) {
+  return server.request('POST', '/api/auth/login', { body, headers: { 'X-Forwarded-For': ip }, auth: false });
+}
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('login needs a text email and password', async () => {
+  const ip = nextIp();
+  for (const body of [{}, { email: 5, password: 'x' }, { email: ADMIN.email, password: ['x'] }, { email: { $ne: '' }, password: 'x' }]) {
+    const { status, body: response } = await login(body, ip);
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.equal(response.error, 'Email and password required');
+  }
+});
+
+test('an account is locked out after ten failed logins, even from new addresses', async () => {
+  const { status } = await server.api('POST', '/api/admin/users', { email: 'analyst@test.local', name: 'Ana', password: 'analyst-password-1', role: 'analyst' });
+  assert.equal(status, 200);
+
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await login({ email: 'analyst@test.local', password: `wrong-${i}` }, nextIp())).status, 401);
+  }
+  const locked = await login({ email: 'Analyst@Test.local', password: 'analyst-password-1' }, nextIp());
+  assert.equal(locked.status, 429);
+
+  // Other accounts are unaffected
+  assert.equal((await login(ADMIN, nextIp())).status, 200);
+});
+
+test('a successful login clears the account\'s failed attempts', async () => {
+  await server.api('POST', '/api/admin/users', { email: 'manager@test.local', name: 'Max', password: 'manager-password-1', role: 'account_manager' });
+  for (let round = 0; round < 2; round++) {
+    for (let i = 0; i < 9; i++) await login({ email: 'manager@test.local', password: 'wrong' }, nextIp());
+    assert.equal((await login({ email: 'manager@test.local', password: 'manager-password-1' }, nextIp())).status, 200);
+  }
+});
+
+test('more than twenty login attempts from one address get a 429', async () => {
+  const ip = nextIp();
+  for (let i = 0; i < 20; i++) {
+    assert.notEqual((await login({ email: `nobody${i}@test.local`, password: 'whatever' }, ip)).status, 429);
+  }
+  const { status, headers } = await login(ADMIN, ip);
+  assert.equal(status, 429);
+  assert.ok(Number(headers.get('retry-after')) > 0);
+});
+
+test('creating or updating a user needs text fields', async () => {
+  const bad = [
+    { email: 'x@test.local', name: 'X', password: 12345678901, role: 'analyst' },
+    { email: ['x@test.local'], name: 'X', password: 'long-enough-password', role: 'analyst' },
+    { email: 'x@test.local', name: { first: 'X' }, password: 'long-enough-password', role: 'analyst' },
+  ];
+  for (const body of bad) {
+    assert.equal((await server.api('POST', '/api/admin/users', body)).status, 400, JSON.stringify(body));
+  }
+
+  const { body } = await server.api('POST', '/api/admin/users', { email: 'typed@test.local', name: 'Ty', password: 'typed-password-1', role: 'analyst' });
+  for (const update of [{ password: 12345678901 }, { password: ['long-enough-password'] }, { name: 42 }]) {
+    assert.equal((await server.api('PATCH', `/api/admin/users/${body.id}`, update)).status, 400, JSON.stringify(update));
+  }
+  assert.equal((await server.api('PATCH', `/api/admin/users/${body.id}`, { password: 'a-new-password-2' })).status, 200);
+});
@@ -0,0 +1,277 @@
+// Billing webhooks end to end: the server runs as a child process on a temp
+// database, with STRIPE_API_URL pointed at a stub Stripe API in this process.
+// Run: npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { startTestServer } = require('./harness');
+
+const STRIPE_SECRET = 'whsec_stripe_test';
+const WHOP_SECRET = 'whsec_whop_test';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let stripe;
+let server;
+
+const api = (method, url, body) => server.api(method, url, body);
+
+// ─── STRIPE STUB ───
+
+// Answers Checkout Session creation and records every request
+function startStripeStub() {
+  const stub = { requests: [], fail: false };
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ method: req.method, url: req.url, headers: req.headers, body: new URLSearchParams(body) });
+      res.setHeader('Content-Type', 'application/json');
+      if (stub.fail) {
+        res.statusCode = 500;
+        return res.end(JSON.stringify({ error: { message: 'stub failure' } }));
+      }
+      if (req.method !== 'POST' || req.url !== '/v1/checkout/sessions') {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: { message: 'not found' } }));
+      }
+      const id = `cs_test_${stub.requests.length}`;
+      res.end(JSON.stringify({ id, url: `https://checkout.stripe.test/${id}` }));
+    });
+  });
+  return new Promise(resolve => stub.server.listen(0, '127.0.0.1', () => {
+    stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+    resolve(stub);
+  }));
+}
+
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const SIGNATURE_HEADERS = { stripe: 'Stripe-Signature', whop: 'X-Whop-Signature' };
+const SECRETS = { stripe: STRIPE_SECRET, whop: WHOP_SECRET };
+
+// Signs the payload as the provider would, unless a signature is given
+async function sendWebhook(provider, payload, { signature } = {}) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  const header = signature === undefined ? sign(SECRETS[provider], body) : signature;
+  if (header !== null) headers[SIGNATURE_HEADERS[provider]] = header;
+  return server.request('POST', `/api/webhooks/${provider}`, { body, headers, auth: false });
+}
+
+async function createClient() {
+  return (await server.createClient()).id;
+}
+
+async function getClient(id) {
+  const { body } = await api('GET', '/api/admin/clients');
+  return body.clients.find(client => client.id === id);
+}
+
+async function payments(clientId) {
+  return (await api('GET', `/api/admin/payments?client_id=${clientId}`)).body.payments;
+}
+
+function stripeInvoice(type, clientId, { id = `evt_${crypto.randomUUID()}`, invoiceId = `in_${crypto.randomUUID()}`, amount = 49700 } = {}) {
+  return {
+    id,
+    type,
+    data: {
+      object: {
+        id: invoiceId,
+        customer: `cus_${clientId.slice(0, 8)}`,
+        subscription: `sub_${clientId.slice(0, 8)}`,
+        subscription_details: { metadata: { client_id: clientId } },
+        amount_paid: type === 'invoice.paid' ? amount : 0,
+        amount_due: amount,
+        currency: 'usd',
+        attempt_count: 1,
+        created: Math.floor(Date.now() / 1000),
+      },
+    },
+  };
+}
+
+function sqlTime(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+}
+
+before(async () => {
+  stripe = await startStripeStub();
+  server = await startTestServer({
+    env: {
+      STRIPE_API_URL: stripe.url,
+      STRIPE_SECRET_KEY: 'sk_test_123',
+      STRIPE_WEBHOOK_SECRET: STRIPE_SECRET,
+      WHOP_WEBHOOK_SECRET: WHOP_SECRET,
+      DUNNING_GRACE_DAYS: '7',
+    },
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await new Promise(resolve => stripe.server.close(resolve));
+});
+
+// ─── SIGNATURES ───
+
+for (const provider of ['stripe', 'whop']) {
+  test(`${provider} webhooks without a valid signature are refused and change nothing`, async () => {
+    const clientId = await createClient();
+    const payload = provider === 'stripe'
+      ? stripeInvoice('invoice.paid', clientId)
+      : { id: `evt_${crypto.randomUUID()}`, action: 'payment.succeeded', data: { id: 'pay_1', final_amount: 497, metadata: { client_id: clientId } } };
+    const body = JSON.stringify(payload);
+    const now = Math.floor(Date.now() / 1000);
+
+    const attempts = {
+      missing: null,
+      'wrong secret': sign('not-the-secret', body),
+      'stale timestamp': sign(SECRETS[provider], body, now - 10 * 60),
+      'different body': sign(SECRETS[provider], JSON.stringify({ ...payload, id: 'evt_other' })),
+      malformed: 'v1=deadbeef',
+    };
+    for (const [name, signature] of Object.entries(attempts)) {
+      const response = await sendWebhook(provider, payload, { signature });
+      assert.equal(response.status, 401, `${name} signature`);
+    }
+    assert.deepEqual(await payments(clientId), []);
+
+    const accepted = await sendWebhook(provider, payload);
+    assert.equal(accepted.status, 200);
+    assert.equal((await payments(clientId)).length, 1);
+  });
+}
+
+test('a Stripe signature header is accepted while a secret is being rolled', async () => {
+  const clientId = await createClient();
+  const payload = stripeInvoice('invoice.paid', clientId);
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const oldSignature = sign('whsec_old', body, timestamp).split(',')[1];
+
+  const response = await sendWebhook('stripe', payload, { signature: `${sign(STRIPE_SECRET, body, timestamp)},${oldSignature}` });
+  assert.equal(response.status, 200);
+});
+
+test('signed events with a non-text type or action are a JSON 400', async () => {
+  const clientId = await createClient();
+  const cases = [
+    ['stripe', { ...stripeInvoice('invoice.paid', clientId), type: 5 }],
+    ['stripe', { ...stripeInvoice('invoice.paid', clientId), type: ['invoice.paid'] }],
+    ['whop', { id: `evt_${crypto.randomUUID()}`, action: {}, data: { id: 'pay_odd', metadata: { client_id: clientId } } }],
+  ];
+  for (const [provider, payload] of cases) {
+    const response = await sendWebhook(provider, payload);
+    assert.equal(response.status, 400, JSON.stringify(payload));
+    assert.deepEqual(response.body, { error: 'Invalid webhook data' });
+  }
+  assert.deepEqual(await payments(clientId), []);
+});
+
+// ─── IDEMPOTENCY ───
+
+test('a redelivered Stripe payment is recorded once', async () => {
+  const clientId = await createClient();
+  const payload = stripeInvoice('invoice.paid', clientId, { amount: 99700 });
+
+  const first = await sendWebhook('stripe', payload);
+  const second = await sendWebhook('stripe', payload);
+  assert.deepEqual(first.body, { received: true, duplicate: false });
+  assert.deepEqual(second.body, { received: true, duplicate: true });
+
+  const recorded = await payments(clientId);
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].provider, 'stripe');
+  assert.equal(recorded[0].status, 'succeeded');
+  assert.equal(recorded[0].amount, 997);
+});
+
+test('a redelivered Whop payment is recorded once', async () => {
+  const clientId = await createClient();
+  const payload = { id: `evt_${crypto.randomUUID()}`, action: 'payment.succeeded', data: { id: 'pay_whop_1', final_amount: 497, membership: 'mem_1', metadata: { client_id: clientId } } };
+
+  await sendWebhook('whop', payload);
+  const again = await sendWebhook('whop', payload);
+  assert.equal(again.body.duplicate, true);
+  assert.equal((await payments(clientId)).length, 1);
+});
+
+// ─── DUNNING ───
+
+test('dunning: a failed payment starts the grace period, lapsing suspends and paying restores', async () => {
+  const clientId = await createClient();
+
+  // First failure: still active, with a grace period of DUNNING_GRACE_DAYS
+  await sendWebhook('stripe', stripeInvoice('invoice.payment_failed', clientId));
+  let client = await getClient(clientId);
+  assert.equal(client.status, 'active');
+  assert.ok(client.past_due_at);
+  const graceEnds = sqlTime(client.grace_period_ends_at);
+  assert.ok(Math.abs(graceEnds - (Date.now() + 7 * DAY_MS)) < 60 * 1000, `grace ends ${client.grace_period_ends_at}`);
+
+  // A failed retry doesn't push the grace period out
+  await sendWebhook('stripe', stripeInvoice('invoice.payment_failed', clientId));
+  client = await getClient(clientId);
+  assert.equal(sqlTime(client.grace_period_ends_at), graceEnds);
+  assert.equal((await payments(clientId)).filter(p => p.status === 'failed').length, 2);
+
+  // Let the grace period run out; the dunning task runs when the server starts
+  const db = server.db();
+  db.prepare("UPDATE clients SET grace_period_ends_at = datetime('now', '-1 minute') WHERE id = ?").run(clientId);
+  db.close();
+  await server.restart();
+
+  client = await getClient(clientId);
+  assert.equal(client.status, 'suspended');
+  const { body: revenue } = await api('GET', '/api/admin/reports/revenue');
+  assert.ok(revenue.pastDue.some(c => c.clientId === clientId && c.status === 'suspended'));
+
+  // Paying ends dunning and lifts the suspension
+  await sendWebhook('stripe', stripeInvoice('invoice.paid', clientId));
+  client = await getClient(clientId);
+  assert.equal(client.status, 'active');
+  assert.equal(client.past_due_at, null);
+  assert.equal(client.grace_period_ends_at, null);
+});
+
+test('a cancelled subscription churns the client', async () => {
+  const clientId = await createClient();
+  await sendWebhook('stripe', stripeInvoice('invoice.paid', clientId));
+  await sendWebhook('stripe', {
+    id: `evt_${crypto.randomUUID()}`,
+    type: 'customer.subscription.deleted',
+    data: { object: { id: `sub_${clientId.slice(0, 8)}`, customer: `cus_${clientId.slice(0, 8)}`, metadata: { client_id: clientId } } },
+  });
+  assert.equal((await getClient(clientId)).status, 'churned');
+});
+
+// ─── CHECKOUT ───
+
+test('Stripe checkout links are created through the Stripe API', async () => {
+  const clientId = await createClient();
+  assert.equal((await api('PATCH', '/api/admin/plans/starter', { stripe_price_id: 'price_starter' })).status, 200);
+
+  stripe.requests.length = 0;
+  const { status, body } = await api('POST', `/api/admin/clients/${clientId}/checkout-link`, { provider: 'stripe', plan: 'starter' });
+  assert.equal(status, 200);
+  assert.match(body.url, /^https:\/\/checkout\.stripe\.test\/cs_test_/);
+
+  const [request] = stripe.requests;
+  assert.equal(request.headers.authorization, 'Bearer sk_test_123');
+  assert.equal(request.body.get('mode'), 'subscription');
+  assert.equal(request.body.get('line_items[0][price]'), 'price_starter');
+  assert.equal(request.body.get('client_reference_id'), clientId);
+  assert.equal(request.body.get('subscription_data[metadata][client_id]'), clientId);
+
+  stripe.fail = true;
+  try {
+    const failed = await api('POST', `/api/admin/clients/${clientId}/checkout-link`, { provider: 'stripe', plan: 'starter' });
+    assert.equal(failed.status, 502);
+  } finally {
+    stripe.fail = false;
+  }
+});
@@ -0,0 +1,103 @@
+// Online booking: availability settings, open slots, booking from the
+// capture page and the appointment lists
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./harness');
+
+let server;
+let client;
+let phoneCount = 0;
+
+const SLUG = 'booking-roofing';
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6].map(weekday => ({ weekday, start: '00:00', end: '23:00' }));
+
+// Today and later days in the client's timezone (America/Edmonton by default)
+function localDay(offset) {
+  const date = new Date(Date.now() + offset * 24 * 60 * 60 * 1000);
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Edmonton' }).format(date);
+}
+
+async function submitLead() {
+  const phone = `780555${String(++phoneCount).padStart(4, '0')}`;
+  const { status, body } = await server.request('POST', '/api/leads', {
+    body: { name: `Homeowner ${phoneCount}`, phone, email: `home${phoneCount}@gmail.com`, service_needed: 'Repair', capture_page: SLUG },
+    headers: { 'X-Forwarded-For': `192.0.2.${phoneCount}` },
+    auth: false,
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body;
+}
+
+const setAvailability = body => server.api('PUT', `/api/admin/clients/${client.id}/availability`, body);
+const slots = query => server.request('GET', `/api/capture-pages/${SLUG}/availability${query ? `?${query}` : ''}`, { auth: false });
+
+before(async () => {
+  server = await startTestServer();
+  client = await server.createClient();
+  const page = await server.api('POST', '/api/admin/capture-pages', { client_id: client.id, slug: SLUG, title: 'Roof repair' });
+  assert.equal(page.status, 200, JSON.stringify(page.body));
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('no booking token or slots until the client sets availability', async () => {
+  const lead = await submitLead();
+  assert.equal(lead.bookingToken, undefined);
+  assert.equal((await slots()).status, 404);
+});
+
+test('impossible blackout dates are refused', async () => {
+  for (const date of ['2030-02-31', '2030-13-01', '30-01-01']) {
+    const { status } = await setAvailability({ weekly: EVERY_DAY, blackouts: [{ date }] });
+    assert.equal(status, 400, date);
+  }
+  assert.equal((await setAvailability({ weekly: EVERY_DAY, slot_minutes: 60, notice_minutes: 0, blackouts: [] })).status, 200);
+});
+
+test('a blackout day has no slots', async () => {
+  const blackout = localDay(2);
+  assert.equal((await setAvailability({ blackouts: [{ date: blackout, reason: 'Holiday' }] })).status, 200);
+  const { body } = await slots('days=5');
+  const dates = body.days.map(day => day.date);
+  assert.ok(dates.includes(localDay(3)));
+  assert.ok(!dates.includes(blackout));
+  assert.equal((await setAvailability({ blackouts: [] })).status, 200);
+});
+
+test('impossible ?from= dates are a 400', async () => {
+  assert.equal((await slots('from=2030-02-31')).status, 400);
+  assert.equal((await slots(`from=${localDay(3)}&days=1`)).body.days[0].date, localDay(3));
+});
+
+test('a new lead books a slot once, and the slot is then taken', async () => {
+  const lead = await submitLead();
+  assert.ok(lead.bookingToken);
+  const { body: open } = await slots(`from=${localDay(1)}&days=1`);
+  const [slot] = open.days[0].slots;
+
+  const wrongToken = await server.request('POST', `/api/leads/${lead.id}/appointment`, { body: { token: 'x'.repeat(32), start: slot.start }, auth: false });
+  assert.equal(wrongToken.status, 404);
+
+  const booked = await server.request('POST', `/api/leads/${lead.id}/appointment`, { body: { token: lead.bookingToken, start: slot.start }, auth: false });
+  assert.equal(booked.status, 200, JSON.stringify(booked.body));
+  assert.equal(booked.body.appointment.startsAt, slot.start);
+
+  const { body: after } = await slots(`from=${localDay(1)}&days=1`);
+  assert.ok(!after.days[0].slots.some(s => s.start === slot.start));
+
+  const other = await submitLead();
+  const taken = await server.request('POST', `/api/leads/${other.id}/appointment`, { body: { token: other.bookingToken, start: slot.start }, auth: false });
+  assert.equal(taken.status, 409);
+});
+
+test('appointment lists reject impossible and reversed ranges', async () => {
+  const dashboard = `/api/dashboard/${client.dashboardToken}/appointments`;
+  for (const query of ['from=2024-02-31', 'to=garbage', `from=${localDay(5)}&to=${localDay(1)}`]) {
+    assert.equal((await server.api('GET', `/api/admin/appointments?${query}`)).status, 400, query);
+    assert.equal((await server.request('GET', `${dashboard}?${query}`, { auth: false })).status, 400, query);
+  }
+  const { body } = await server.api('GET', `/api/admin/appointments?client_id=${client.id}&from=${localDay(0)}&to=${localDay(2)}`);
+  assert.equal(body.appointments.length, 1);
+});
@@ -0,0 +1,76 @@
+// The client dashboard's lead endpoints, reached with the dashboard token
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./harness');
+
+let server;
+let client;
+let leadIds;
+
+const dashboard = (path, options = {}) => server.request(options.method || 'GET', `/api/dashboard/${client.dashboardToken}${path}`, { ...options, auth: false });
+
+before(async () => {
+  server = await startTestServer();
+  client = await server.createClient();
+  const csv = [
+    'name,phone,created_at,message',
+    'Early Bird,7805550201,2024-01-10,Attic insulation',
+    'Mid Month,7805550202,2024-01-15,Roof leak over garage',
+    'Late Comer,7805550203,2024-01-31,Gutter cleaning',
+  ].join('\n');
+  const { body } = await server.api('POST', '/api/admin/leads/import', { csv, client_id: client.id });
+  assert.equal(body.created, 3, JSON.stringify(body.errors));
+
+  const db = server.db();
+  leadIds = Object.fromEntries(db.prepare('SELECT name, id FROM leads WHERE client_id = ?').all(client.id).map(row => [row.name, row.id]));
+  db.prepare("UPDATE leads SET status = 'quarantined' WHERE id = ?").run(leadIds['Late Comer']);
+  db.close();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('impossible, malformed and reversed dates are a 400 on the lead list and export', async () => {
+  for (const query of ['from=garbage', 'to=2024-02-30', 'from=2024-01-20&to=2024-01-10']) {
+    assert.equal((await dashboard(`/leads?${query}`)).status, 400, query);
+    assert.equal((await dashboard(`/leads/export?${query}`)).status, 400, query);
+  }
+});
+
+test('the date range is inclusive and quarantined leads stay hidden', async () => {
+  const { status, body } = await dashboard('/leads?from=2024-01-10&to=2024-01-31');
+  assert.equal(status, 200);
+  assert.deepEqual(body.leads.map(lead => lead.name).sort(), ['Early Bird', 'Mid Month']);
+
+  const exported = await dashboard('/leads/export?from=2024-01-15&to=2024-01-15');
+  assert.equal(exported.status, 200);
+  const rows = exported.body.trim().split('\n').slice(1);
+  assert.equal(rows.length, 1);
+  assert.match(rows[0], /Mid Month/);
+});
+
+test('search finds the client\'s own leads', async () => {
+  const { body } = await dashboard('/leads?q=garage');
+  assert.deepEqual(body.leads.map(lead => lead.name), ['Mid Month']);
+});
+
+test('a blank job value is refused and a number is recorded', async () => {
+  const url = `/leads/${leadIds['Early Bird']}/job-value`;
+  for (const job_value of ['', null, -5, 'lots']) {
+    assert.equal((await dashboard(url, { method: 'PUT', body: { job_value } })).status, 400, JSON.stringify(job_value));
+  }
+  assert.equal((await dashboard(url, { method: 'PUT', body: { job_value: 4200 } })).status, 200);
+
+  const { body } = await dashboard(`/leads/${leadIds['Early Bird']}`);
+  assert.equal(body.lead.jobValue, 4200);
+  const recorded = body.activity.find(entry => entry.action === 'job_value_recorded');
+  assert.deepEqual(recorded.details, { from: null, to: 4200 });
+});
+
+test('the timeline only shows details meant for the client', async () => {
+  const { body } = await dashboard(`/leads/${leadIds['Mid Month']}`);
+  const imported = body.activity.find(entry => entry.action === 'imported');
+  assert.ok(imported);
+  assert.equal(imported.details, null);
+});
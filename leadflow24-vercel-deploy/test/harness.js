@@ -0,0 +1,128 @@
+// Runs server.js as a child process on a throwaway database for the
+// *.test.js suites. Each suite gets its own server, port and temp directory.
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+
+const ADMIN = { email: 'owner@test.local', password: 'correct-horse-battery' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// Starts the server and logs in as the owner. `env` is added to the test
+// defaults. Call stop() in after(); restart() keeps the database.
+async function startTestServer({ env = {} } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leadflow24-test-'));
+  const server = { dbPath: path.join(tmpDir, 'test.db'), url: null, token: null, child: null };
+
+  async function launch() {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: {
+        ...process.env,
+        NODE_ENV: 'test',
+        PORT: String(port),
+        DATABASE_PATH: server.dbPath,
+        JWT_SECRET: 'test-jwt-secret',
+        ADMIN_EMAIL: ADMIN.email,
+        ADMIN_PASSWORD: ADMIN.password,
+        // Nothing listens here, so queued emails fail fast instead of leaving the machine
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: '9',
+        ...env,
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const url = `http://127.0.0.1:${port}`;
+    for (let attempt = 0; attempt < 100; attempt++) {
+      if (child.exitCode !== null) break;
+      try {
+        if ((await fetch(`${url}/api/health`)).ok) {
+          server.child = child;
+          server.url = url;
+          return;
+        }
+      } catch { /* not listening yet */ }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    child.kill();
+    throw new Error(`Server did not start:\n${output}`);
+  }
+
+  function halt() {
+    const { child } = server;
+    if (!child || child.exitCode !== null) return Promise.resolve();
+    return new Promise(resolve => {
+      child.once('exit', resolve);
+      child.kill();
+    });
+  }
+
+  // Any request; `body` objects are sent as JSON, strings as they are
+  server.request = async (method, url, { body, headers = {}, auth = true } = {}) => {
+    const json = body !== undefined && typeof body !== 'string';
+    const response = await fetch(`${server.url}${url}`, {
+      method,
+      headers: {
+        ...(auth && server.token ? { Authorization: `Bearer ${server.token}` } : {}),
+        ...(json ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: json ? JSON.stringify(body) : body,
+    });
+    const text = await response.text();
+    let parsed;
+    try { parsed = JSON.parse(text); } catch { parsed = text; }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  // Signed-in admin API call
+  server.api = (method, url, body) => server.request(method, url, { body });
+
+  server.restart = async () => {
+    await halt();
+    await launch();
+  };
+
+  server.stop = async () => {
+    await halt();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  };
+
+  // Direct access for setting up states the API can't reach (e.g. the past).
+  // Close it before the next request that writes.
+  server.db = () => new Database(server.dbPath);
+
+  let clientCount = 0;
+  server.createClient = async (fields = {}) => {
+    clientCount++;
+    const { status, body } = await server.api('POST', '/api/admin/clients', {
+      business_name: `Test Roofing ${clientCount}`, contact_name: 'Pat', email: `client${clientCount}@test.local`,
+      phone: '7805550100', industry: 'roofing', city: 'Edmonton', ...fields,
+    });
+    if (status !== 200) throw new Error(`Could not create client: ${JSON.stringify(body)}`);
+    return body.client;
+  };
+
+  await launch();
+  const login = await server.request('POST', '/api/auth/login', { body: ADMIN, auth: false });
+  if (!login.body.accessToken) throw new Error(`Owner login failed: ${JSON.stringify(login.body)}`);
+  server.token = login.body.accessToken;
+  return server;
+}
+
+module.exports = { startTestServer, ADMIN };
@@ -0,0 +1,105 @@
+// Spreadsheet imports: row checks, dry runs, duplicates and the columns the
+// schema can't do without
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./harness');
+
+let server;
+
+const importCsv = (kind, csv, options = {}) => server.api('POST', `/api/admin/${kind}/import`, { csv, ...options });
+
+async function leadsFor(clientId) {
+  return (await server.api('GET', `/api/admin/leads?client_id=${clientId}&limit=100`)).body.leads;
+}
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('a lead sheet without a phone column is refused before anything is written', async () => {
+  for (const dry_run of [true, false]) {
+    const { status, body } = await importCsv('leads', 'name,email\nJane,jane@example.com\n', { dry_run });
+    assert.equal(status, 400);
+    assert.match(body.error, /phone/);
+  }
+});
+
+test('lead rows missing a phone are reported, in a dry run and for real, and the rest import', async () => {
+  const client = await server.createClient();
+  const csv = 'Full Name,Email,Phone\nJane Doe,jane@example.com,\nJohn Roe,john@example.com,780-555-0199\n';
+
+  const dry = await importCsv('leads', csv, { client_id: client.id, dry_run: true });
+  assert.equal(dry.status, 200);
+  assert.equal(dry.body.created, 1);
+  assert.equal(dry.body.invalid, 1);
+  assert.deepEqual(dry.body.errors, [{ row: 2, errors: ['phone is required'] }]);
+  assert.deepEqual(await leadsFor(client.id), []);
+
+  const real = await importCsv('leads', csv, { client_id: client.id });
+  assert.equal(real.status, 200);
+  assert.deepEqual({ created: real.body.created, invalid: real.body.invalid }, { created: 1, invalid: 1 });
+  const leads = await leadsFor(client.id);
+  assert.deepEqual(leads.map(lead => lead.name), ['John Roe']);
+  assert.equal(leads[0].import_id, real.body.importId);
+});
+
+test('a lead already in the file or the database is skipped, or filled in with duplicates=update', async () => {
+  const client = await server.createClient();
+  await importCsv('leads', 'name,phone\nAnn Lee,7805550111\n', { client_id: client.id });
+
+  const skipped = await importCsv('leads', 'name,phone,city\nAnn Lee,(780) 555-0111,Edmonton\nAnn Lee,780.555.0111,Edmonton\n', { client_id: client.id });
+  assert.deepEqual({ created: skipped.body.created, skipped: skipped.body.skipped }, { created: 0, skipped: 2 });
+
+  const updated = await importCsv('leads', 'name,phone,city\nAnn Lee,7805550111,Edmonton\n', { client_id: client.id, duplicates: 'update' });
+  assert.equal(updated.body.updated, 1);
+  assert.deepEqual(updated.body.duplicateRows[0].fields, ['city']);
+  const [lead] = await leadsFor(client.id);
+  assert.equal(lead.city, 'Edmonton');
+});
+
+test('a client sheet needs every column the clients table requires', async () => {
+  const { status, body } = await importCsv('clients', 'business_name,email\nAcme Roofing,owner@acme.test\n', { dry_run: true });
+  assert.equal(status, 400);
+  assert.match(body.error, /contact_name/);
+});
+
+test('client rows with blank required fields are reported instead of failing the import', async () => {
+  const csv = [
+    'business_name,contact_name,email,phone,industry,city',
+    'Acme Roofing,,owner@acme.test,7805550123,roofing,Edmonton',
+    'Best Eaves,Sam,sam@besteaves.test,7805550124,roofing,',
+    'Clear Gutters,Kim,kim@cleargutters.test,7805550125,gutters,Calgary',
+  ].join('\n');
+
+  const dry = await importCsv('clients', csv, { dry_run: true });
+  assert.equal(dry.status, 200);
+  assert.deepEqual(dry.body.errors, [
+    { row: 2, errors: ['contact_name is required'] },
+    { row: 3, errors: ['city is required'] },
+  ]);
+  assert.equal(dry.body.created, 1);
+
+  const real = await importCsv('clients', csv);
+  assert.equal(real.status, 200);
+  assert.deepEqual({ created: real.body.created, invalid: real.body.invalid }, { created: 1, invalid: 2 });
+  const { body } = await server.api('GET', '/api/admin/clients');
+  assert.ok(body.clients.some(client => client.email === 'kim@cleargutters.test'));
+  assert.ok(!body.clients.some(client => client.email === 'owner@acme.test'));
+});
+
+test('an unsubscribed row never re-subscribes anyone', async () => {
+  await importCsv('subscribers', 'email\nalex@example.com\n');
+  const result = await importCsv('subscribers', 'email,status\nalex@example.com,unsubscribed\nnew@example.com,unsubscribed\n', { duplicates: 'update' });
+  assert.deepEqual({ created: result.body.created, updated: result.body.updated }, { created: 1, updated: 1 });
+
+  const again = await importCsv('subscribers', 'email,status\nalex@example.com,active\n', { duplicates: 'update' });
+  assert.equal(again.body.updated, 0);
+  const db = server.db();
+  const statuses = db.prepare('SELECT email, status FROM subscribers ORDER BY email').all();
+  db.close();
+  assert.deepEqual(statuses, [{ email: 'alex@example.com', status: 'unsubscribed' }, { email: 'new@example.com', status: 'unsubscribed' }]);
+});
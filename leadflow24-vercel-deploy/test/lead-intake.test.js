@@ -0,0 +1,149 @@
+// Public lead intake: the form endpoint and the Zapier webhook share the
+// per-IP rate limit and the spam checks; Zapier also needs its secret
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./harness');
+
+const ZAPIER_SECRET = 'zapier-test-secret';
+
+let server;
+let ipCount = 0;
+let phoneCount = 0;
+
+// Each test posts from its own address (the server trusts one proxy hop)
+const nextIp = () => `203.0.113.${++ipCount}`;
+const nextPhone = () => `780555${String(++phoneCount).padStart(4, '0')}`;
+
+function postLead(body, ip) {
+  return server.request('POST', '/api/leads', { body, headers: { 'X-Forwarded-For': ip }, auth: false });
+}
+
+function postZap(lead, { ip, secret = ZAPIER_SECRET } = {}) {
+  const headers = { 'X-Forwarded-For': ip };
+  if (secret !== null) headers['X-Zapier-Secret'] = secret;
+  return server.request('POST', '/api/webhooks/zapier', { body: { event: 'new_lead', lead }, headers, auth: false });
+}
+
+function leadRow(id) {
+  const db = server.db();
+  const lead = db.prepare('SELECT status, spam_reasons, source FROM leads WHERE id = ?').get(id);
+  db.close();
+  return lead && { ...lead, spam_reasons: JSON.parse(lead.spam_reasons || '[]') };
+}
+
+function leadCount() {
+  const db = server.db();
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM leads').get();
+  db.close();
+  return count;
+}
+
+before(async () => {
+  server = await startTestServer({ env: { ZAPIER_WEBHOOK_SECRET: ZAPIER_SECRET, TRUST_PROXY_HOPS: '1' } });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('a clean form post becomes a new lead', async () => {
+  const { status, body } = await postLead({ name: 'Jane Doe', phone: nextPhone(), email: 'jane@gmail.com', service_needed: 'Roof Repair' }, nextIp());
+  assert.equal(status, 200);
+  assert.equal(leadRow(body.id).status, 'new');
+});
+
+test('form posts that look automated are quarantined behind the same response', async () => {
+  const ip = nextIp();
+  const cases = [
+    [{ website: 'http://spam.example' }, 'honeypot'],
+    [{ form_started_at: Date.now() }, 'filled_too_fast'],
+    [{ email: 'bot@mailinator.com' }, 'disposable_email'],
+  ];
+  for (const [extra, reason] of cases) {
+    const { status, body } = await postLead({ name: 'Bot', phone: nextPhone(), service_needed: 'Roof Repair', ...extra }, ip);
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    const lead = leadRow(body.id);
+    assert.equal(lead.status, 'quarantined');
+    assert.deepEqual(lead.spam_reasons, [reason]);
+  }
+});
+
+test('the same phone more than three times in an hour is quarantined', async () => {
+  const phone = nextPhone();
+  const ip = nextIp();
+  const statuses = [];
+  for (let i = 0; i < 4; i++) {
+    const { body } = await postLead({ name: `Repeat ${i}`, phone, email: `repeat${i}@gmail.com`, service_needed: 'Roof Repair' }, ip);
+    statuses.push(leadRow(body.id).status);
+  }
+  assert.equal(statuses.at(-1), 'quarantined');
+});
+
+test('more than ten form posts from one address in ten minutes get a 429', async () => {
+  const ip = nextIp();
+  for (let i = 0; i < 10; i++) {
+    const { status } = await postLead({ name: `Lead ${i}`, phone: nextPhone(), service_needed: 'Roof Repair' }, ip);
+    assert.equal(status, 200);
+  }
+  const { status, headers } = await postLead({ name: 'One more', phone: nextPhone(), service_needed: 'Roof Repair' }, ip);
+  assert.equal(status, 429);
+  assert.ok(Number(headers.get('retry-after')) > 0);
+});
+
+test('Zapier posts without the shared secret are refused and create nothing', async () => {
+  const before = leadCount();
+  for (const secret of [null, 'wrong-secret', `${ZAPIER_SECRET}x`]) {
+    const { status } = await postZap({ name: 'Zap Lead', phone: nextPhone() }, { ip: nextIp(), secret });
+    assert.equal(status, 401);
+  }
+  assert.equal(leadCount(), before);
+});
+
+test('a signed Zapier post creates a lead', async () => {
+  const { status, body } = await postZap({ name: 'Zap Lead', phone: nextPhone(), email: 'zap@gmail.com' }, { ip: nextIp() });
+  assert.equal(status, 200);
+  assert.equal(body.duplicate, false);
+  assert.deepEqual(leadRow(body.id), { status: 'new', spam_reasons: [], source: 'zapier' });
+});
+
+test('Zapier posts go through the spam checks', async () => {
+  const ip = nextIp();
+  const honeypot = await postZap({ name: 'Zap Bot', phone: nextPhone(), website: 'http://spam.example' }, { ip });
+  assert.deepEqual(leadRow(honeypot.body.id).spam_reasons, ['honeypot']);
+  const disposable = await postZap({ name: 'Zap Bot', phone: nextPhone(), email: 'bot@mailinator.com' }, { ip });
+  assert.equal(leadRow(disposable.body.id).status, 'quarantined');
+});
+
+test('Zapier posts share the per-address rate limit', async () => {
+  const ip = nextIp();
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await postZap({ name: `Zap ${i}`, phone: nextPhone() }, { ip })).status, 200);
+  }
+  assert.equal((await postZap({ name: 'Zap 11', phone: nextPhone() }, { ip })).status, 429);
+});
+
+test('the client\'s new-lead email escapes what the homeowner typed', async () => {
+  const client = await server.createClient();
+  const page = await server.api('POST', '/api/admin/capture-pages', { client_id: client.id, slug: 'escaping-roofing', title: 'Roof repair' });
+  assert.equal(page.status, 200, JSON.stringify(page.body));
+
+  const { body } = await postLead({
+    name: '<b>Jane</b> "Doe"',
+    phone: nextPhone(),
+    email: 'jane.escape@gmail.com',
+    city: '<i>Leduc</i>',
+    message: '<script>alert(1)</script> & more',
+    service_needed: 'Repair',
+    capture_page: 'escaping-roofing',
+  }, nextIp());
+
+  const db = server.db();
+  const job = db.prepare('SELECT payload FROM jobs WHERE idempotency_key = ?').get(`lead:${body.id}:alert:${client.id}:email`);
+  db.close();
+  const { html } = JSON.parse(job.payload).message;
+  assert.ok(!/<(b|i|script)>/.test(html), html);
+  assert.match(html, /&lt;b&gt;Jane&lt;\/b&gt; &quot;Doe&quot;/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; more/);
+  assert.match(html, /&lt;i&gt;Leduc&lt;\/i&gt;/);
+});